@@ -1,478 +1,1282 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react'; // Import useCallback
 import Plot from 'react-plotly.js';
+import { DEFAULT_LEVEL_LABELS, getLevelLabel, loadTaxonomy, resolveTaxonomyUrl } from './taxonomy';
+import { EVIDENCE_COLUMNS, loadEvidence, resolveEvidenceUrl } from './evidence';
+import EvidenceTable from './EvidenceTable';
+import { SEVERITY_LABELS, getAssessmentLabel, loadAssessmentIndex, loadAssessments } from './assessment';
+import { CHANGE_COLORS, MAX_CHANGE, NO_SCORE_COLOR, SEVERITY_COLORS, changeColor, fadeColor, severityColor, withAlpha } from './colorScale';
+import SegmentedControl from './SegmentedControl';
+import ColorLegend from './ColorLegend';
+import { pickOption, readUrlState, writeUrlState } from './urlState';
+import { searchTaxonomy } from './search';
+import SearchBox from './SearchBox';
+import { HIERARCHY_COLUMNS, buildChartTitle, buildExportFileName, downloadChartImage, downloadCsv, downloadJson, downloadXlsx, flattenSunburst } from './exportData';
+import ExportMenu from './ExportMenu';
+import OutlineView from './OutlineView';
+import { DRAFT_ASSESSMENT_ID, createDraft, loadDraft, parseDraft, saveDraft, setDraftRating, summarizeCompletion } from './assessmentDraft';
+import RatingForm from './RatingForm';
+import { collectTagOptions, filterTree, formatTagFilters, hasTagFilters, parseTagFilters, toggleTagFilter } from './tagFilter';
+import TagFilterPanel from './TagFilterPanel';
+import FilterChips from './FilterChips';
+import { loadGuidance, resolveGuidanceUrl } from './guidance';
+import NodeTooltip from './NodeTooltip';
+import NodeDetailPanel from './NodeDetailPanel';
+import { DEFAULT_LOCALE, LOCALES, createTranslator, detectLocale, translateOptions } from './i18n';
+import { loadTranslations, resolveTranslationsUrl, translateLevelLabels } from './translations';
+import { buildSunburst, getBreadcrumbs, getLayerPalette, getSubtreeIds, layoutSunburstSlices, nextLevel } from './sunburst';
+import { getShownChildren, navigateChart } from './chartNavigation';
+import Dialog from './Dialog';
+import HierarchyList from './HierarchyList';
+import { VISUALLY_HIDDEN_STYLE } from './visuallyHidden';
+import { THEME_OPTIONS, getTheme, loadThemeName, saveThemeName } from './theme';
+import { describeEmbedNode } from './embed';
+import { loadLayout, parseDepth, saveLayout } from './layoutSettings';
+import LayoutPanel from './LayoutPanel';
+import { buildTimelines, findTimeline, getSeverityTrend } from './timeline';
+import TrendChart from './TrendChart';
+import SpreadsheetImporter from './SpreadsheetImporter';
+import { buildChords, getRecommendedReforms, getRelatedNodes, loadRelationships, resolveRelationshipsUrl } from './relationships';
+import NodeRelations from './NodeRelations';
+import ChordOverlay from './ChordOverlay';
+import { buildPortfolioStats, rankFlaggedAssessments, selectPortfolio } from './portfolio';
+import PortfolioTable from './PortfolioTable';
 
-// Main App component
-const App = () => {
-  // Raw hierarchical data structure based on the user's input
-  const rawDataTree = {
-    "Role of Public Finance": {
-      "A. Commitment to Feasible Policy": {
-        "1. Insufficient Stakeholder Commitment to Policy Action": [
-          "Inadequate commitment of political and technical leadership to policy action and associated resource mobilization and use within or across sectors",
-          "Inadequately broad-based stakeholder involvement, understanding and support for policy action and associated resource mobilization and use"
-        ],
-        "2. Incoherence and fragmentation of policy": [
-          "Fragmented, inconsistent and uncoordinated policies across or within sectors",
-        ],
-        "3. Mismatch between policy goals, capability and resources": [
-          "Domestic revenue policies generate insufficient resources to achieve policy goals given fiscal reality",
-          "Public policy goals are unaffordable given costs and fiscal reality",
-          "Policies do not take into account the available organizational capability to achieve goals",
-        ]
-      },
-      "B. Fiscal sustainability": {
-        "4. Unsustainable fiscal situation of governments and organizations": [
-        "Short term biases lead to pro-cyclical spending and force deep cuts during downturns",
-        "Biased or inaccurate fiscal forecasting and unpredictable, volatile resource flows result in budgets being under-funded",
-          "Un-strategic, ad hoc and supply driven debt management undermines fiscal consolidation and reduces fiscal space",
-          "Pre-existing spending commitments and debt burdens create budget rigidity and limit options for fiscal consolidation and/or increasing fiscal space",
-          "Financial unviability of providers and utilities",
-        ]
-      },
-      "C. Effective Resource Mobilization & Distribution": {
-        "5. Inadequate and inequitable resources mobilized and deployed for policy implementation": [
-        "Limited or costly financing mobilized for public Investment and service delivery",
-          "Resource deployment is often incremental and disconnected from public policy priorities",
-          "Resource deployment is not informed by demand or costs of achieving public policy objectives",
-          "Unequal and inequitable resource mobilization and distribution, misaligned with policy and effective delivery",
-        ],
-        "6.Unreliable, delayed and fragmented funding for delivery": [
-        "Ad hoc, political and fragmented funding channels contributes to ineffective and inefficient delivery",
-          "Shortfalls, delays and diversion of funding for delivery",
-        ],
-      },
-      "D. Performance & Accountability in Delivery": {
-        "7. Inefficient deployment and management of resources and inputs for delivery": [
-          "Inefficient public investment decisions and management of assets",
-          "Inefficient deployment and poor motivation and inadequate skills of frontline and other staff",
-          "Limited availability of operational resources relative to salaries and delivery infrastructure",
-          "Delays in and inflated cost of procurement for infrastructure and operational inputs",
-          "Weak management of resources at national and subnational levels up to the point of delivery"
-        ],
-          "8. Incentives, management oversight, and accountability systems and institutions fail to enable and encourage performance as intended": [
-          "The design of regulatory, incentive, control and management systems limits autonomy and discourages performance",
-          "Non-compliance and weak enforcement of regulatory, PFM and public sector management systems undermines performance and accountability",
-          "Weaknesses in fiscal governance undermine public and private investment and action",
-          "Inadequate oversight, monitoring, evaluation and accountability for resources and performance"
-        ],
-        "9. Inadequate use of fragmented sector and financial data in decision making for policy and delivery.": [
-          "Available financial and non-financial information not used for decision making, management and accountability",
-          "Data systems are fragmented and do not interoperate"
-        ]
-      }
-    }
-  };
-  
+// The options of the controls below are labelled by the "<control>.<value>" messages of the
+// locale files (see translateOptions)
+
+// Browsing the evidence, or rating bottlenecks into the draft assessment kept in this browser
+const APP_MODES = [
+  { value: 'browse' },
+  { value: 'edit' }
+];
+
+// Ways of drawing the hierarchy: three Plotly charts sharing the same data, or an indented outline
+const CHART_TYPES = [
+  { value: 'sunburst' },
+  { value: 'icicle' },
+  { value: 'treemap' },
+  { value: 'outline' }
+];
+
+// Ways of sizing the leaf slices of the sunburst; parents are always the sum of their children
+const SIZE_MODES = [
+  { value: 'uniform' },
+  { value: 'evidence' },
+  { value: 'severity' }
+];
+
+// Ways of viewing the assessments: one at a time, two side by side, the change between two, or a
+// summary of the latest assessment of every country
+const VIEW_MODES = [
+  { value: 'single' },
+  { value: 'side-by-side' },
+  { value: 'change' },
+  { value: 'portfolio' }
+];
+
+// The views that compare two assessments picked by the user
+const COMPARISON_VIEWS = ['side-by-side', 'change'];
+
+// Ways of coloring the slices in the single view: by position in the hierarchy, or by severity rating
+const COLOR_MODES = [
+  { value: 'position' },
+  { value: 'severity' }
+];
+
+// Color scales for scores: blended between palette stops, or snapped to whole ratings
+const SCALE_TYPES = [
+  { value: 'continuous' },
+  { value: 'discrete' }
+];
+
+// How roles and challenges summarize the scores of their bottlenecks
+const AGGREGATIONS = [
+  { value: 'mean' },
+  { value: 'max' }
+];
+
+// Legend entries for the severity colors, in the language of the translator `t`
+const severityLegend = (t) => [
+  ...Object.keys(SEVERITY_LABELS).map(severity => ({
+    color: severityColor(Number(severity)),
+    label: `${severity} ${t(`severity.${severity}`)}`
+  })),
+  { color: NO_SCORE_COLOR, label: t('severity.notRated') }
+];
+
+// Legend entries for the change colors, from most improved to most worsened
+const changeLegend = (t) => [
+  ...CHANGE_COLORS.map((color, idx) => {
+    const delta = idx - MAX_CHANGE;
+    return { color, label: delta === 0 ? t('legend.noChange') : `${delta > 0 ? '+' : ''}${delta}` };
+  }),
+  { color: NO_SCORE_COLOR, label: t('legend.notRatedInBoth') }
+];
+
+// Number of search results listed under the search box; all matches stay highlighted in the chart
+const SEARCH_RESULT_LIMIT = 20;
+
+// How far slices that do not match the search are faded towards white, and their label color
+const SEARCH_DIM_AMOUNT = 0.75;
+const SEARCH_DIM_TEXT_COLOR = '#9CA3AF';
+
+// Outline drawn around the slice picked with the arrow keys while a chart has the keyboard focus
+const KEYBOARD_FOCUS_LINE = { color: '#111827', width: 3 };
+
+// Height of the charts and the panels beside them: the viewport less the controls above, within limits
+const CHART_HEIGHT = 'clamp(28rem, calc(100vh - 14rem), 80rem)';
+
+// Page formats of the presentation mode, on screen and when printed: a 16:9 slide or a landscape A4 sheet
+const PRESENTATION_FORMATS = {
+  slide: { width: '1280px', height: '720px', page: '13.333in 7.5in' },
+  a4: { width: '297mm', height: '210mm', page: 'A4 landscape' }
+};
+const PRESENTATION_OPTIONS = Object.keys(PRESENTATION_FORMATS).map(value => ({ value }));
+// Room left above a presented chart for the color legend
+const PRESENTATION_LEGEND_HEIGHT = '3rem';
+
+// Time each snapshot stays on screen while the timeline plays, and how long the chart takes to
+// move from one snapshot to the next
+const PLAYBACK_INTERVAL_MS = 1500;
+const SNAPSHOT_TRANSITION_MS = 750;
+
+// Strength of a layer's accent color behind its crumb in the breadcrumb bar
+const CRUMB_TINT_ALPHA = 0.3;
+
+// Assessment holding the scores of an imported spreadsheet, listed after the published ones
+const IMPORTED_ASSESSMENT_ID = 'imported';
+
+// The translation used for English, the taxonomy's own language
+const NO_TRANSLATIONS = {};
+
+/**
+ * Main App component. On its own it fills the page; other apps can embed it with the props below
+ * (see also EmbedFrame, which wraps it for iframes).
+ * @param {{
+ *   dataUrl?: string,
+ *   initialLevel?: string,
+ *   theme?: (string|object),
+ *   depth?: (number|'all'),
+ *   embedded?: boolean,
+ *   level?: string,
+ *   highlightIds?: string[],
+ *   onNodeSelected?: function(object),
+ *   onLevelChanged?: function(object)
+ * }} props - `dataUrl` is the taxonomy file, in place of `?data=`. `theme` names one of THEMES, or
+ *   is the embedding app's own theme (see createTheme, and create it once rather than on every
+ *   render); it takes the place of the theme chosen in this browser. `depth` is the number of rings
+ *   drawn around the level on screen, in place of the one saved in this browser. `embedded` leaves
+ *   out the title and help text and keeps the page URL as it is. `level` zooms to a node whenever it
+ *   changes (a leaf is shown within its parent with its evidence open), and `highlightIds` fades the
+ *   nodes not listed. The callbacks receive the node clicked and the level on screen, as described
+ *   by describeEmbedNode.
+ */
+const App = ({ dataUrl, initialLevel, theme, depth, embedded = false, level, highlightIds, onNodeSelected, onLevelChanged }) => {
+  // Navigation and view state from a shared link, applied as the initial state
+  const [initialUrlState] = useState(readUrlState);
+
+  // The loaded taxonomy tree, its title and any error raised while loading it
+  const [dataTree, setDataTree] = useState(null);
+  const [taxonomyTitle, setTaxonomyTitle] = useState('');
+  const [taxonomyLevelLabels, setTaxonomyLevelLabels] = useState(DEFAULT_LEVEL_LABELS); // Level names by depth, for breadcrumbs
+  const [taxonomyTagCategories, setTaxonomyTagCategories] = useState({}); // Display names of the tag categories
+  const [loadError, setLoadError] = useState(null);
+  const [showImporter, setShowImporter] = useState(false); // Whether the spreadsheet importer is open
+  // Language of the interface and the taxonomy, and the taxonomy's translation into it (empty for English)
+  const [locale, setLocale] = useState(() => detectLocale(initialUrlState.lang));
+  const [translations, setTranslations] = useState(NO_TRANSLATIONS);
+  const [translationsError, setTranslationsError] = useState(null);
+  // Evidence records keyed by bottleneck ID, and any error raised while loading them
+  const [evidenceByBottleneck, setEvidenceByBottleneck] = useState({});
+  const [evidenceError, setEvidenceError] = useState(null);
+  // Definitions and guidance links keyed by node ID, for the side panel
+  const [guidance, setGuidance] = useState({});
+  const [guidanceError, setGuidanceError] = useState(null);
+  // Links between nodes and the reform catalogue, for the side panel, the pop-out and the chords
+  const [relationships, setRelationships] = useState({ links: [], reforms: [] });
+  const [relationshipsError, setRelationshipsError] = useState(null);
+  // Assessments listed in the index, the loaded documents keyed by assessment ID, and any errors
+  const [assessmentOptions, setAssessmentOptions] = useState([]);
+  const [assessments, setAssessments] = useState({});
+  const [assessmentError, setAssessmentError] = useState(null); // Error loading the index itself
+  const [assessmentErrors, setAssessmentErrors] = useState({}); // Errors loading individual files
+  // The assessment being rated in the edit mode, saved in local storage, and any error saving or importing it
+  const [appMode, setAppMode] = useState('browse');
+  const [draft, setDraft] = useState(loadDraft);
+  const [draftError, setDraftError] = useState(null); // Error importing a file into the draft
+  const [draftSaveError, setDraftSaveError] = useState(null); // Error saving the draft in this browser
+  // Current view (one of VIEW_MODES) and the assessments it shows; the comparison one is only
+  // used by the side-by-side and change views
+  const [chartType, setChartType] = useState(pickOption(CHART_TYPES, initialUrlState.chart, 'sunburst'));
+  const [viewMode, setViewMode] = useState(pickOption(VIEW_MODES, initialUrlState.view, 'single'));
+  const [primaryAssessmentId, setPrimaryAssessmentId] = useState(initialUrlState.from || '');
+  const [comparisonAssessmentId, setComparisonAssessmentId] = useState(initialUrlState.to || '');
+  const [isPlaying, setIsPlaying] = useState(false); // Whether the timeline is stepping through the snapshots
+  // Score coloring: what the single view is colored by, the color scale, and how parents aggregate scores
+  const [colorMode, setColorMode] = useState(pickOption(COLOR_MODES, initialUrlState.color, 'position'));
+  const [scaleType, setScaleType] = useState(pickOption(SCALE_TYPES, initialUrlState.scale, 'continuous'));
+  const [aggregation, setAggregation] = useState(pickOption(AGGREGATIONS, initialUrlState.parents, 'mean'));
+  // Selected tag values by category; only bottlenecks carrying them are drawn
+  const [tagFilters, setTagFilters] = useState(parseTagFilters(initialUrlState.tags));
+  // How leaf slices are sized (one of SIZE_MODES)
+  const [sizeMode, setSizeMode] = useState(pickOption(SIZE_MODES, initialUrlState.size, 'uniform'));
+
+  // Chart alone on a slide or A4 sheet ('slide' or 'a4'), or '' for the full page
+  const [presentation, setPresentation] = useState(pickOption(PRESENTATION_OPTIONS, initialUrlState.present, ''));
+
+  // Rings shown, label size, line length and label direction, as saved in this browser
+  const [layout, setLayout] = useState(() => {
+    const saved = loadLayout();
+    return depth !== undefined ? { ...saved, depth: parseDepth(depth) } : saved;
+  });
 
   // State to hold the transformed data, including node information for hierarchy navigation
   const [transformedData, setTransformedData] = useState({ ids: [], labels: [], parents: [], values: [], colors: [], nodeInfo: {} , textColors: [] });
+  // One entry per sunburst on screen (two in the side-by-side view); all share the same ids,
+  // so transformedData (the first panel) drives navigation for every panel
+  const [panels, setPanels] = useState([]);
   // State to control the currently "centered" level in the sunburst chart
-  const [currentLevelId, setCurrentLevelId] = useState(''); // Initially, the root is centered (empty string)
+  const [currentLevelId, setCurrentLevelId] = useState(initialLevel || initialUrlState.level || ''); // Initially, the requested or linked level, or the root (empty string)
 
   // States for managing the pop-out table
-  const [showPopoutTable, setShowPopoutTable] = useState(false);
-  const [popoutTableRows, setPopoutTableRows] = useState([]);
+  const [showPopoutTable, setShowPopoutTable] = useState(Boolean(initialUrlState.leaf));
+  const [selectedLeafId, setSelectedLeafId] = useState(initialUrlState.leaf || ''); // Leaf whose evidence is shown in the pop-out
   const [breadcrumbs, setBreadcrumbs] = useState([]); // State to hold breadcrumbs
+  const [searchQuery, setSearchQuery] = useState(''); // Text typed in the search box
+  const [exportError, setExportError] = useState(null); // Error from the last export, if it failed
+  const [hoveredNode, setHoveredNode] = useState(null); // Slice under the pointer: {id, panelIndex, x, y}
+  const [keyboardFocusId, setKeyboardFocusId] = useState(''); // Slice picked with the arrow keys
+  const [focusedPanelIndex, setFocusedPanelIndex] = useState(null); // Panel whose chart has the keyboard focus
 
   // Ref to store the Plotly.js graphDiv for event handling
-  const graphDivRef = useRef(null);
-
-  /**
-   * Helper function to wrap text by inserting <br> tags.
-   * It tries to break at spaces to avoid breaking words.
-   * @param {string} text - The input text to wrap.
-   * @param {number} maxLength - The maximum length of a line before wrapping.
-   * @returns {string} The wrapped text with <br> tags.
-   */
-  const wrapText = (text, maxLength) => {
-    if (text.length <= maxLength) {
-      return text;
+  const graphDivsRef = useRef([]); // The element each panel's chart is rendered into, for image exports
+  const appliedLevelRef = useRef(''); // Last `level` prop zoomed to
+  const reportedLevelRef = useRef(''); // Last level passed to onLevelChanged
+
+  // Colors of the page, the breadcrumb bar and the charts: the embedding app's theme, else the one
+  // chosen in this browser
+  const [themeName, setThemeName] = useState(loadThemeName);
+  const pageTheme = getTheme(theme !== undefined ? theme : themeName);
+  // Drop-downs and text fields on the page, in its theme
+  const fieldStyle = {
+    padding: '0.3rem 0.5rem',
+    fontSize: '0.8rem',
+    color: pageTheme.fieldText,
+    backgroundColor: pageTheme.fieldBackground,
+    border: `1px solid ${pageTheme.fieldBorder}`,
+    borderRadius: '0.375rem'
+  };
+  // Buttons of the edit-mode toolbar, the timeline and the presentation mode
+  const draftButtonStyle = {
+    padding: '0.3rem 0.75rem',
+    fontSize: '0.8rem',
+    fontWeight: 600,
+    color: pageTheme.buttonText,
+    backgroundColor: pageTheme.buttonBackground,
+    border: `1px solid ${pageTheme.buttonBorder}`,
+    borderRadius: '0.375rem',
+    cursor: 'pointer'
+  };
+
+  // Interface strings, level names and tag names in the chosen language; anything the
+  // translation leaves out stays in English
+  const t = createTranslator(locale);
+  const levelLabels = translateLevelLabels(taxonomyLevelLabels, translations);
+  const tagCategories = { ...taxonomyTagCategories, ...translations.tagCategories };
+
+  // Formats a score for labels and tooltips, e.g. 2.5 or "2,5" in French
+  const formatScore = (score, maximumFractionDigits = 1, signed = false) => (
+    score.toLocaleString(locale, { maximumFractionDigits, signDisplay: signed ? 'exceptZero' : 'auto' })
+  );
+
+  // Breadcrumb trail from the root down to a node, the root named after the top level ("PRM Roles")
+  const getBreadCrumbs = (nodeInfo, currentId) => getBreadcrumbs(nodeInfo, currentId, getLevelLabel(levelLabels, 0));
+
+  useEffect(() => {
+    // Update breadcrumbs whenever currentLevelId changes (or the data it refers to arrives).
+    // While the pop-out is open the trail runs down to the selected leaf.
+    const lastId = showPopoutTable && transformedData.nodeInfo[selectedLeafId] ? selectedLeafId : currentLevelId;
+    if (transformedData.nodeInfo[lastId]) {
+      setBreadcrumbs(getBreadCrumbs(transformedData.nodeInfo, lastId));
     }
-    const words = text.split(' ');
-    let currentLine = '';
-    let wrappedText = '';
-
-    words.forEach((word, index) => {
-      if ((currentLine + word).length > maxLength && currentLine.length > 0) {
-        wrappedText += currentLine.trim() + '<br>';
-        currentLine = word + ' ';
-      } else {
-        currentLine += word + ' ';
+  }, [currentLevelId, transformedData.nodeInfo, showPopoutTable, selectedLeafId]); // Run this effect when the level, the data or the open leaf change
+
+  // Effect to load the taxonomy file once on component mount
+  useEffect(() => {
+    let cancelled = false; // Ignore the result if the component unmounts while loading
+    loadTaxonomy(dataUrl || resolveTaxonomyUrl())
+      .then(taxonomy => {
+        if (cancelled) return;
+        setTaxonomyTitle(taxonomy.title || '');
+        setTaxonomyLevelLabels(taxonomy.levels || DEFAULT_LEVEL_LABELS);
+        setTaxonomyTagCategories(taxonomy.tagCategories || {});
+        setDataTree(taxonomy.tree);
+      })
+      .catch(error => {
+        if (!cancelled) setLoadError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataUrl]); // Runs on mount, and again if the embedding app names another file
+
+  // Effect to load the taxonomy's translation whenever the language changes. English is the
+  // language of the taxonomy itself; if a translation fails to load, the taxonomy stays in English.
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    setTranslations(NO_TRANSLATIONS);
+    setTranslationsError(null);
+    if (locale === DEFAULT_LOCALE) return;
+    let cancelled = false;
+    loadTranslations(resolveTranslationsUrl(locale))
+      .then(translation => {
+        if (!cancelled) setTranslations(translation);
+      })
+      .catch(error => {
+        if (!cancelled) setTranslationsError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [locale]);
+
+  // Effect to load the evidence dataset once on component mount. A missing or invalid
+  // evidence file does not block the chart; the error is shown in the pop-out instead.
+  useEffect(() => {
+    let cancelled = false;
+    loadEvidence(resolveEvidenceUrl())
+      .then(evidence => {
+        if (!cancelled) setEvidenceByBottleneck(evidence);
+      })
+      .catch(error => {
+        if (!cancelled) setEvidenceError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Effect to load the guidance notes once on component mount. Like the evidence they are optional;
+  // an error is shown in the side panel.
+  useEffect(() => {
+    let cancelled = false;
+    loadGuidance(resolveGuidanceUrl())
+      .then(notes => {
+        if (!cancelled) setGuidance(notes);
+      })
+      .catch(error => {
+        if (!cancelled) setGuidanceError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Effect to load the relationships once on component mount. They are optional too; an error is
+  // reported next to the controls.
+  useEffect(() => {
+    let cancelled = false;
+    loadRelationships(resolveRelationshipsUrl())
+      .then(loaded => {
+        if (!cancelled) setRelationships(loaded);
+      })
+      .catch(error => {
+        if (!cancelled) setRelationshipsError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Effect to load the assessment index and every assessment it lists once on component mount.
+  // Like the evidence, ratings are optional, so loading errors are reported next to the controls.
+  useEffect(() => {
+    let cancelled = false;
+    loadAssessmentIndex()
+      .then(entries => {
+        if (cancelled) return;
+        setAssessmentOptions(entries);
+        // Keep assessments chosen by a shared link if the index still lists them
+        const isListed = (assessmentId) => assessmentId === DRAFT_ASSESSMENT_ID || entries.some(entry => entry.id === assessmentId);
+        setPrimaryAssessmentId(prevId => (isListed(prevId) ? prevId : entries[0].id));
+        setComparisonAssessmentId(prevId => (isListed(prevId) ? prevId : (entries[1] || entries[0]).id));
+        return loadAssessments(entries).then(result => {
+          if (cancelled) return;
+          setAssessments(result.assessments);
+          setAssessmentErrors(result.errors);
+        });
+      })
+      .catch(error => {
+        if (cancelled) return;
+        setAssessmentError(error);
+        // The draft can still be shown and rated without the published assessments
+        setPrimaryAssessmentId(prevId => prevId || DRAFT_ASSESSMENT_ID);
+        setComparisonAssessmentId(prevId => prevId || DRAFT_ASSESSMENT_ID);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Effect to (re)run the transformation whenever the tree, the view, the sizing mode or their data change
+  useEffect(() => {
+    if (!dataTree) return;
+    const getRatings = (assessmentId) => {
+      if (assessmentId === DRAFT_ASSESSMENT_ID) return draft.ratings;
+      return assessments[assessmentId] ? assessments[assessmentId].ratings : {};
+    };
+    // Ratings and evidence are joined to the leaves by their stable node ID, the code when they have one
+    const getSeverity = (ratings, id) => (ratings[id] && ratings[id].severity ? ratings[id].severity : null);
+    const makeLeafValue = (ratings) => ({ id }) => {
+      if (sizeMode === 'evidence') {
+        return evidenceByBottleneck[id] ? evidenceByBottleneck[id].length : 0;
       }
-      if (index === words.length - 1) {
-        wrappedText += currentLine.trim();
+      if (sizeMode === 'severity') {
+        return getSeverity(ratings, id) || 0;
       }
+      return 1;
+    };
+    // Options shared by every score-colored view
+    const scoreOptions = (getLeafScore, colorForScore) => ({
+      getLeafScore,
+      scoreToColor: score => colorForScore(score, { discrete: scaleType === 'discrete' }),
+      aggregate: aggregation
     });
-    return wrappedText;
-  };
+    // Labels in the chosen language, keyed by node ID; untranslated nodes keep their English label
+    const nodeLabels = translations.nodes || {};
+    const translateLabel = (nodeId, label) => nodeLabels[nodeId] || label;
+    const labelOptions = { translateLabel, wrapWidth: layout.wrapWidth, theme: pageTheme };
+
+    // Prune the bottlenecks that do not pass the tag filters, and the roles and challenges left empty,
+    // before the transform so that the parents' totals only count what is drawn
+    const tree = hasTagFilters(tagFilters) ? filterTree(dataTree, tagFilters) : dataTree;
 
-  const getBreadCrumbs = (nodeInfo, currentId) => {
-    const breadcrumbs = [];
-    let currentNode = nodeInfo[currentId];
-    while (currentNode.depth > 0) {
-      breadcrumbs.unshift(currentNode.label);
-      currentNode = nodeInfo[currentNode.parentId];
+    let nextPanels;
+    if (viewMode === 'side-by-side') {
+      // Each panel is sized and colored by its own assessment's ratings
+      nextPanels = [primaryAssessmentId, comparisonAssessmentId].map(assessmentId => {
+        const ratings = getRatings(assessmentId);
+        return {
+          assessmentId,
+          data: buildSunburst(tree, {
+            getLeafValue: makeLeafValue(ratings),
+            ...labelOptions,
+            ...scoreOptions(({ id }) => getSeverity(ratings, id), severityColor)
+          })
+        };
+      });
+    } else if (viewMode === 'change') {
+      // One sunburst sized by the later assessment and colored by the change in severity
+      const baseline = getRatings(primaryAssessmentId);
+      const comparison = getRatings(comparisonAssessmentId);
+      nextPanels = [{
+        assessmentId: comparisonAssessmentId,
+        data: buildSunburst(tree, {
+          getLeafValue: makeLeafValue(comparison),
+          ...labelOptions,
+          ...scoreOptions(({ id }) => {
+            const before = getSeverity(baseline, id);
+            const after = getSeverity(comparison, id);
+            return before !== null && after !== null ? after - before : null;
+          }, changeColor)
+        })
+      }];
+    } else if (viewMode === 'portfolio') {
+      // One sunburst sized by how many countries flag each bottleneck and colored by its mean severity
+      const stats = buildPortfolioStats(selectPortfolio(assessmentOptions, assessments), assessments);
+      nextPanels = [{
+        assessmentId: '',
+        data: buildSunburst(tree, {
+          getLeafValue: ({ id }) => (stats[id] ? stats[id].flagged : 0),
+          ...labelOptions,
+          ...scoreOptions(({ id }) => (stats[id] ? stats[id].mean : null), severityColor)
+        })
+      }];
+    } else {
+      const ratings = getRatings(primaryAssessmentId);
+      nextPanels = [{
+        assessmentId: primaryAssessmentId,
+        data: buildSunburst(tree, {
+          getLeafValue: makeLeafValue(ratings),
+          ...labelOptions,
+          // Scored whatever the coloring, so that tooltips show the severity; colored by it on request
+          ...scoreOptions(({ id }) => getSeverity(ratings, id), severityColor),
+          ...(colorMode !== 'severity' && { scoreToColor: null })
+        })
+      }];
     }
-    breadcrumbs.unshift("PRM Roles"); // Add the root label at the start
-    return breadcrumbs;
-  };
 
+    const data = nextPanels[0].data;
+    setPanels(nextPanels);
+    setTransformedData(data);
+    // Keep the current (or linked) level across re-sizing unless it is no longer drawn or cannot be
+    // zoomed into; start at the root the first time
+    setCurrentLevelId(prevId => (
+      data.nodeInfo[prevId] && data.nodeInfo[prevId].children.length > 0 && data.values[data.ids.indexOf(prevId)] > 0
+        ? prevId
+        : data.ids[0] // First ID is always the root
+    ));
+  }, [dataTree, translations, tagFilters, viewMode, sizeMode, colorMode, scaleType, aggregation, evidenceByBottleneck, assessments, assessmentOptions, draft, primaryAssessmentId, comparisonAssessmentId, layout.wrapWidth, pageTheme]);
+
+  // Effect to save the draft assessment in this browser whenever it changes
   useEffect(() => {
-    // Update breadcrumbs whenever currentLevelId changes
-    if (transformedData.nodeInfo && currentLevelId) {
-      const breadcrumbs = getBreadCrumbs(transformedData.nodeInfo, currentLevelId);
-      // Update the breadcrumbs display (you can set this in state or directly manipulate the DOM)
-      setBreadcrumbs(breadcrumbs);
+    try {
+      saveDraft(draft);
+      setDraftSaveError(null);
+    } catch (error) {
+      setDraftSaveError(error);
     }
-  }, [currentLevelId]); // Run this effect when nodeInfo or currentLevelId changes
-
-  /**
-   * Generates an array of sample text strings for table rows.
-   * @param {number} numRows - The desired number of rows.
-   * @param {number} charPerLine - The approximate number of characters per line for each row.
-   * @returns {string[]} An array of sample text strings.
-   */
-  const generateSampleRows = (numRows, charPerLine) => {
-    const loremIpsum = `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat. Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim id est laborum. `;
-    let text = '';
-    const rows = [];
-    for (let i = 0; i < numRows; i++) {
-      text = ''; // Reset text for each row
-      while (text.length < charPerLine) {
-        text += loremIpsum;
-      }
-      rows.push(text.substring(0, charPerLine));
+  }, [draft]);
+
+  // Effect to save the layout in this browser whenever it changes. Embedded charts leave it alone,
+  // as their depth comes from the host page.
+  useEffect(() => {
+    if (embedded) return;
+    try {
+      saveLayout(layout);
+    } catch (error) {
+      // Without storage the layout lasts until the page is closed, which is not worth a message
     }
-    return rows;
-  };
+  }, [layout, embedded]);
 
-  /**
-   * Transforms the raw hierarchical data into the format required by Plotly's sunburst chart.
-   * This version now includes the "PF Bottleneck" layer and assigns colors based on hierarchy groups.
-   * @param {object} dataTree - The raw hierarchical data.
-   * @returns {{ids: string[], labels: string[], parents: string[], values: number[], colors: string[], nodeInfo: object, textColors:string[]}}
-   */
-  const transformDataForSunburst = (dataTree) => {
-    const ids = [];
-    const labels = [];
-    const parents = [];
-    const values = [];
-    const colors = [];
-    const nodeValues = {};
-    const nodeInfo = {};
-    const textColors = [];
-    let idCounter = 0;
-    const idMap = new Map();
-
-    const TEXT_WRAP_MAX_LENGTH = 25;
-
-    // Alternating color palettes for each layer
-    const LAYER_COLORS = [
-      ['#FF848B', '#F84B64'], // 1st layer
-      ['#C9E7F8', '#4D9FD3'], // 2nd layer
-      ['#C742B3', '#D1BACE']  // 3rd layer
-    ];
-
-    // Helper to get alternating color for a given layer and index
-    const getAltColor = (depth, idx) => {
-      if (depth === 0) return '#FFFFFF'; // Root always white
-      if (depth > 3) return '#CCCCCC'; // Fallback for deeper layers
-      return LAYER_COLORS[depth - 1][idx % 2];
-    };
+  // Effect to save the theme chosen in this browser whenever it changes
+  useEffect(() => {
+    if (embedded) return;
+    try {
+      saveThemeName(themeName);
+    } catch (error) {
+      // As for the layout, the choice then lasts until the page is closed
+    }
+  }, [themeName, embedded]);
 
-    const generateUniqueId = (label) => {
-      if (idMap.has(label)) {
-        return idMap.get(label);
-      }
-      const newId = `node-${idCounter++}`;
-      idMap.set(label, newId);
-      return newId;
+  // Effect to mirror the zoom level, the open pop-out and the view options in the URL, so links
+  // can be shared and the browser's back/forward buttons step through drill-down history
+  useEffect(() => {
+    if (embedded) return; // The URL belongs to the embedding page
+    if (transformedData.ids.length === 0) return; // Keep the linked state until the data has loaded
+    const rootId = transformedData.ids[0];
+    const defaultAssessmentId = assessmentOptions.length > 0 ? assessmentOptions[0].id : '';
+    writeUrlState({
+      level: currentLevelId !== rootId ? currentLevelId : '',
+      leaf: showPopoutTable && transformedData.nodeInfo[selectedLeafId] ? selectedLeafId : '',
+      chart: chartType !== 'sunburst' ? chartType : '',
+      tags: formatTagFilters(tagFilters),
+      view: viewMode !== 'single' ? viewMode : '',
+      from: primaryAssessmentId !== defaultAssessmentId ? primaryAssessmentId : '',
+      to: COMPARISON_VIEWS.includes(viewMode) ? comparisonAssessmentId : '',
+      size: sizeMode !== 'uniform' ? sizeMode : '',
+      color: viewMode === 'single' && colorMode !== 'position' ? colorMode : '',
+      scale: scaleType !== 'continuous' ? scaleType : '',
+      parents: aggregation !== 'mean' ? aggregation : '',
+      lang: locale !== detectLocale(undefined) ? locale : '', // Only when it differs from the browser's language
+      present: presentation
+    });
+  }, [transformedData, currentLevelId, showPopoutTable, selectedLeafId, chartType, tagFilters, viewMode, primaryAssessmentId, comparisonAssessmentId, assessmentOptions, sizeMode, colorMode, scaleType, aggregation, locale, presentation, embedded]);
+
+  // Effect to restore the state stored in the URL when the user goes back or forward
+  useEffect(() => {
+    if (embedded) return;
+    const handlePopState = () => {
+      const state = readUrlState();
+      const defaultAssessmentId = assessmentOptions.length > 0 ? assessmentOptions[0].id : '';
+      setCurrentLevelId(state.level && transformedData.nodeInfo[state.level] ? state.level : transformedData.ids[0]);
+      setSelectedLeafId(state.leaf || '');
+      setShowPopoutTable(Boolean(state.leaf));
+      setChartType(pickOption(CHART_TYPES, state.chart, 'sunburst'));
+      setTagFilters(parseTagFilters(state.tags));
+      setViewMode(pickOption(VIEW_MODES, state.view, 'single'));
+      setPrimaryAssessmentId(state.from || defaultAssessmentId);
+      if (state.to) setComparisonAssessmentId(state.to);
+      setSizeMode(pickOption(SIZE_MODES, state.size, 'uniform'));
+      setColorMode(pickOption(COLOR_MODES, state.color, 'position'));
+      setScaleType(pickOption(SCALE_TYPES, state.scale, 'continuous'));
+      setAggregation(pickOption(AGGREGATIONS, state.parents, 'mean'));
+      setLocale(detectLocale(state.lang));
+      setPresentation(pickOption(PRESENTATION_OPTIONS, state.present, ''));
     };
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, [transformedData, assessmentOptions, embedded]);
 
-    // Track index for alternating colors at each layer
-    const layerIndices = [0, 0, 0, 0];
-
-    // Add the root node: "Role of Public Finance" (Depth 0)
-    const rootLabel = Object.keys(dataTree)[0];
-    const rootId = generateUniqueId(rootLabel);
-    ids.push(rootId);
-    labels.push(wrapText(rootLabel, TEXT_WRAP_MAX_LENGTH));
-    parents.push('');
-    values.push(0);
-    colors.push(getAltColor(0, 0));
-    textColors.push('black');
-    nodeValues[rootId] = 0;
-    nodeInfo[rootId] = { label: rootLabel, parentId: '', depth: 0, children: [] };
-
-    // 1st layer
-    let l1idx = 0;
-    let l2globalIdx = 0; // Global counter for 2nd layer
-    for (const level1Label in dataTree[rootLabel]) {
-      const level1Id = generateUniqueId(level1Label);
-      ids.push(level1Id);
-      labels.push(wrapText(level1Label, TEXT_WRAP_MAX_LENGTH));
-      parents.push(rootId);
-      values.push(0);
-      const l1color = getAltColor(1, l1idx);
-      colors.push(l1color);
-      textColors.push('#FFFFFF');
-      nodeValues[level1Id] = 0;
-      nodeInfo[level1Id] = { label: level1Label, parentId: rootId, depth: 1, children: [] };
-      nodeInfo[rootId].children.push(level1Id);
-
-      // 2nd layer
-      for (const level2Label in dataTree[rootLabel][level1Label]) {
-        const level2Id = generateUniqueId(level2Label);
-        ids.push(level2Id);
-        labels.push(wrapText(level2Label, TEXT_WRAP_MAX_LENGTH));
-        parents.push(level1Id);
-        values.push(0);
-        const l2color = getAltColor(2, l2globalIdx);
-        colors.push(l2color);
-        textColors.push('black');
-        nodeValues[level2Id] = 0;
-        nodeInfo[level2Id] = { label: level2Label, parentId: level1Id, depth: 2, children: [] };
-        nodeInfo[level1Id].children.push(level2Id);
-
-        // 3rd layer (leaf nodes)
-        let l3idx = 0;
-        const policies = dataTree[rootLabel][level1Label][level2Label];
-        policies.forEach(policyLabel => {
-          const policyId = generateUniqueId(policyLabel);
-          ids.push(policyId);
-          labels.push(wrapText(policyLabel, TEXT_WRAP_MAX_LENGTH));
-          parents.push(level2Id);
-          values.push(1);
-          const l3color = getAltColor(3, l3idx);
-          colors.push(l3color);
-          textColors.push('black');
-          nodeValues[policyId] = 1;
-          nodeInfo[policyId] = { label: policyLabel, parentId: level2Id, depth: 3, children: [] };
-          nodeInfo[level2Id].children.push(policyId);
-          nodeValues[level2Id] = (nodeValues[level2Id] || 0) + 1;
-          l3idx++;
-        });
-        nodeValues[level1Id] = (nodeValues[level1Id] || 0) + nodeValues[level2Id];
-        l2globalIdx++; // Increment global 2nd layer index
-      }
-      nodeValues[rootId] = (nodeValues[rootId] || 0) + nodeValues[level1Id];
-      l1idx++;
-    }
+  // Snapshots of the shown country, oldest first, for the year slider and the trend chart. Playback
+  // steps through one assessment at a time, so only in the single view of the browse mode.
+  const countryTimeline = findTimeline(buildTimelines(assessmentOptions, assessments), primaryAssessmentId);
+  const playbackTimeline = viewMode === 'single' && appMode === 'browse' ? countryTimeline : [];
+  const snapshotIndex = playbackTimeline.findIndex(snapshot => snapshot.id === primaryAssessmentId);
+  const nextSnapshotId = snapshotIndex >= 0 && snapshotIndex < playbackTimeline.length - 1 ? playbackTimeline[snapshotIndex + 1].id : '';
 
-    // After calculating all sums, update the 'values' array with the final calculated values
-    for (let i = 0; i < ids.length; i++) {
-      values[i] = nodeValues[ids[i]];
+  // Effect to step to the next snapshot while the timeline plays, stopping at the latest one. The
+  // zoom level is kept by the transform effect, as when picking an assessment by hand.
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (!nextSnapshotId) {
+      setIsPlaying(false);
+      return;
     }
+    const timer = setTimeout(() => setPrimaryAssessmentId(nextSnapshotId), PLAYBACK_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, nextSnapshotId]);
 
-    return { ids, labels, parents, values, colors, nodeInfo, textColors };
-  };
+  // Effect to tell the embedding app which level is on screen whenever it changes. It waits while
+  // a level asked for is still to be applied (by the next effect), so as not to report the level it replaces.
+  useEffect(() => {
+    if (!onLevelChanged || !transformedData.nodeInfo[currentLevelId] || reportedLevelRef.current === currentLevelId) return;
+    if (transformedData.nodeInfo[level] && appliedLevelRef.current !== level && level !== currentLevelId) return;
+    reportedLevelRef.current = currentLevelId;
+    onLevelChanged(describeEmbedNode(transformedData.nodeInfo, currentLevelId));
+  }, [currentLevelId, transformedData.nodeInfo, onLevelChanged, level]);
 
-  // Effect to run transformation once on component mount
+  // Effect to zoom to the level asked for by the embedding app, once it is in the data. Changes
+  // made on screen since are kept until another level is asked for.
   useEffect(() => {
-    const data = transformDataForSunburst(rawDataTree);
-    setTransformedData(data);
-    // Set initial level to the root ID after transformation
-    if (data.ids.length > 0) {
-      setCurrentLevelId(data.ids[0]); // First ID is always the root
+    const node = transformedData.nodeInfo[level];
+    if (!node || appliedLevelRef.current === level) return;
+    appliedLevelRef.current = level;
+    if (level === currentLevelId) return;
+    if (node.depth === 0 || node.children.length > 0) {
+      setCurrentLevelId(level);
+      setShowPopoutTable(false);
+      setSelectedLeafId('');
+    } else {
+      setCurrentLevelId(node.parentId);
+      setSelectedLeafId(level);
+      setShowPopoutTable(true);
     }
-  }, []); // Empty dependency array means this runs once on mount
+  }, [level, transformedData.nodeInfo, currentLevelId]);
 
   // Function to close the pop-out table
   const closePopoutTable = () => {
     setShowPopoutTable(false);
-    setPopoutTableRows([]);
+    setSelectedLeafId('');
+  };
+
+  // Zoom to a node picked from the breadcrumb bar; the root crumb returns to the top level
+  const handleBreadcrumbClick = (nodeId) => {
+    setCurrentLevelId(nodeId);
+    closePopoutTable(); // Close table if open
+  };
+
+  // Switching to the edit mode shows the draft as a severity heatmap, so ratings appear as they are entered
+  const handleAppModeChange = (mode) => {
+    setAppMode(mode);
+    closePopoutTable();
+    if (mode === 'edit') {
+      setViewMode('single');
+      setPrimaryAssessmentId(DRAFT_ASSESSMENT_ID);
+      setColorMode('severity');
+    }
+  };
+
+  // Plays the timeline, from the oldest snapshot if the latest is on screen, or pauses it
+  const togglePlayback = () => {
+    if (!isPlaying && !nextSnapshotId) setPrimaryAssessmentId(playbackTimeline[0].id);
+    setIsPlaying(!isPlaying);
+  };
+
+  // Moves to a snapshot picked on the year slider, pausing the playback
+  const handleSnapshotChange = (idx) => {
+    setIsPlaying(false);
+    setPrimaryAssessmentId(playbackTimeline[idx].id);
   };
 
-  // Handle click events on the sunburst chart (for zooming and pop-out)
-  const handlePlotClick = (eventData) => { // Wrapped in useCallback
+  // Replaces the draft with an assessment file chosen by the user
+  const importDraft = (file) => {
+    const ratedCount = Object.keys(draft.ratings).length;
+    if (ratedCount > 0 && !window.confirm(t('draft.confirmReplace', { count: ratedCount, file: file.name }))) return;
+    file.text()
+      .then(text => {
+        setDraft(parseDraft(text));
+        setDraftError(null);
+      })
+      .catch(error => setDraftError(error));
+  };
+
+  // Empties the draft after confirmation
+  const clearDraft = () => {
+    if (window.confirm(t('draft.confirmClear'))) {
+      setDraft(createDraft());
+      setDraftError(null);
+    }
+  };
+
+  // Draws the chart from an imported spreadsheet in place of the taxonomy file, starting from its
+  // top level. Its scores become an assessment of their own, shown as a severity heatmap.
+  const applySpreadsheetImport = ({ taxonomy, ratings }, fileName) => {
+    setTaxonomyTitle(taxonomy.title);
+    setTaxonomyLevelLabels(taxonomy.levels);
+    setTaxonomyTagCategories({});
+    setTagFilters({});
+    setDataTree(taxonomy.tree);
+    setLoadError(null);
+    setCurrentLevelId('');
+    closePopoutTable();
+    setShowImporter(false);
+    if (Object.keys(ratings).length === 0) return;
+    setAssessmentOptions(prevOptions => [
+      ...prevOptions.filter(option => option.id !== IMPORTED_ASSESSMENT_ID),
+      { id: IMPORTED_ASSESSMENT_ID, label: fileName }
+    ]);
+    setAssessments(prevAssessments => ({ ...prevAssessments, [IMPORTED_ASSESSMENT_ID]: { ratings } }));
+    setViewMode('single');
+    setPrimaryAssessmentId(IMPORTED_ASSESSMENT_ID);
+    setColorMode('severity');
+  };
+
+  // Zoom to a node picked from the search results. A leaf is shown within its parent, with its evidence open.
+  const handleSearchSelect = (nodeId) => {
+    const node = transformedData.nodeInfo[nodeId];
+    if (node.children.length > 0) {
+      setCurrentLevelId(nodeId);
+      closePopoutTable(); // Close table if open
+    } else {
+      setCurrentLevelId(node.parentId);
+      setSelectedLeafId(nodeId);
+      setShowPopoutTable(true);
+    }
+  };
+
+  // Act on a node picked in a chart or the outline: zoom into a parent (or back out of the
+  // current level), or show a leaf's evidence in the pop-out table
+  const handleNodeSelect = (nodeId) => {
+    const clickedNodeInfo = transformedData.nodeInfo[nodeId];
+    if (!clickedNodeInfo) return;
+    if (onNodeSelected) onNodeSelected(describeEmbedNode(transformedData.nodeInfo, nodeId));
+    if (clickedNodeInfo.depth === 0 || clickedNodeInfo.children.length > 0) {
+      // Clicked the root, a Role, a Challenge or any other parent: zoom in or out (see nextLevel)
+      setCurrentLevelId(nextLevel(transformedData.nodeInfo, currentLevelId, nodeId));
+      closePopoutTable(); // Close table if open
+    } else {
+      // Clicked a leaf (a bottleneck, or a question under one): show its evidence in the pop-out table
+      setSelectedLeafId(nodeId);
+      setShowPopoutTable(true);
+    }
+  };
+
+  // Handle click events on the charts (for zooming and pop-out)
+  const handlePlotClick = (eventData) => {
     if (eventData.points && eventData.points.length > 0) {
       eventData.event.stopPropagation(); // Prevent event bubbling
-      const clickedNodeId = eventData.points[0].id;
-      const clickedNodeInfo = transformedData.nodeInfo[clickedNodeId];
-      const rootId = transformedData.ids[0]; // Get the actual root ID
-
-      if (clickedNodeInfo) {
-        if (clickedNodeInfo.depth === 0) {
-          // Clicked the root: reset to show root and its children
-          setCurrentLevelId(prevId=>clickedNodeId);
-          closePopoutTable(); // Close table if open
-        } else if (clickedNodeInfo.depth === 1) {
-          // Clicked a "Commitment to Feasible Policy" or "Fiscal sustainability" (Depth 1)
-          if (currentLevelId === clickedNodeId) {
-            // If currently zoomed into this specific level1, zoom out to root view
-            setCurrentLevelId(prevId => rootId)
-          } else {
-            // If currently at the root view or another level1, zoom into this level1
-            setCurrentLevelId(prevId => clickedNodeId)
-          }
-          closePopoutTable(); // Close table if open
-        } else if (clickedNodeInfo.depth === 2) {
-          // Clicked a "PF Bottleneck" or similar (Depth 2)
-          if (currentLevelId === clickedNodeId) {
-            // If currently zoomed into this specific level2, zoom out to its parent level1
-            setCurrentLevelId(prevId => transformedData.nodeInfo[clickedNodeId].parentId);
-          } else {
-            // If currently at a higher level, zoom into this level2
-            setCurrentLevelId(prevId => clickedNodeId);
-          }
-          closePopoutTable(); // Close table if open
-        } else if (clickedNodeInfo.depth === 3) {
-          // Clicked a "Policy" (outermost layer - Depth 3): show pop-out table
-          setPopoutTableRows(generateSampleRows(6, 80)); // Generate 6 rows, ~80 chars each
-          setShowPopoutTable(true);
-        }
-      }
+      handleNodeSelect(eventData.points[0].id);
+    }
+  };
+
+  // Track the slice under the pointer for the tooltip. Plotly's own tooltip is turned off, as it
+  // would repeat the truncated, wrapped label.
+  const handlePlotHover = (eventData, panelIndex) => {
+    if (eventData.points && eventData.points.length > 0 && eventData.event) {
+      setHoveredNode({ id: eventData.points[0].id, panelIndex, x: eventData.event.clientX, y: eventData.event.clientY });
+    }
+  };
+
+  // Slices drawn in the chart; leaves sized at zero (and parents with nothing left below them) are not
+  const isShown = (nodeId) => transformedData.values[transformedData.ids.indexOf(nodeId)] > 0;
+
+  // The slice picked with the arrow keys. It is always the level on screen or one in the ring
+  // around it, so after zooming by other means the focus starts again on the first slice of the ring.
+  const ringIds = getShownChildren(transformedData.nodeInfo, currentLevelId, isShown);
+  const keyboardNodeId = keyboardFocusId === currentLevelId || ringIds.includes(keyboardFocusId)
+    ? keyboardFocusId
+    : ringIds[0] || currentLevelId;
+
+  // Keyboard navigation of the charts: arrow keys, Home/End, Escape and Backspace move the focus
+  // (see navigateChart), and Enter or Space act on the focused slice as a click does
+  const handleChartKeyDown = (event, panelIndex) => {
+    setFocusedPanelIndex(panelIndex); // Show the focus once the keyboard is used after a click
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      handleNodeSelect(keyboardNodeId);
+      return;
+    }
+    const next = navigateChart(transformedData.nodeInfo, isShown, { levelId: currentLevelId, focusId: keyboardNodeId }, event.key);
+    if (!next) return;
+    event.preventDefault(); // Keep the arrow keys from scrolling the page
+    if (next.levelId !== currentLevelId) setCurrentLevelId(next.levelId);
+    setKeyboardFocusId(next.focusId);
+  };
+
+  // Leaf shown in the pop-out and the evidence recorded against its bottleneck ID
+  const selectedLeaf = transformedData.nodeInfo[selectedLeafId];
+  const selectedEvidence = (selectedLeaf && evidenceByBottleneck[selectedLeafId]) || [];
+  // The assessments summarized by the portfolio view, how often each bottleneck is flagged in them,
+  // and those that flag the selected bottleneck
+  const portfolioIds = viewMode === 'portfolio' ? selectPortfolio(assessmentOptions, assessments) : [];
+  const portfolioStats = buildPortfolioStats(portfolioIds, assessments);
+  const selectedFlags = selectedLeaf ? rankFlaggedAssessments(portfolioIds, assessments, selectedLeafId) : [];
+  // The selected bottleneck's severity in each snapshot of the country, when there are several
+  const selectedTrend = viewMode !== 'portfolio' && countryTimeline.length > 1 && selectedLeaf
+    ? getSeverityTrend(countryTimeline, assessments, selectedLeafId)
+    : [];
+
+  // Nodes matching the search, best first, with the trail of ancestors shown under each result
+  const searchMatches = searchTaxonomy(transformedData.nodeInfo, evidenceByBottleneck, searchQuery);
+  const matchedIds = new Set(searchMatches.map(match => match.id));
+  const searchResults = searchMatches.slice(0, SEARCH_RESULT_LIMIT).map(match => {
+    const node = transformedData.nodeInfo[match.id];
+    const path = node.parentId ? getBreadCrumbs(transformedData.nodeInfo, node.parentId).map(crumb => crumb.label).join(' › ') : '';
+    return { ...match, label: node.label, code: node.code, path };
+  });
+
+  // Rated and total bottlenecks under each node, shown on the parents in the edit mode
+  const draftCompletion = appMode === 'edit' ? summarizeCompletion(transformedData.nodeInfo, draft.ratings) : null;
+
+  // Label of a slice; in the edit mode parents add their completion and rolled-up score
+  const sliceLabel = (data, i) => {
+    const node = data.nodeInfo[data.ids[i]];
+    const completion = draftCompletion && draftCompletion[data.ids[i]];
+    if (!completion || node.children.length === 0) return data.labels[i];
+    const score = node.score !== undefined && node.score !== null ? ` · ${t(`sliceLabel.${aggregation}`, { score: formatScore(node.score) })}` : '';
+    return `${data.labels[i]}<br>${t('sliceLabel.completion', { rated: completion.rated, total: completion.total })}${score}`;
+  };
+
+  // Tag categories and values offered by the filter panel, from the full tree
+  const tagOptions = dataTree ? collectTagOptions(dataTree) : [];
+  const toggleTag = (category, value) => setTagFilters(toggleTagFilter(tagFilters, category, value));
+
+  // Whether a slice is pushed into the background because it neither matches the search nor is
+  // highlighted by the embedding app. The ancestors of a match stay lit too, so that a match too
+  // deep to be drawn still shows where it sits.
+  const highlightedIds = new Set();
+  [...matchedIds, ...(highlightIds || [])].forEach(id => {
+    for (let nodeId = id; nodeId && !highlightedIds.has(nodeId); nodeId = transformedData.nodeInfo[nodeId] ? transformedData.nodeInfo[nodeId].parentId : '') {
+      highlightedIds.add(nodeId);
+    }
+  });
+  const isDimmed = (id) => highlightedIds.size > 0 && !highlightedIds.has(id);
+
+  // Summary lines of the tooltip: the bottlenecks below a parent, the (rolled-up) score of the
+  // panel it is drawn in, how often it is flagged in the portfolio view, and the rating progress
+  // in the edit mode
+  const tooltipDetails = (nodeId, data) => {
+    const node = data.nodeInfo[nodeId];
+    const details = [];
+    const isLeaf = node.children.length === 0;
+    if (!isLeaf) {
+      details.push(t('tooltip.bottlenecks', { count: node.leafCount }));
+    }
+    if (viewMode === 'portfolio') {
+      const stats = portfolioStats[nodeId];
+      details.push(isLeaf
+        ? t('tooltip.flagged', { flagged: stats ? stats.flagged : 0, count: portfolioIds.length })
+        : t('tooltip.flags', { count: data.values[data.ids.indexOf(nodeId)] }));
+    }
+    if (node.score !== undefined) {
+      // e.g. "tooltip.severity", or "tooltip.change.max" for the largest change below a parent;
+      // a bottleneck's score in the portfolio view is already a mean across the countries
+      const scoreKey = `tooltip.${viewMode === 'change' ? 'change' : 'severity'}${isLeaf ? (viewMode === 'portfolio' ? '.mean' : '') : `.${aggregation}`}`;
+      details.push(node.score === null ? t('severity.notRated') : t(scoreKey, { score: formatScore(node.score, 1, viewMode === 'change') }));
+    }
+    if (viewMode === 'portfolio' && isLeaf && portfolioStats[nodeId] && portfolioStats[nodeId].rated > 1) {
+      details.push(t('tooltip.spread', { spread: formatScore(portfolioStats[nodeId].spread) }));
+    }
+    if (draftCompletion && !isLeaf) {
+      details.push(t('tooltip.rated', { rated: draftCompletion[nodeId].rated, total: draftCompletion[nodeId].total }));
     }
+    return details;
+  };
+  const hoveredPanel = hoveredNode && panels[hoveredNode.panelIndex];
+
+  // The path from the top to a node with each level named, as in the breadcrumb bar
+  const describePath = (nodeId) => getBreadCrumbs(transformedData.nodeInfo, nodeId)
+    .map((crumb, idx) => (idx > 0 ? t('breadcrumb.crumb', { level: getLevelLabel(levelLabels, idx), label: crumb.label }) : crumb.label))
+    .join(' › ');
+
+  // Read out by screen readers whenever it changes: the path to the slice focused with the keyboard,
+  // its place in the ring and the figures of its tooltip, or else the path to the level on screen
+  const focusedPanel = focusedPanelIndex !== null && panels[focusedPanelIndex];
+  let liveMessage = '';
+  if (focusedPanel && focusedPanel.data.nodeInfo[keyboardNodeId]) {
+    const position = ringIds.indexOf(keyboardNodeId);
+    liveMessage = [
+      describePath(keyboardNodeId),
+      ...(position >= 0 ? [t('chart.position', { position: position + 1, count: ringIds.length })] : []),
+      ...tooltipDetails(keyboardNodeId, focusedPanel.data)
+    ].join(', ');
+  } else if (transformedData.nodeInfo[currentLevelId]) {
+    liveMessage = describePath(currentLevelId);
+  }
+  const hoveredInfo = hoveredPanel && hoveredPanel.data.nodeInfo[hoveredNode.id];
+
+  // The level the chart is zoomed to, described in the side panel with the nodes below it,
+  // with its definition in the chosen language when the translation has one
+  const focusedNode = transformedData.nodeInfo[currentLevelId];
+  const focusedNote = { ...guidance[currentLevelId] };
+  if (translations.definitions && translations.definitions[currentLevelId]) {
+    focusedNote.definition = translations.definitions[currentLevelId];
   }
-  // Define the data for the sunburst chart using the transformed data
-  const plotData = [
+
+  // The nodes linked to a node or anything below it, and the reforms recommended for them, as the
+  // side panel and the pop-out list them; nodes left out of the taxonomy loaded are skipped
+  const describeRelations = (nodeId) => {
+    const nodeIds = getSubtreeIds(transformedData.nodeInfo, nodeId);
+    return {
+      relations: getRelatedNodes(relationships.links, nodeIds)
+        .filter(relation => transformedData.nodeInfo[relation.nodeId])
+        .map(relation => ({ ...relation, label: transformedData.nodeInfo[relation.nodeId].label, code: transformedData.nodeInfo[relation.nodeId].code })),
+      reforms: getRecommendedReforms(relationships.reforms, nodeIds)
+    };
+  };
+
+  const selectedRelations = selectedLeaf ? describeRelations(selectedLeafId) : { relations: [], reforms: [] };
+
+  // Chords between linked slices, drawn over each sunburst when the layout asks for them
+  const showChords = chartType === 'sunburst' && layout.relations && relationships.links.length > 0;
+  const buildChordOverlay = (data) => {
+    const { slices, ringCount } = layoutSunburstSlices(data, currentLevelId, layout.depth === 'all' ? Infinity : layout.depth);
+    return (
+      <ChordOverlay
+        chords={buildChords(relationships.links, slices, data.nodeInfo)}
+        slices={slices}
+        ringCount={ringCount}
+        top={chartMarginTop}
+        theme={pageTheme}
+      />
+    );
+  };
+
+  // Depth of the deepest node, the most rings the charts can show around the root
+  const maxTreeDepth = transformedData.ids.reduce((max, id) => Math.max(max, transformedData.nodeInfo[id].depth), 0);
+
+  // Leaves sized at zero by the current sizing mode are not drawn by Plotly
+  const hiddenLeafCount = transformedData.ids.filter((id, i) => (
+    transformedData.nodeInfo[id].children.length === 0 && transformedData.values[i] === 0
+  )).length;
+
+  // Define the data for the chart from one panel's transformed data. Icicles and treemaps take
+  // the same ids/parents/values/colors as the sunburst and zoom the same way with `level`.
+  const buildPlotData = (data) => [
     {
-      type: 'sunburst',
-      ids: transformedData.ids,
-      labels: transformedData.labels,
-      parents: transformedData.parents,
-      values: transformedData.values,
+      type: chartType,
+      ids: data.ids,
+      labels: data.ids.map((id, i) => sliceLabel(data, i)),
+      parents: data.parents,
+      values: data.values,
       branchvalues: 'total', // Sum of children's values for internal nodes
-      hoverinfo: 'none', // Removed default hoverinfo to hide Plotly's default tooltip
+      hoverinfo: 'none', // Plotly's tooltip is replaced by NodeTooltip, which shows the full label
       marker: {
-        colors: transformedData.colors, // Use the custom colors array
-        line: { // Added line properties for separators
-          color: '#333333', // Dark color for lines
-          width: 0 // Thin lines
-        }
+        colors: data.colors.map((color, i) => (isDimmed(data.ids[i]) ? fadeColor(color, SEARCH_DIM_AMOUNT) : color)), // Use the custom colors array, faded outside the search matches
+        line: focusedPanelIndex !== null ? { // Outline the slice picked with the arrow keys
+          color: KEYBOARD_FOCUS_LINE.color,
+          width: data.ids.map(id => (id === keyboardNodeId ? KEYBOARD_FOCUS_LINE.width : 0))
+        } : pageTheme.sliceBorder // Lines between slices, if the theme draws them
       },
       textfont: {
-        size: 12, // Adjust font size for better readability of labels
-        color: transformedData.textColors // Use the text colors array
+        size: layout.fontSize, // Chosen in the layout panel
+        color: data.textColors.map((color, i) => (isDimmed(data.ids[i]) ? SEARCH_DIM_TEXT_COLOR : color)) // Use the text colors array
       },
       textinfo: 'label', // Display only the label, not value or percentage - ensures text is shown
-      textorientation: 'horizontal', // Explicitly set textorientation to 'horizontal'
-      level: currentLevelId, // Control the centered node
-      maxdepth: 2, // Show only 2 layers at once (current level + 1 child layer)
+      ...(chartType === 'sunburst' && { insidetextorientation: layout.orientation }), // Direction of the labels (sunburst only)
+      ...(chartType === 'treemap' && { pathbar: { visible: false } }), // The breadcrumb bar already shows the path
+      level: currentLevelId, // Control the centered node (shared by all panels, so their zoom stays in sync)
+      maxdepth: layout.depth === 'all' ? -1 : layout.depth + 1, // Show the current level and its rings (one by default)
       insidetextfont: {
-        size: 10 // Can adjust font size for inner text if needed
+        size: layout.fontSize // Labels inside the slices, which is all of them in a sunburst
       },
       sort: false // Disable sorting of slices
     }
   ];
 
+  // Name of an assessment for panel titles and selectors
+  const assessmentName = (assessmentId) => {
+    if (assessmentId === DRAFT_ASSESSMENT_ID) {
+      return draft.country ? t('assessment.namedDraft', { name: getAssessmentLabel(draft) }) : t('assessment.draft');
+    }
+    const option = assessmentOptions.find(entry => entry.id === assessmentId);
+    return getAssessmentLabel(assessments[assessmentId], option && option.label ? option.label : assessmentId);
+  };
+
+  // Title of each panel: the assessment(s) it shows
+  const panelTitle = (panel) => {
+    if (viewMode === 'change') {
+      return t('panel.change', { from: assessmentName(primaryAssessmentId), to: assessmentName(comparisonAssessmentId) });
+    }
+    if (viewMode === 'side-by-side') {
+      return assessmentName(panel.assessmentId);
+    }
+    if (viewMode === 'portfolio') {
+      return t('panel.portfolio', { count: portfolioIds.length });
+    }
+    if (appMode === 'edit') {
+      return t('panel.rating', { name: assessmentName(DRAFT_ASSESSMENT_ID) });
+    }
+    return t('panel.default');
+  };
+
+  // In the presentation mode the chart stands alone in a page of fixed size, titled with the path on
+  // screen (and the assessment when two panels are shown) in place of the breadcrumb bar
+  const isPresenting = presentation !== '';
+  const presentationFormat = PRESENTATION_FORMATS[presentation];
+  const legendTheme = isPresenting ? getTheme() : pageTheme; // Presented pages are white whatever the theme
+  const chartMarginTop = isPresenting ? 80 : 50; // Room for the title, on two lines when presenting
+  const chartTitle = (panel) => {
+    if (!isPresenting) return panelTitle(panel);
+    const crumbs = getBreadCrumbs(transformedData.nodeInfo, currentLevelId).map(crumb => crumb.label);
+    return buildChartTitle(panels.length > 1 ? [...crumbs, panelTitle(panel)] : crumbs);
+  };
+
   // Define the layout for the Plotly chart
-  const layout = {
-    title: 'Public Finance: Challenges and Policy Commitments', // Updated title
+  const buildLayout = (title) => ({
+    title, // Panel title
     autosize: true, // Chart will resize with its container
-    margin: { l: 0, r: 0, b: 0, t: 50 }, // Adjust margins to give more space
+    margin: { l: 0, r: 0, b: 0, t: chartMarginTop }, // Adjust margins to give more space
     paper_bgcolor: 'rgba(0,0,0,0)', // Transparent background for the plot area
     plot_bgcolor: 'rgba(0,0,0,0)', // Transparent background for the plot itself
     font: {
       family: 'Inter, sans-serif' // Consistent font family
-    }
-  };
+    },
+    // Slices grow, shrink and change color from one snapshot to the next rather than jumping
+    ...(playbackTimeline.length > 1 ? { transition: { duration: SNAPSHOT_TRANSITION_MS, easing: 'cubic-in-out' } } : {})
+  });
 
   // Define the configuration options for the Plotly chart
   const config = {
     responsive: true, // Make the chart responsive to container size changes
-    displayModeBar: true, // Show the mode bar (zoom, pan, etc.)
+    displayModeBar: !isPresenting, // Show the mode bar (zoom, pan, etc.), except on slides and printouts
     scrollZoom: true // Enable scroll zoom functionality
   };
-  useEffect(() => {
-    // Ensure the graphDivRef is set correctly after the component mounts
-    if (graphDivRef.current) {
-      graphDivRef.current.on('plotly_click', handlePlotClick);
-    }
-    return () => {
-      // Cleanup event listener on unmount
-      if (graphDivRef.current) {
-        graphDivRef.current.removeListener('plotly_click', handlePlotClick);
+
+  // Whether slices are colored by a score (severity or change) rather than by position
+  const isScoreColored = viewMode !== 'single' || colorMode === 'severity';
+
+  // Height of the charts: the window's, or what a presented page leaves below the legend
+  const chartHeight = isPresenting
+    ? `calc(${presentationFormat.height} - ${isScoreColored ? PRESENTATION_LEGEND_HEIGHT : '0px'})`
+    : CHART_HEIGHT;
+
+  // Assessment files that failed to load among those currently shown
+  const shownAssessmentIds = viewMode === 'portfolio'
+    ? assessmentOptions.map(entry => entry.id)
+    : [primaryAssessmentId, ...(COMPARISON_VIEWS.includes(viewMode) ? [comparisonAssessmentId] : [])];
+  const shownAssessmentErrors = shownAssessmentIds.filter(id => assessmentErrors[id]).map(id => assessmentErrors[id]);
+
+  // Saves each panel as an image, zoomed as on screen, titled with the breadcrumb trail of the current level
+  const exportChartImages = (format) => {
+    const crumbs = getBreadCrumbs(transformedData.nodeInfo, currentLevelId).map(crumb => crumb.label);
+    setExportError(null);
+    Promise.all(panels.map((panel, idx) => {
+      const name = panels.length > 1 ? panelTitle(panel) : '';
+      return downloadChartImage(graphDivsRef.current[idx], {
+        format,
+        title: buildChartTitle(name ? [...crumbs, name] : crumbs),
+        fileName: buildExportFileName([taxonomyTitle || 'sunburst', crumbs.length > 1 ? crumbs[crumbs.length - 1] : '', name], format)
+      });
+    })).catch(error => setExportError(error));
+  };
+
+  // Saves the flattened hierarchy of every panel, with its values, colors and scores.
+  // A workbook gets one sheet per panel; a CSV file gets a "View" column when there are several.
+  const exportHierarchy = (format) => {
+    const fileName = buildExportFileName([taxonomyTitle || 'sunburst', 'hierarchy'], format);
+    const tables = panels.map(panel => ({ name: panelTitle(panel), rows: flattenSunburst(panel.data, levelLabels) }));
+    setExportError(null);
+    try {
+      if (format === 'xlsx') {
+        downloadXlsx(tables.map(table => ({ ...table, columns: HIERARCHY_COLUMNS })), fileName);
+      } else if (tables.length > 1) {
+        const rows = tables.flatMap(table => table.rows.map(row => ({ view: table.name, ...row })));
+        downloadCsv([{ key: 'view', label: 'View' }, ...HIERARCHY_COLUMNS], rows, fileName);
+      } else {
+        downloadCsv(HIERARCHY_COLUMNS, tables[0].rows, fileName);
       }
-    };
-  }, [handlePlotClick]); // Dependency on handlePlotClick to ensure it updates correctly
+    } catch (error) {
+      setExportError(error);
+    }
+  };
+
+  // Entries of the export menu; the outline is not a Plotly chart, so it has no image export
+  const exportItems = [
+    ...(chartType !== 'outline' ? [
+      { label: t('export.png'), onSelect: () => exportChartImages('png') },
+      { label: t('export.svg'), onSelect: () => exportChartImages('svg') }
+    ] : []),
+    { label: t('export.csv'), onSelect: () => exportHierarchy('csv') },
+    { label: t('export.xlsx'), onSelect: () => exportHierarchy('xlsx') },
+    ...(chartType !== 'outline' ? [
+      { label: t('export.presentSlide'), onSelect: () => setPresentation('slide') },
+      { label: t('export.presentA4'), onSelect: () => setPresentation('a4') }
+    ] : [])
+  ];
+
+  // Drop-down for picking one of the assessments listed in the index
+  const renderAssessmentSelect = (label, value, onChange) => (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: pageTheme.text, fontWeight: 600 }}>
+      {label}:
+      <select
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        style={fieldStyle}
+      >
+        {[...assessmentOptions, { id: DRAFT_ASSESSMENT_ID }].map(option => (
+          <option key={option.id} value={option.id}>{assessmentName(option.id)}</option>
+        ))}
+      </select>
+    </label>
+  );
 
   return (
     <div style={{
       display: 'flex',
       flexDirection: 'column',
       alignItems: 'center',
-      justifyContent: 'center',
+      justifyContent: isPresenting ? 'flex-start' : 'center',
       minHeight: '100vh',
-      backgroundColor: '#f3f4f6', // Equivalent to bg-gray-100
-      padding: '1rem',
+      backgroundColor: isPresenting ? '#ffffff' : pageTheme.pageBackground, // Presented pages are white, like the slide or paper
+      padding: isPresenting ? 0 : '1rem',
       position: 'relative',
       fontFamily: 'Inter, sans-serif' // Apply font globally
     }}>
-      {/* Style block for cursor pointer on sunburst segments */}
+      {/* Style block for cursor pointer on sunburst segments, and the page size and hidden buttons of printed presentations */}
       <style>
         {`
           .js-plotly-plot .slice {
             cursor: pointer;
           }
         `}
+        {isPresenting && `
+          @page {
+            size: ${presentationFormat.page};
+            margin: 0;
+          }
+          @media print {
+            .no-print {
+              display: none !important;
+            }
+          }
+        `}
       </style>
 
-      <h1 style={{
-        fontSize: '1.875rem', // text-3xl
-        fontWeight: 'bold',
-        color: '#1f2937', // text-gray-800
-        marginBottom: '1.5rem', // mb-6
-        borderRadius: '0.5rem', // rounded-lg
-        padding: '0.5rem', // p-2
-        backgroundColor: '#ffffff', // bg-white
-        boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)', // shadow-md
-        textAlign: 'center'
-      }}>
-        Public Finance: Challenges & Policies
-      </h1>
+      {isPresenting ? (
+        // Leaves the presentation mode, or prints the page; neither is printed
+        <div className="no-print" role="group" aria-label={t('presentation.label')} style={{ position: 'fixed', top: '0.75rem', right: '0.75rem', zIndex: 30, display: 'flex', gap: '0.5rem' }}>
+          <button type="button" onClick={() => window.print()} style={draftButtonStyle}>
+            {t('presentation.print')}
+          </button>
+          <button type="button" onClick={() => setPresentation('')} style={draftButtonStyle}>
+            {t('presentation.exit')}
+          </button>
+        </div>
+      ) : (
+        <div style={{ alignSelf: 'flex-end', display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+          {/* Language of the interface and the taxonomy */}
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: pageTheme.text, fontWeight: 600 }}>
+            {t('language.label')}:
+            <select
+              value={locale}
+              onChange={e => setLocale(e.target.value)}
+              style={fieldStyle}
+            >
+              {LOCALES.map(option => (
+                <option key={option.value} value={option.value} lang={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          {/* Colors of the page and the charts, unless the embedding app sets them */}
+          {theme === undefined && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: pageTheme.text, fontWeight: 600 }}>
+              {t('theme.label')}:
+              <select
+                value={themeName}
+                onChange={e => setThemeName(e.target.value)}
+                style={fieldStyle}
+              >
+                {translateOptions(t, THEME_OPTIONS, 'theme').map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+      )}
+
+      {!embedded && !isPresenting && (
+        <h1 style={{
+          fontSize: '1.875rem', // text-3xl
+          fontWeight: 'bold',
+          color: pageTheme.titleText,
+          marginBottom: '1.5rem', // mb-6
+          borderRadius: '0.5rem', // rounded-lg
+          padding: '0.5rem', // p-2
+          backgroundColor: pageTheme.titleBackground,
+          boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)', // shadow-md
+          textAlign: 'center'
+        }}>
+          {translations.title || taxonomyTitle || t('app.title')}
+        </h1>
+      )}
+      {/* Active tag filters */}
+      {hasTagFilters(tagFilters) && !isPresenting && (
+        <FilterChips
+          filters={tagFilters}
+          tagCategories={tagCategories}
+          tagValues={translations.tagValues}
+          isEmpty={transformedData.ids.length === 1}
+          onRemove={toggleTag}
+          onClear={() => setTagFilters({})}
+          t={t}
+          theme={pageTheme}
+        />
+      )}
       {/* Breadcrumbs Bar */}
-      <div style={{
-        display: 'flex',
+      <nav aria-label={t('breadcrumb.label')} style={{
+        display: isPresenting ? 'none' : 'flex', // The chart title gives the path when presenting
         gap: '0.5rem',
         paddingLeft: '1rem',
         marginBottom: '1.5rem',
         flexWrap: 'wrap',
         alignItems: 'center',
         justifyContent: 'start',
-        background: '#fafbfc', // more white background
+        background: pageTheme.breadcrumbBackground,
         borderRadius: '0.5rem',
         boxShadow: '0 1px 4px rgba(0,0,0,0.04)',
         width: '100%',
-        height: '3rem',
+        minHeight: '3rem',
         maxWidth: '80rem',
         marginLeft: 'auto',
         marginRight: 'auto',
+        position: 'relative',
       }}>
         {breadcrumbs.map((crumb, idx) => {
-          let bgColor = '';
-          if (idx > 0 && idx <= 3) {
-            const LAYER_COLORS = ['rgb(255, 132, 139, 0.3)','rgb(77, 159, 211, 0.3)']
-            bgColor = LAYER_COLORS[idx-1];
-          }
-          let text = crumb;
-          if (idx === 1){
-            text = "Role: " + crumb;
-          }else if (idx === 2) {
-            text = "Challenge: " + crumb;
+          // Each crumb is tinted with its layer's color in the chart
+          const bgColor = idx > 0 ? withAlpha(getLayerPalette(pageTheme, idx).accent, CRUMB_TINT_ALPHA) : pageTheme.breadcrumbRootBackground;
+          let text = crumb.label;
+          if (idx > 0) {
+            // Prefix each crumb with the name of its level, e.g. "Role: " or "Challenge: "
+            text = t('breadcrumb.crumb', { level: getLevelLabel(levelLabels, idx), label: crumb.label });
           }
+          const isLast = idx === breadcrumbs.length - 1;
+          const crumbStyle = {
+            background: bgColor,
+            color: idx === 0 ? pageTheme.breadcrumbRootText : pageTheme.breadcrumbText,
+            padding: '0.4rem 1rem',
+            borderRadius: '0.5rem',
+            border: 'none',
+            fontWeight: 600,
+            fontSize: '0.7rem',
+            opacity: isLast ? 1 : 0.85,
+            transition: 'background 0.2s',
+            display: 'inline-block',
+          };
           return (
-            <React.Fragment key={idx}>
-              <div
-                style={{
-                  background: bgColor,
-                  color: idx === 0 ?' grey' : 'black',
-                  padding: '0.4rem 1rem',
-                  borderRadius: '0.5rem',
-                  fontWeight: 600,
-                  fontSize: '0.7rem',
-                  boxShadow: 'rgba(0, 0, 0, 0.07) 4px 4px 4px;',
-                  opacity: idx === breadcrumbs.length-1 ? 1 : 0.85,
-                  transition: 'background 0.2s',
-                  cursor: 'default',
-                  display: 'inline-block',
-                }}
-              >
-                <span>{text}</span>
-              </div>
-              {idx < breadcrumbs.length - 1 && (
-                <span style={{
-                  color: 'grey', // darker for visibility
+            <React.Fragment key={crumb.id}>
+              {isLast ? (
+                // The crumb for the level (or leaf) on screen is not a link
+                <span aria-current="page" style={{ ...crumbStyle, cursor: 'default' }}>{text}</span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => handleBreadcrumbClick(crumb.id)}
+                  title={idx === 0 ? t('breadcrumb.top') : t('node.zoom', { label: crumb.label })}
+                  style={{ ...crumbStyle, cursor: 'pointer' }}
+                  onMouseOver={e => e.currentTarget.style.opacity = 1} // Full strength on hover
+                  onMouseOut={e => e.currentTarget.style.opacity = 0.85} // Revert on mouse out
+                >
+                  {text}
+                </button>
+              )}
+              {!isLast && (
+                <span aria-hidden="true" style={{
+                  color: pageTheme.breadcrumbRootText,
                   fontWeight: 900,
                   fontSize: '1rem', // larger
                   userSelect: 'none',
@@ -485,156 +1289,493 @@ const App = () => {
             </React.Fragment>
           );
         })}
-      </div>
+      </nav>
+
+      {/* Screen reader announcements of the path on screen, and the keys the charts respond to */}
+      <div aria-live="polite" style={VISUALLY_HIDDEN_STYLE}>{liveMessage}</div>
+      <p id="chart-keyboard-help" style={VISUALLY_HIDDEN_STYLE}>{t('chart.keyboardHelp')}</p>
 
+      {/* Chart Controls */}
       <div style={{
+        display: isPresenting ? 'none' : 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '1rem',
         width: '100%',
-        maxWidth: '80rem', // max-w-5xl (approximate, adjust as needed)
+        maxWidth: '80rem',
+        marginBottom: '1rem'
+      }}>
+        <SegmentedControl label={t('appMode.label')} options={translateOptions(t, APP_MODES, 'appMode')} value={appMode} onChange={handleAppModeChange} theme={pageTheme} />
+        <SegmentedControl label={t('chartType.label')} options={translateOptions(t, CHART_TYPES, 'chartType')} value={chartType} onChange={setChartType} theme={pageTheme} />
+        <SegmentedControl label={t('viewMode.label')} options={translateOptions(t, VIEW_MODES, 'viewMode')} value={viewMode} onChange={setViewMode} theme={pageTheme} />
+        {viewMode !== 'portfolio' && renderAssessmentSelect(
+          t(viewMode === 'single' ? 'assessment.single' : viewMode === 'change' ? 'assessment.from' : 'assessment.left'),
+          primaryAssessmentId,
+          setPrimaryAssessmentId
+        )}
+        {COMPARISON_VIEWS.includes(viewMode) && renderAssessmentSelect(
+          t(viewMode === 'change' ? 'assessment.to' : 'assessment.right'),
+          comparisonAssessmentId,
+          setComparisonAssessmentId
+        )}
+        {/* The portfolio is always sized by how often bottlenecks are flagged */}
+        {viewMode !== 'portfolio' && (
+          <SegmentedControl label={t('sizeMode.label')} options={translateOptions(t, SIZE_MODES, 'sizeMode')} value={sizeMode} onChange={setSizeMode} theme={pageTheme} />
+        )}
+        {viewMode === 'single' && (
+          <SegmentedControl label={t('colorMode.label')} options={translateOptions(t, COLOR_MODES, 'colorMode')} value={colorMode} onChange={setColorMode} theme={pageTheme} />
+        )}
+        {isScoreColored && (
+          <SegmentedControl label={t('scaleType.label')} options={translateOptions(t, SCALE_TYPES, 'scaleType')} value={scaleType} onChange={setScaleType} theme={pageTheme} />
+        )}
+        {isScoreColored && (
+          <SegmentedControl label={t('aggregation.label')} options={translateOptions(t, AGGREGATIONS, 'aggregation')} value={aggregation} onChange={setAggregation} theme={pageTheme} />
+        )}
+        {assessmentError || shownAssessmentErrors.length > 0 ? (
+          <span role="alert" style={{ fontSize: '0.8rem', color: pageTheme.errorText }}>
+            {t('errors.ratings', { message: (assessmentError || shownAssessmentErrors[0]).message })}
+          </span>
+        ) : hiddenLeafCount > 0 && (
+          <span style={{ fontSize: '0.8rem', color: pageTheme.mutedText }}>
+            {t(viewMode === 'portfolio' ? 'hidden.notFlagged' : sizeMode === 'evidence' ? 'hidden.noEvidence' : 'hidden.noRating', { count: hiddenLeafCount })}
+          </span>
+        )}
+        {exportError && (
+          <span role="alert" style={{ fontSize: '0.8rem', color: pageTheme.errorText }}>
+            {t('errors.export', { message: exportError.message })}
+          </span>
+        )}
+        {translationsError && (
+          <span role="alert" style={{ fontSize: '0.8rem', color: pageTheme.errorText }}>
+            {t('errors.translations', { message: translationsError.message })}
+          </span>
+        )}
+        {relationshipsError && (
+          <span role="alert" style={{ fontSize: '0.8rem', color: pageTheme.errorText }}>
+            {t('errors.relationships', { message: relationshipsError.message })}
+          </span>
+        )}
+        {transformedData.ids.length > 0 && (
+          <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            {tagOptions.length > 0 && (
+              <TagFilterPanel
+                options={tagOptions}
+                tagCategories={tagCategories}
+                tagValues={translations.tagValues}
+                filters={tagFilters}
+                onToggle={toggleTag}
+                t={t}
+                theme={pageTheme}
+              />
+            )}
+            {chartType !== 'outline' && (
+              <LayoutPanel
+                layout={layout}
+                maxDepth={maxTreeDepth}
+                showOrientation={chartType === 'sunburst'}
+                showRelations={chartType === 'sunburst' && relationships.links.length > 0}
+                onChange={setLayout}
+                t={t}
+                theme={pageTheme}
+              />
+            )}
+            <SearchBox query={searchQuery} onQueryChange={setSearchQuery} results={searchResults} onSelect={handleSearchSelect} theme={pageTheme} t={t} />
+            <ExportMenu items={exportItems} label={t('export.button')} theme={pageTheme} />
+          </div>
+        )}
+        {!embedded && (
+          <button
+            type="button"
+            onClick={() => setShowImporter(true)}
+            style={{
+              marginLeft: transformedData.ids.length > 0 ? 0 : 'auto', // Beside the export menu, or alone at the end of the row
+              padding: '0.35rem 0.75rem',
+              fontSize: '0.8rem',
+              fontWeight: 600,
+              color: pageTheme.buttonText,
+              backgroundColor: pageTheme.buttonBackground,
+              border: `1px solid ${pageTheme.buttonBorder}`,
+              borderRadius: '0.5rem',
+              cursor: 'pointer'
+            }}
+          >
+            {t('import.button')}
+          </button>
+        )}
+      </div>
+
+      {/* Year slider and play button, when the shown country has been assessed more than once */}
+      {playbackTimeline.length > 1 && !isPresenting && (
+        <div role="group" aria-label={t('timeline.label')} style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.75rem',
+          width: '100%',
+          maxWidth: '80rem',
+          marginBottom: '1rem',
+          fontSize: '0.8rem',
+          fontWeight: 600,
+          color: pageTheme.text
+        }}>
+          <button type="button" onClick={togglePlayback} style={draftButtonStyle}>
+            {t(isPlaying ? 'timeline.pause' : 'timeline.play')}
+          </button>
+          <span>{playbackTimeline[0].year}</span>
+          <input
+            type="range"
+            min={0}
+            max={playbackTimeline.length - 1}
+            step={1}
+            value={snapshotIndex}
+            aria-label={t('timeline.year')}
+            aria-valuetext={String(playbackTimeline[snapshotIndex].year)}
+            onChange={e => handleSnapshotChange(Number(e.target.value))}
+            style={{ flex: '1 1 auto', maxWidth: '32rem' }}
+          />
+          <span>{playbackTimeline[playbackTimeline.length - 1].year}</span>
+          <span aria-live="polite" style={{ marginLeft: '0.5rem', fontSize: '1rem', color: pageTheme.strongText }}>
+            {playbackTimeline[snapshotIndex].year}
+          </span>
+        </div>
+      )}
+
+      {/* Draft details and file actions, in the edit mode */}
+      {appMode === 'edit' && transformedData.ids.length > 0 && !isPresenting && (
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: '1rem',
+          width: '100%',
+          maxWidth: '80rem',
+          marginBottom: '1rem',
+          padding: '0.75rem 1rem',
+          boxSizing: 'border-box',
+          fontSize: '0.8rem',
+          color: pageTheme.text,
+          backgroundColor: pageTheme.toolbarBackground,
+          borderRadius: '0.5rem'
+        }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600 }}>
+            {t('draft.country')}:
+            <input
+              type="text"
+              value={draft.country || ''}
+              onChange={e => setDraft({ ...draft, country: e.target.value })}
+              style={{ ...fieldStyle, width: '10rem' }}
+            />
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600 }}>
+            {t('draft.year')}:
+            <input
+              type="number"
+              value={draft.year || ''}
+              onChange={e => setDraft({ ...draft, year: Number.parseInt(e.target.value, 10) || undefined })}
+              style={{ ...fieldStyle, width: '5rem' }}
+            />
+          </label>
+          <span>
+            {t('draft.progress', { rated: draftCompletion[transformedData.ids[0]].rated, total: draftCompletion[transformedData.ids[0]].total })}
+          </span>
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem' }}>
+            <button
+              type="button"
+              onClick={() => downloadJson(draft, buildExportFileName(['assessment', draft.country, draft.year ? String(draft.year) : ''], 'json'))}
+              style={draftButtonStyle}
+            >
+              {t('draft.export')}
+            </button>
+            <label style={{ ...draftButtonStyle, position: 'relative' }}>
+              {t('draft.import')}
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={e => {
+                  if (e.target.files[0]) importDraft(e.target.files[0]);
+                  e.target.value = ''; // Allow the same file to be picked again
+                }}
+                style={{ position: 'absolute', inset: 0, width: '100%', opacity: 0, cursor: 'pointer' }} // Invisible, but still reachable by keyboard
+              />
+            </label>
+            <button type="button" onClick={clearDraft} style={{ ...draftButtonStyle, color: pageTheme.errorText }}>
+              {t('draft.startOver')}
+            </button>
+          </div>
+          {draftSaveError && (
+            <div role="alert" style={{ width: '100%', color: pageTheme.errorText }}>
+              {t('draft.saveFailed', { message: draftSaveError.message })}
+            </div>
+          )}
+          {draftError && (
+            <div role="alert" style={{ width: '100%', color: pageTheme.errorText }}>
+              {draftError.message}
+              {draftError.details && draftError.details.length > 0 && (
+                <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+                  {draftError.details.map((detail, index) => (
+                    <li key={index}>{detail}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Color legend for the views that color slices by rating */}
+      {transformedData.ids.length > 0 && isScoreColored && (
+        <div style={isPresenting
+          ? { width: presentationFormat.width, height: PRESENTATION_LEGEND_HEIGHT, padding: '0.75rem 1rem 0', boxSizing: 'border-box' }
+          : { width: '100%', maxWidth: '80rem', marginBottom: '0.75rem' }}>
+          {viewMode === 'change' ? (
+            <ColorLegend
+              title={t('legend.change')}
+              items={scaleType === 'discrete' ? changeLegend(t) : changeLegend(t).slice(-1)}
+              gradient={scaleType === 'discrete' ? undefined : { colors: CHANGE_COLORS, minLabel: t('legend.improved', { change: -MAX_CHANGE }), maxLabel: t('legend.worsened', { change: `+${MAX_CHANGE}` }) }}
+              theme={legendTheme}
+            />
+          ) : (
+            <ColorLegend
+              title={t('legend.severity')}
+              items={scaleType === 'discrete' ? severityLegend(t) : severityLegend(t).slice(-1)}
+              gradient={scaleType === 'discrete' ? undefined : { colors: SEVERITY_COLORS, minLabel: `1 ${t('severity.1')}`, maxLabel: `4 ${t('severity.4')}` }}
+              theme={legendTheme}
+            />
+          )}
+        </div>
+      )}
+
+      <div style={{
+        width: isPresenting ? presentationFormat.width : '100%',
+        maxWidth: isPresenting ? 'none' : '80rem', // max-w-5xl (approximate, adjust as needed)
         backgroundColor: '#ffffff', // bg-white
-        borderRadius: '0.5rem', // rounded-lg
-        boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)', // shadow-xl
+        borderRadius: isPresenting ? 0 : '0.5rem', // rounded-lg
+        boxShadow: isPresenting ? 'none' : '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)', // shadow-xl
         overflow: 'hidden'
       }}>
         {transformedData.ids.length > 0 ? (
-          <Plot
-            data={plotData}
-            layout={layout}
-            config={config}
-            style={{ width: '100%', height: '700px' }}
-            useResizeHandler={true}
-            onInitialized={(figure, graphDiv) => {
-              graphDivRef.current = graphDiv; // Store the graphDiv
-              graphDiv.on('plotly_click', handlePlotClick); // Attach event listener to graphDiv
-            }}
-            onPurge={() => { // Cleanup event listener on component unmount/re-render
-              if (graphDivRef.current) {
-                graphDivRef.current.removeListener('plotly_click', handlePlotClick);
-              }
-            }}
-            onHover={() => {}}
-            onUnhover={() => {}}
-          />
+          <div style={{ display: 'flex', flexWrap: 'wrap' }}>
+            <div style={{ flex: '1 1 36rem', minWidth: 0, display: 'flex', flexWrap: 'wrap' }}>
+              {panels.map((panel, idx) => (chartType === 'outline' ? (
+                <section
+                  key={`${idx}-${currentLevelId}`} // Reset what is expanded when the level changes
+                  aria-label={panelTitle(panel)}
+                  style={{ flex: '1 1 24rem', minWidth: 0, height: chartHeight, overflowY: 'auto', padding: '0.75rem' }}
+                >
+                  <h2 style={{ fontSize: '1rem', fontWeight: 600, color: pageTheme.cardText, margin: '0 0 0.5rem', textAlign: 'center' }}>
+                    {panelTitle(panel)}
+                  </h2>
+                  <OutlineView
+                    data={panel.data}
+                    rootId={currentLevelId}
+                    selectedLeafId={showPopoutTable ? selectedLeafId : ''}
+                    isDimmed={isDimmed}
+                    onZoom={handleNodeSelect}
+                    onSelectLeaf={handleNodeSelect}
+                    formatScore={formatScore}
+                    t={t}
+                  />
+                </section>
+              ) : (
+                // Focusable for keyboard navigation, announced through the live region below; the
+                // hidden list after it is the text alternative of the drawing
+                <React.Fragment key={idx}>
+                  <div
+                    role="application"
+                    aria-roledescription={t('chart.roleDescription')}
+                    aria-label={panelTitle(panel)}
+                    aria-describedby="chart-keyboard-help"
+                    tabIndex={0}
+                    onKeyDown={event => handleChartKeyDown(event, idx)}
+                    onFocus={event => {
+                      // Only when reached with the keyboard, not when a click on a slice focuses it
+                      if (event.target.matches(':focus-visible')) setFocusedPanelIndex(idx);
+                    }}
+                    onBlur={() => setFocusedPanelIndex(null)}
+                    style={{
+                      flex: '1 1 24rem',
+                      minWidth: 0,
+                      outline: focusedPanelIndex === idx ? '2px solid #2563eb' : 'none', // Focus ring, as inline styles have no :focus-visible
+                      outlineOffset: '-2px'
+                    }}
+                  >
+                    <div aria-hidden="true" style={{ position: 'relative' }}>
+                      <Plot
+                        data={buildPlotData(panel.data)}
+                        layout={buildLayout(chartTitle(panel))}
+                        config={config}
+                        style={{ width: '100%', height: chartHeight }}
+                        useResizeHandler={true}
+                        onInitialized={(figure, graphDiv) => {
+                          graphDivsRef.current[idx] = graphDiv; // Store each panel's graphDiv
+                        }}
+                        onClick={handlePlotClick} // Every panel navigates the shared level
+                        onHover={eventData => handlePlotHover(eventData, idx)}
+                        onUnhover={() => setHoveredNode(null)}
+                      />
+                      {showChords && buildChordOverlay(panel.data)}
+                    </div>
+                  </div>
+                  <HierarchyList
+                    label={t('chart.textAlternative', { title: panelTitle(panel) })}
+                    data={panel.data}
+                    currentId={currentLevelId}
+                    describe={nodeId => tooltipDetails(nodeId, panel.data)}
+                  />
+                </React.Fragment>
+              )))}
+            </div>
+            {focusedNode && focusedNode.children.length > 0 && !isPresenting && (
+              <div style={{
+                flex: '0 1 20rem',
+                minWidth: '16rem',
+                height: chartHeight,
+                overflowY: 'auto',
+                borderLeft: '1px solid #e5e7eb' // Separates the panel from the chart
+              }}>
+                <NodeDetailPanel
+                  levelLabel={getLevelLabel(levelLabels, focusedNode.depth)}
+                  label={focusedNode.label}
+                  code={focusedNode.code}
+                  note={focusedNote}
+                  guidanceError={guidanceError}
+                  items={focusedNode.children.map(childId => {
+                    const child = transformedData.nodeInfo[childId];
+                    return { id: childId, label: child.label, code: child.code, hasChildren: child.children.length > 0 };
+                  })}
+                  {...describeRelations(currentLevelId)}
+                  onSelect={handleNodeSelect}
+                  onSelectRelated={handleSearchSelect}
+                  theme={pageTheme}
+                  t={t}
+                />
+              </div>
+            )}
+          </div>
+        ) : loadError ? (
+          <div role="alert" style={{ height: chartHeight, padding: '1.5rem', overflowY: 'auto', color: pageTheme.cardErrorText }}>
+            <h2 style={{ fontSize: '1.125rem', fontWeight: 'bold', marginBottom: '0.75rem' }}>
+              {loadError.message}
+            </h2>
+            {loadError.details && loadError.details.length > 0 && (
+              <ul style={{ fontSize: '0.875rem', lineHeight: 1.5, paddingLeft: '1.25rem' }}>
+                {loadError.details.map((detail, index) => (
+                  <li key={index}>{detail}</li>
+                ))}
+              </ul>
+            )}
+          </div>
         ) : (
-          <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '700px', color: '#4b5563' }}>
-            Loading chart data...
+          <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: chartHeight, color: pageTheme.cardMutedText }}>
+            {t('chart.loading')}
           </div>
         )}
       </div>
 
-      {/* Pop-out Table Modal - NO TAILWIND CSS */}
-      {showPopoutTable && (
-        <div
-          style={{
-            position: 'fixed',
-            top: 0,
-            right: 0,
-            bottom: 0,
-            left: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.5)', // Transparent black overlay
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            padding: '1rem',
-            zIndex: 9999 // Ensure it's on top
-          }}
-          onClick={closePopoutTable} // Close when clicking outside the table content
+      {hoveredInfo && !showPopoutTable && (
+        <NodeTooltip
+          x={hoveredNode.x}
+          y={hoveredNode.y}
+          label={hoveredInfo.label}
+          code={hoveredInfo.code}
+          path={hoveredInfo.parentId ? getBreadCrumbs(hoveredPanel.data.nodeInfo, hoveredInfo.parentId).map(crumb => crumb.label).join(' › ') : ''}
+          details={tooltipDetails(hoveredNode.id, hoveredPanel.data)}
+        />
+      )}
+
+      {/* Pop-out dialog with the evidence or the rating form of the selected leaf */}
+      {showPopoutTable && selectedLeaf && (
+        <Dialog
+          title={t(appMode === 'edit' ? 'popout.rateTitle' : viewMode === 'portfolio' ? 'popout.portfolioTitle' : 'popout.evidenceTitle')}
+          closeLabel={t('popout.close')}
+          onClose={closePopoutTable}
         >
-          <div
-            style={{
-              backgroundColor: '#ffffff', // White background
-              borderRadius: '0.5rem', // Rounded corners
-              boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)', // Shadow
-              padding: '1.5rem', // Padding inside
-              position: 'relative',
-              maxWidth: '600px', // Max width
-              width: '90%', // Responsive width
-              maxHeight: '80vh', // Max height for scrollable content
-              display: 'flex',
-              flexDirection: 'column'
-            }}
-            onClick={e => e.stopPropagation()} // Prevent closing when clicking inside the table content
-          >
+          {selectedLeaf && (
+            <p style={{ fontSize: '0.875rem', color: '#4b5563', marginBottom: '1rem' }}>
+              {selectedLeaf.code && <strong>{selectedLeaf.code} </strong>}
+              {selectedLeaf.label}
+            </p>
+          )}
+          {appMode === 'edit' ? (
+            <RatingForm
+              key={selectedLeafId} // Start from the saved rating of each bottleneck
+              rating={draft.ratings[selectedLeafId]}
+              onSave={rating => {
+                setDraft(setDraftRating(draft, selectedLeafId, rating));
+                closePopoutTable();
+              }}
+              onCancel={closePopoutTable}
+              t={t}
+            />
+          ) : viewMode !== 'portfolio' && selectedEvidence.length > 0 && (
             <button
-              onClick={closePopoutTable}
+              type="button"
+              onClick={() => downloadCsv(EVIDENCE_COLUMNS, selectedEvidence, buildExportFileName(['evidence', selectedLeaf.code || selectedLeaf.label], 'csv'))}
               style={{
-                position: 'absolute',
-                top: '0.75rem',
-                right: '0.75rem',
-                color: '#6b7280', // Gray text
-                fontSize: '1.5rem',
-                fontWeight: 'bold',
-                backgroundColor: 'transparent',
-                border: 'none',
-                cursor: 'pointer',
-                lineHeight: 1
+                alignSelf: 'flex-start',
+                marginBottom: '0.75rem',
+                padding: '0.3rem 0.75rem',
+                fontSize: '0.8rem',
+                fontWeight: 600,
+                color: '#374151',
+                backgroundColor: '#ffffff',
+                border: '1px solid #d1d5db',
+                borderRadius: '0.375rem',
+                cursor: 'pointer'
               }}
-              onMouseOver={e => e.currentTarget.style.color = '#374151'} // Darker gray on hover
-              onMouseOut={e => e.currentTarget.style.color = '#6b7280'} // Revert on mouse out
-              aria-label="Close"
             >
-              &times;
+              {t('popout.downloadCsv')}
             </button>
-            <h3 style={{
-              fontSize: '1.25rem', // text-xl
-              fontWeight: 'semibold',
-              color: '#1f2937', // Dark gray text
-              marginBottom: '1rem' // Margin bottom
-            }}>Extracted Text Details</h3>
+          )}
+          {appMode !== 'edit' && selectedTrend.length > 0 && (
+            <TrendChart points={selectedTrend} currentId={primaryAssessmentId} t={t} />
+          )}
+          {appMode !== 'edit' && (selectedRelations.relations.length > 0 || selectedRelations.reforms.length > 0) && (
+            <div style={{ fontSize: '0.85rem', color: '#374151', marginBottom: '1rem' }}>
+              <NodeRelations
+                {...selectedRelations}
+                onSelect={handleSearchSelect}
+                headingStyle={{ fontSize: '0.8rem', fontWeight: 600, color: '#4b5563', margin: '0.5rem 0 0.25rem' }}
+                theme={pageTheme}
+                t={t}
+              />
+            </div>
+          )}
+          {appMode !== 'edit' && (
             <div style={{
               overflowY: 'auto', // Enable vertical scrolling
-              maxHeight: '16rem' // Max height for scrollable area
+              maxHeight: '24rem' // Max height for scrollable area
             }}>
-              <table style={{
-                width: '100%',
-                borderCollapse: 'collapse', // Collapse borders for single lines
-                backgroundColor: '#ffffff' // White background for table
-              }}>
-                <thead>
-                  <tr>
-                    <th style={{
-                      padding: '0.5rem 0.75rem',
-                      textAlign: 'left',
-                      fontSize: '0.75rem',
-                      fontWeight: 'medium',
-                      color: '#4b5563', // Gray text
-                      textTransform: 'uppercase',
-                      letterSpacing: '0.05em',
-                      border: '1px solid #d1d5db', // Light gray border
-                      backgroundColor: '#f9fafb' // Light gray background
-                    }}>
-                      Text
-                    </th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {popoutTableRows.map((row, index) => (
-                    <tr key={index}>
-                      <td style={{
-                        padding: '0.5rem 0.75rem',
-                        fontSize: '0.875rem',
-                        color: '#374151', // Darker gray text
-                        wordBreak: 'break-word', // Allow long words to break
-                        border: '1px solid #d1d5db' // Light gray border
-                      }}>
-                        {row}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+              {viewMode === 'portfolio' ? (
+                // The countries that flag the bottleneck in place of its evidence
+                <PortfolioTable rows={selectedFlags} assessmentName={assessmentName} t={t} />
+              ) : evidenceError ? (
+                <p role="alert" style={{ fontSize: '0.875rem', color: '#991b1b' }}>
+                  {t('popout.evidenceError', { message: evidenceError.message })}
+                </p>
+              ) : (
+                <EvidenceTable records={selectedEvidence} t={t} />
+              )}
             </div>
-          </div>
-        </div>
+          )}
+        </Dialog>
       )}
 
-      <p style={{
-        marginTop: '1.5rem',
-        color: '#4b5563', // Gray text
-        textAlign: 'center',
-        maxWidth: '48rem'
-      }}>
-        This sunburst chart visualizes the hierarchy of Public Finance challenges and their associated policy commitments. Click on a segment to zoom in/out and view up to two layers at a time. Clicking the outermost layer segments will display a pop-out table with sample extracted text.
-      </p>
+      {showImporter && (
+        <Dialog title={t('import.title')} closeLabel={t('popout.close')} onClose={() => setShowImporter(false)}>
+          <SpreadsheetImporter onImport={applySpreadsheetImport} onCancel={() => setShowImporter(false)} t={t} />
+        </Dialog>
+      )}
+
+      {!embedded && !isPresenting && (
+        <p style={{
+          marginTop: '1.5rem',
+          color: pageTheme.text,
+          textAlign: 'center',
+          maxWidth: '48rem'
+        }}>
+          {t('help.text')}
+        </p>
+      )}
     </div>
   );
 };
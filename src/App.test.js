@@ -1,8 +1,357 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import fs from 'fs';
+import path from 'path';
 import App from './App';
 
-test('renders learn react link', () => {
+// Plotly needs a real browser to draw, so the chart is replaced by a stand-in that keeps its props
+const mockPlotProps = [];
+jest.mock('react-plotly.js', () => (props) => {
+  mockPlotProps.push(props);
+  return <div data-testid="plot" />;
+});
+
+// Serve the data files bundled in public/ in place of the network
+const readPublicFile = (url) => fs.readFileSync(path.join(__dirname, '..', 'public', new URL(url, 'http://localhost').pathname), 'utf8');
+
+beforeEach(() => {
+  mockPlotProps.length = 0;
+  window.history.replaceState(null, '', '/');
+  window.localStorage.clear();
+  global.fetch = jest.fn(async (url) => ({ ok: true, status: 200, text: async () => readPublicFile(url) }));
+});
+
+const renderApp = async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByTestId('plot');
+};
+
+const lastPlot = () => mockPlotProps[mockPlotProps.length - 1];
+
+test('draws the bundled taxonomy as a sunburst under its title', async () => {
+  await renderApp();
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Public Finance: Challenges & Policies');
+  const [trace] = lastPlot().data;
+  expect(trace.type).toBe('sunburst');
+  expect(trace.ids[0]).toBe('role-of-public-finance');
+  expect(trace.level).toBe('role-of-public-finance');
+});
+
+test('zooms into a clicked role and shows it in the breadcrumb bar', async () => {
+  await renderApp();
+  const roleId = 'role-of-public-finance/b-fiscal-sustainability';
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: roleId }], event: { stopPropagation: () => {} } });
+  });
+  expect(lastPlot().data[0].level).toBe(roleId);
+  expect(screen.getByRole('navigation', { name: 'Breadcrumb' })).toHaveTextContent('Role: B. Fiscal sustainability');
+  expect(window.location.hash).toContain('level=role-of-public-finance%2Fb-fiscal-sustainability');
+});
+
+test('shows the open bottleneck as the last crumb and zooms back out from the crumbs above it', async () => {
+  await renderApp();
+  const roleId = 'role-of-public-finance/b-fiscal-sustainability';
+  const challengeId = lastPlot().data[0].ids.find(id => id.startsWith(`${roleId}/4-`));
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: challengeId }], event: { stopPropagation: () => {} } });
+  });
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: 'B.4.1' }], event: { stopPropagation: () => {} } });
+  });
+  const breadcrumb = screen.getByRole('navigation', { name: 'Breadcrumb' });
+  const openCrumb = within(breadcrumb).getByText(/^Bottleneck: Short term biases/);
+  expect(openCrumb).toHaveAttribute('aria-current', 'page');
+  expect(window.location.hash).toContain('leaf=B.4.1');
+
+  // Closing the pop-out leaves the challenge as the last crumb; picking one above it zooms out
+  fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+  expect(within(breadcrumb).getByText(/^Challenge: 4\./)).toHaveAttribute('aria-current', 'page');
+  fireEvent.click(within(breadcrumb).getByRole('button', { name: /^Role: B\. Fiscal sustainability/ }));
+  expect(lastPlot().data[0].level).toBe(roleId);
+  expect(within(breadcrumb).queryByText(/^Challenge:/)).not.toBeInTheDocument();
+});
+
+test('zooms to the top from the root crumb with the keyboard', async () => {
+  await renderApp();
+  const roleId = 'role-of-public-finance/b-fiscal-sustainability';
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: roleId }], event: { stopPropagation: () => {} } });
+  });
+  const rootCrumb = within(screen.getByRole('navigation', { name: 'Breadcrumb' })).getByRole('button', { name: 'PRM Roles' });
+  expect(rootCrumb).toHaveAttribute('title', 'Back to the top level');
+  rootCrumb.focus();
+  userEvent.keyboard('{Enter}');
+  expect(lastPlot().data[0].level).toBe('role-of-public-finance');
+});
+
+test('switches between the chart types and keeps the one chosen in the URL', async () => {
+  await renderApp();
+  const chartTypes = screen.getByRole('group', { name: 'Chart' });
+  fireEvent.click(within(chartTypes).getByRole('button', { name: 'Icicle' }));
+  expect(lastPlot().data[0].type).toBe('icicle');
+  expect(window.location.hash).toContain('chart=icicle');
+
+  fireEvent.click(within(chartTypes).getByRole('button', { name: 'Treemap' }));
+  expect(lastPlot().data[0].type).toBe('treemap');
+  expect(lastPlot().data[0].pathbar).toEqual({ visible: false });
+
+  const plotCount = mockPlotProps.length;
+  fireEvent.click(within(chartTypes).getByRole('button', { name: 'Outline' }));
+  expect(screen.getByRole('list', { name: 'Outline' })).toBeInTheDocument();
+  expect(screen.queryByTestId('plot')).toBeNull();
+  expect(mockPlotProps).toHaveLength(plotCount);
+  expect(window.location.hash).toContain('chart=outline');
+
+  fireEvent.click(within(chartTypes).getByRole('button', { name: 'Sunburst' }));
+  expect(lastPlot().data[0].type).toBe('sunburst');
+  expect(window.location.hash).not.toContain('chart=');
+});
+
+test('opens on the chart type in the URL and browses the outline with the keyboard', async () => {
+  window.history.replaceState(null, '', '/#chart=outline');
+  render(<App />);
+  const outline = await screen.findByRole('list', { name: 'Outline' });
+  expect(within(screen.getByRole('group', { name: 'Chart' })).getByRole('button', { name: 'Outline' })).toHaveAttribute('aria-pressed', 'true');
+
+  // The level starts expanded and its roles collapsed
+  expect(within(outline).getByRole('button', { name: 'Collapse Role of Public Finance' })).toHaveAttribute('aria-expanded', 'true');
+  const expandRole = within(outline).getByRole('button', { name: 'Expand B. Fiscal sustainability' });
+  expandRole.focus();
+  userEvent.keyboard('{Enter}');
+  expect(within(outline).getByRole('button', { name: 'Collapse B. Fiscal sustainability' })).toHaveFocus();
+  expect(within(outline).getByRole('button', { name: /^Expand 4\. Unsustainable fiscal situation/ })).toBeInTheDocument();
+
+  // Tabbing moves from a parent's disclosure button to its label, which zooms to it
+  userEvent.tab();
+  expect(within(outline).getByRole('button', { name: 'B. Fiscal sustainability' })).toHaveFocus();
+  userEvent.keyboard(' ');
+  expect(window.location.hash).toContain('level=role-of-public-finance%2Fb-fiscal-sustainability');
+  expect(within(screen.getByRole('list', { name: 'Outline' })).getByRole('button', { name: 'Collapse B. Fiscal sustainability' })).toHaveAttribute('aria-expanded', 'true');
+
+  // A leaf's label opens its evidence
+  userEvent.click(screen.getByRole('button', { name: /^Expand 4\. Unsustainable fiscal situation/ }));
+  screen.getByRole('button', { name: /^B\.4\.1 / }).focus();
+  userEvent.keyboard('{Enter}');
+  expect(await screen.findByRole('dialog')).toBeInTheDocument();
+  expect(window.location.hash).toContain('leaf=B.4.1');
+});
+
+test('keeps the slices above a search match lit when the match is too deep to be drawn', async () => {
+  await renderApp();
+  const before = lastPlot().data[0];
+  expect(before.maxdepth).toBe(2); // Roles and challenges; the bottlenecks are not drawn
+  fireEvent.change(screen.getByRole('combobox', { name: /Search/ }), { target: { value: 'Short term biases' } });
+  const [trace] = lastPlot().data;
+  const roleId = 'role-of-public-finance/b-fiscal-sustainability';
+  const challengeId = trace.ids.find(id => id.startsWith(`${roleId}/4-`));
+  [roleId, challengeId].forEach(id => {
+    const i = trace.ids.indexOf(id);
+    expect(trace.marker.colors[i]).toBe(before.marker.colors[i]);
+    expect(trace.textfont.color[i]).toBe(before.textfont.color[i]);
+  });
+  const otherRole = trace.ids.indexOf('role-of-public-finance/a-commitment-to-feasible-policy');
+  expect(trace.marker.colors[otherRole]).not.toBe(before.marker.colors[otherRole]);
+});
+
+test('shows the rings and labels chosen in the layout panel and remembers them', async () => {
+  await renderApp();
+  expect(lastPlot().data[0].maxdepth).toBe(2);
+  fireEvent.click(screen.getByRole('button', { name: '2' }));
+  fireEvent.change(screen.getByRole('slider', { name: /Label size/ }), { target: { value: '14' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Radial' }));
+  const [trace] = lastPlot().data;
+  expect(trace.maxdepth).toBe(3);
+  expect(trace.insidetextfont.size).toBe(14);
+  expect(trace.insidetextorientation).toBe('radial');
+  expect(JSON.parse(window.localStorage.getItem('prm-chart-layout'))).toMatchObject({ depth: 2, fontSize: 14, orientation: 'radial' });
+});
+
+test('colors the page, breadcrumbs and slices with the chosen theme', async () => {
+  await renderApp();
+  fireEvent.change(screen.getByRole('combobox', { name: /Theme/ }), { target: { value: 'high-contrast' } });
+  const [trace] = lastPlot().data;
+  expect(trace.marker.colors[trace.ids.indexOf('role-of-public-finance/b-fiscal-sustainability')]).toMatch(/^#(002B5C|000000)$/);
+  expect(trace.marker.line).toEqual({ color: '#000000', width: 2 });
+  expect(window.localStorage.getItem('prm-theme')).toBe('high-contrast');
+});
+
+test('draws the search field and drop-downs in the colors of the dark theme', async () => {
+  await renderApp();
+  const themeSelect = screen.getByRole('combobox', { name: /Theme/ });
+  fireEvent.change(themeSelect, { target: { value: 'dark' } });
+  expect(themeSelect).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937' });
+  expect(screen.getByRole('combobox', { name: /Search/ })).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937' });
+  expect(screen.getByText(/^Search/)).toHaveStyle({ color: '#d1d5db' });
+});
+
+test('draws the title, buttons, controls and filter chips in the colors of the dark theme', async () => {
+  await renderApp();
+  fireEvent.change(screen.getByRole('combobox', { name: /Theme/ }), { target: { value: 'dark' } });
+  expect(screen.getByRole('heading', { level: 1 })).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937' });
+  expect(screen.getByRole('button', { name: 'Import spreadsheet' })).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937', border: '1px solid #4b5563' });
+  expect(screen.getByRole('button', { name: /^Export/ })).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937' });
+  expect(within(screen.getByRole('group', { name: 'Chart' })).getByRole('button', { name: 'Icicle' })).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937' });
+  expect(screen.getByText(/^Layout/)).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1f2937' });
+
+  // The drop-down panels stay white, so their text keeps the card colors
+  expect(screen.getByText('Government level')).toHaveStyle({ color: '#1f2937' });
+  fireEvent.click(within(screen.getByRole('group', { name: 'Sector' })).getByRole('button', { name: 'Health' }));
+  expect(screen.getByText('Sector: Health')).toHaveStyle({ color: '#f9fafb', backgroundColor: '#1e293b' });
+  expect(screen.getByRole('button', { name: 'Clear filters' })).toHaveStyle({ color: '#93c5fd' });
+});
+
+test('draws the side panel in the card colors of the high-contrast theme', async () => {
+  await renderApp();
+  fireEvent.change(screen.getByRole('combobox', { name: /Theme/ }), { target: { value: 'high-contrast' } });
+  const panel = await screen.findByRole('complementary', { name: /details/ });
+  expect(await within(panel).findByRole('link', { name: 'Guide to the framework (sample)' })).toHaveStyle({ color: '#00008b' });
+  expect(within(panel).getByRole('heading', { level: 2 })).toHaveStyle({ color: '#000000' });
+});
+
+test('gives the severity of the shown assessment in the tooltip when the slices are colored by position', async () => {
+  await renderApp();
+  await screen.findByRole('option', { name: 'Country A (2021)' });
+  await act(async () => {
+    lastPlot().onHover({ points: [{ id: 'B.4.1' }], event: { clientX: 10, clientY: 10 } });
+  });
+  expect(screen.getByRole('tooltip')).toHaveTextContent('Severity 2');
+  await act(async () => {
+    lastPlot().onHover({ points: [{ id: 'role-of-public-finance/b-fiscal-sustainability' }], event: { clientX: 10, clientY: 10 } });
+  });
+  expect(screen.getByRole('tooltip')).toHaveTextContent(/Mean severity \d/);
+});
+
+test('presents the chart alone, titled with the path, and returns to the page', async () => {
+  await renderApp();
+  fireEvent.click(screen.getByRole('button', { name: /^Export/ }));
+  fireEvent.click(screen.getByRole('menuitem', { name: 'Slide view (16:9)' }));
+  expect(lastPlot().config.displayModeBar).toBe(false);
+  expect(lastPlot().layout.title).toBe('PRM Roles');
+  expect(screen.queryByRole('heading', { level: 1 })).toBeNull();
+  expect(window.location.hash).toBe('#present=slide');
+  fireEvent.click(screen.getByRole('button', { name: 'Exit presentation' }));
+  expect(lastPlot().config.displayModeBar).toBe(true);
+  expect(screen.getByRole('heading', { level: 1 })).toBeInTheDocument();
+});
+
+test('follows the level asked for by an embedding app and reports the levels shown', async () => {
+  const onLevelChanged = jest.fn();
+  const onNodeSelected = jest.fn();
+  const roleId = 'role-of-public-finance/b-fiscal-sustainability';
+  const { rerender } = render(<App embedded depth="all" onLevelChanged={onLevelChanged} onNodeSelected={onNodeSelected} />);
+  await screen.findByTestId('plot');
+  expect(screen.queryByRole('heading', { level: 1 })).toBeNull();
+  expect(lastPlot().data[0].maxdepth).toBe(-1);
+  expect(onLevelChanged).toHaveBeenLastCalledWith(expect.objectContaining({ nodeId: 'role-of-public-finance', depth: 0 }));
+
+  rerender(<App embedded level={roleId} highlightIds={[roleId]} onLevelChanged={onLevelChanged} onNodeSelected={onNodeSelected} />);
+  expect(lastPlot().data[0].level).toBe(roleId);
+  expect(onLevelChanged).toHaveBeenLastCalledWith(expect.objectContaining({ nodeId: roleId, label: 'B. Fiscal sustainability', depth: 1 }));
+  // Slices other than the highlighted ones are faded, with gray labels
+  const trace = lastPlot().data[0];
+  const siblingId = trace.ids.find((id, i) => trace.parents[i] === 'role-of-public-finance' && id !== roleId);
+  expect(trace.textfont.color[trace.ids.indexOf(roleId)]).not.toBe('#9CA3AF');
+  expect(trace.textfont.color[trace.ids.indexOf(siblingId)]).toBe('#9CA3AF');
+
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: roleId }], event: { stopPropagation: () => {} } });
+  });
+  expect(onNodeSelected).toHaveBeenCalledWith(expect.objectContaining({ nodeId: roleId, isLeaf: false }));
+  expect(window.location.hash).toBe(''); // The embedding page's URL is left alone
+});
+
+test('steps through the snapshots of a country at the level on screen and charts a bottleneck over time', async () => {
+  await renderApp();
+  const roleId = 'role-of-public-finance/a-commitment-to-feasible-policy';
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: roleId }], event: { stopPropagation: () => {} } });
+  });
+  const slider = await screen.findByRole('slider', { name: 'Assessment year' });
+  expect(slider).toHaveAttribute('aria-valuetext', '2021');
+  fireEvent.change(slider, { target: { value: '1' } });
+  expect(slider).toHaveAttribute('aria-valuetext', '2023');
+  expect(lastPlot().data[0].level).toBe(roleId);
+  expect(lastPlot().layout.transition).toMatchObject({ easing: 'cubic-in-out' });
+  expect(window.location.hash).toContain('from=country-a-2023');
+
+  // Playing from the latest snapshot starts over from the oldest
+  fireEvent.click(screen.getByRole('button', { name: /Play/ }));
+  expect(slider).toHaveAttribute('aria-valuetext', '2021');
+  fireEvent.click(screen.getByRole('button', { name: /Pause/ }));
+
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: 'A.1.1' }], event: { stopPropagation: () => {} } });
+  });
+  const trend = screen.getByRole('figure', { name: 'Severity over time' });
+  expect(trend).toHaveTextContent('2021: 4 Critical');
+  expect(trend).toHaveTextContent('2023: 3 Serious');
+});
+
+test('lists the bottlenecks linked to a bottleneck and the reforms for it, and draws the links on request', async () => {
+  await renderApp();
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: 'D.9.2' }], event: { stopPropagation: () => {} } });
+  });
+  const dialog = screen.getByRole('dialog');
+  expect(dialog).toHaveTextContent('Recommended reforms');
+  const reformLink = within(dialog).getByRole('link', { name: 'Integrated financial management information system (IFMIS)' });
+  expect(reformLink).toHaveAttribute('href', 'https://example.org/reforms/ifmis.pdf');
+  expect(reformLink).toHaveStyle({ color: '#2563eb' });
+  fireEvent.click(within(dialog).getByRole('button', { name: /^D\.8\.4 Inadequate oversight/ }));
+  expect(screen.getByRole('dialog')).toHaveTextContent('D.8.4 Inadequate oversight');
+  expect(screen.getByRole('dialog')).toHaveTextContent('Driven byD.9.2 Data systems are fragmented');
+  fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+  expect(JSON.parse(window.localStorage.getItem('prm-chart-layout'))).toMatchObject({ relations: true });
+
+  // The links take the colors of the theme
+  fireEvent.change(screen.getByRole('combobox', { name: /Theme/ }), { target: { value: 'high-contrast' } });
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: 'D.9.2' }], event: { stopPropagation: () => {} } });
+  });
+  expect(within(screen.getByRole('dialog')).getByRole('link', { name: /IFMIS/ })).toHaveStyle({ color: '#00008b' });
+});
+
+test('sizes a portfolio of the latest assessments by how often bottlenecks are flagged and ranks the countries flagging one', async () => {
+  await renderApp();
+  fireEvent.click(await screen.findByRole('button', { name: 'Portfolio' }));
+  const trace = lastPlot().data[0];
+  const valueOf = id => trace.values[trace.ids.indexOf(id)];
+  expect(lastPlot().layout.title).toBe('Portfolio: latest assessments of 2 countries'); // Country A (2021) is left out
+  expect(valueOf('D.8.4')).toBe(2);
+  expect(valueOf('C.6.2')).toBe(2);
+  expect(valueOf('B.4.1')).toBe(0);
+  expect(window.location.hash).toContain('view=portfolio');
+
+  await act(async () => {
+    lastPlot().onClick({ points: [{ id: 'C.6.2' }], event: { stopPropagation: () => {} } });
+  });
+  const rows = within(screen.getByRole('dialog', { name: 'Countries Flagging This Bottleneck' })).getAllByRole('row');
+  expect(rows.map(row => row.textContent)).toEqual([
+    'RankAssessmentSeverityJustification',
+    '1Country A (2023)4 Critical—',
+    '2Country B (2023)3 Serious—'
+  ]);
+});
+
+test('draws the chart from an imported spreadsheet once the problems in its rows are fixed', async () => {
+  await renderApp();
+  fireEvent.click(screen.getByRole('button', { name: 'Import spreadsheet' }));
+  const csv = 'Role,Challenge,Bottleneck,Score\nA. Strategy,1. No plan,No costed plan,3\nA. Strategy,,Weak cash planning,\n';
+  const file = new File([csv], 'ratings.csv', { type: 'text/csv' });
+  file.text = async () => csv; // The files of the test environment cannot be read as text
+  fireEvent.change(screen.getByLabelText(/Drop a CSV or Excel file/), { target: { files: [file] } });
+  expect(await screen.findByText('Row 3: Challenge is empty, so "Weak cash planning" has no parent')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Show chart' })).toBeDisabled();
+
+  // Without the challenges, both bottlenecks sit directly under their role
+  fireEvent.change(screen.getByRole('combobox', { name: /Level 2/ }), { target: { value: '' } });
+  expect(screen.getByText('Ready to chart 2 bottlenecks.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Show chart' }));
+
+  expect(screen.queryByRole('dialog')).toBeNull();
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('ratings');
+  expect(lastPlot().data[0].ids).toEqual(['ratings', 'ratings/a-strategy', 'ratings/a-strategy/no-costed-plan', 'ratings/a-strategy/weak-cash-planning']);
+  expect(screen.getByRole('combobox', { name: /Assessment/ })).toHaveValue('imported');
 });
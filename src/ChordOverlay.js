@@ -0,0 +1,68 @@
+import React from 'react';
+import { THEMES } from './theme';
+
+// How each kind of link is drawn: "drives" links solid, with a dot where they end, and the
+// links that read both ways dashed; their colors come from the theme
+const CHORD_STYLES = {
+  drives: { dash: undefined, endDot: true },
+  related: { dash: '4 3', endDot: false }
+};
+
+// Width of a chord standing for one link, growing with each further link it stands for
+const CHORD_WIDTH = { base: 1.5, max: 6 };
+
+/**
+ * Chords drawn across a sunburst between the slices of linked nodes, each from the inner edge of
+ * one slice to the inner edge of the other, bending through the middle. Laid over the chart's
+ * plot area so that its radius matches Plotly's, and let through clicks and hovers to the chart.
+ * It is decoration only: the links are listed in the side panel and the pop-out.
+ * @param {{
+ *   chords: {from: string, to: string, type: string, count: number}[],
+ *   slices: Object<string, {x0: number, x1: number, ring: number}>,
+ *   ringCount: number,
+ *   top: number,
+ *   theme?: object
+ * }} props - `chords` as made by buildChords, `slices` and `ringCount` as laid out by
+ *   layoutSunburstSlices, `top` the chart's top margin in pixels, above the plot area, and
+ *   `theme` the page theme whose chord colors to draw in.
+ */
+const ChordOverlay = ({ chords, slices, ringCount, top, theme = THEMES.light }) => {
+  // Middle of a slice's inner edge, in a square of side 2 centered on the chart; Plotly's
+  // angles run counterclockwise while the SVG's y axis points down
+  const anchor = (nodeId) => {
+    const { x0, x1, ring } = slices[nodeId];
+    const angle = (x0 + x1) / 2;
+    const radius = ring / ringCount;
+    return [radius * Math.cos(angle), -radius * Math.sin(angle)];
+  };
+  const format = ([x, y]) => `${x.toFixed(4)} ${y.toFixed(4)}`;
+
+  return (
+    <div style={{ position: 'absolute', top: `${top}px`, left: 0, right: 0, bottom: 0, pointerEvents: 'none' }}>
+      <svg viewBox="-1 -1 2 2" preserveAspectRatio="xMidYMid meet" width="100%" height="100%" aria-hidden="true">
+        {chords.map(chord => {
+          const style = CHORD_STYLES[chord.type];
+          const stroke = theme.chords[chord.type];
+          const start = anchor(chord.from);
+          const end = anchor(chord.to);
+          return (
+            <g key={`${chord.type} ${chord.from} ${chord.to}`} opacity={0.6}>
+              <path
+                d={`M ${format(start)} Q 0 0 ${format(end)}`}
+                fill="none"
+                stroke={stroke}
+                strokeWidth={Math.min(CHORD_WIDTH.base + chord.count - 1, CHORD_WIDTH.max)}
+                strokeDasharray={style.dash}
+                strokeLinecap="round"
+                vectorEffect="non-scaling-stroke" // Widths in pixels, whatever the size of the chart
+              />
+              {style.endDot && <circle cx={end[0]} cy={end[1]} r={0.015} fill={stroke} />}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+export default ChordOverlay;
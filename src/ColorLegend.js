@@ -0,0 +1,42 @@
+import React from 'react';
+import { THEMES } from './theme';
+
+/**
+ * A row of labelled color swatches explaining the colors of the chart. For continuous scales,
+ * `gradient` adds a color bar with labels at both ends before the swatches.
+ * @param {{title: string, items: {color: string, label: string}[], gradient?: {colors: string[], minLabel: string, maxLabel: string}, theme?: object}} props
+ */
+const ColorLegend = ({ title, items, gradient, theme = THEMES.light }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', fontSize: '0.75rem', color: theme.strongText }}>
+    <span style={{ fontWeight: 600 }}>{title}:</span>
+    {gradient && (
+      <span style={{ display: 'inline-flex', alignItems: 'center', gap: '0.4rem' }}>
+        {gradient.minLabel}
+        <span style={{
+          display: 'inline-block',
+          width: '10rem',
+          height: '0.9rem',
+          borderRadius: '0.2rem',
+          background: `linear-gradient(to right, ${gradient.colors.join(', ')})`,
+          border: '1px solid #d1d5db'
+        }} />
+        {gradient.maxLabel}
+      </span>
+    )}
+    {items.map(item => (
+      <span key={item.label} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.3rem' }}>
+        <span style={{
+          display: 'inline-block',
+          width: '0.9rem',
+          height: '0.9rem',
+          borderRadius: '0.2rem',
+          backgroundColor: item.color,
+          border: '1px solid #d1d5db'
+        }} />
+        {item.label}
+      </span>
+    ))}
+  </div>
+);
+
+export default ColorLegend;
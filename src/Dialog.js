@@ -0,0 +1,122 @@
+import React, { useEffect, useId, useRef } from 'react';
+
+// Elements that can take the keyboard focus, for keeping Tab inside the dialog
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * A modal dialog over a dimmed backdrop. It takes the focus when it opens, keeps Tab and
+ * Shift+Tab within itself, closes on Escape, the close button or a click on the backdrop, and
+ * hands the focus back to whatever had it before (e.g. the chart or the search box) when it closes.
+ * @param {{
+ *   title: string,
+ *   closeLabel: string,
+ *   onClose: function(),
+ *   children: React.ReactNode
+ * }} props
+ */
+const Dialog = ({ title, closeLabel, onClose, children }) => {
+  const dialogRef = useRef(null);
+  const titleId = useId();
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    dialogRef.current.focus();
+    return () => {
+      if (opener && opener.isConnected) opener.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      onClose();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR));
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        left: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)', // Transparent black overlay
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '1rem',
+        zIndex: 9999 // Ensure it's on top
+      }}
+      onClick={onClose} // Close when clicking outside the dialog
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1} // Focused on opening, so screen readers start at the title
+        onKeyDown={handleKeyDown}
+        style={{
+          backgroundColor: '#ffffff', // White background
+          borderRadius: '0.5rem', // Rounded corners
+          boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)', // Shadow
+          padding: '1.5rem', // Padding inside
+          position: 'relative',
+          maxWidth: '960px', // Max width, wide enough for the evidence columns
+          width: '90%', // Responsive width
+          maxHeight: '80vh', // Max height for scrollable content
+          display: 'flex',
+          flexDirection: 'column',
+          outline: 'none' // The title is announced instead of a focus ring around the whole dialog
+        }}
+        onClick={e => e.stopPropagation()} // Prevent closing when clicking inside the dialog
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '0.75rem',
+            right: '0.75rem',
+            color: '#6b7280', // Gray text
+            fontSize: '1.5rem',
+            fontWeight: 'bold',
+            backgroundColor: 'transparent',
+            border: 'none',
+            cursor: 'pointer',
+            lineHeight: 1
+          }}
+          onMouseOver={e => e.currentTarget.style.color = '#374151'} // Darker gray on hover
+          onMouseOut={e => e.currentTarget.style.color = '#6b7280'} // Revert on mouse out
+          aria-label={closeLabel}
+        >
+          &times;
+        </button>
+        <h3 id={titleId} style={{
+          fontSize: '1.25rem', // text-xl
+          fontWeight: 'semibold',
+          color: '#1f2937', // Dark gray text
+          marginBottom: '0.25rem', // Margin bottom
+          paddingRight: '2rem' // Keep clear of the close button
+        }}>{title}</h3>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default Dialog;
@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from 'react';
+import App from './App';
+import { buildEmbedMessage, parseEmbedCommand } from './embed';
+
+// Sends a message to the page the iframe is embedded in, restricted to its origin when known
+const postToHost = (origin, type, payload) => {
+  window.parent.postMessage(buildEmbedMessage(type, payload), origin || '*');
+};
+
+/**
+ * The chart as a widget for an iframe opened with `?embed=1` (see readEmbedOptions). It tells the
+ * host page when it is ready, which node was clicked and which level is on screen, and follows the
+ * host's setLevel and highlight commands (see parseEmbedCommand).
+ * @param {{options: {level: string, theme: string, depth: (number|'all'), origin: string}}} props
+ */
+const EmbedFrame = ({ options }) => {
+  const { origin } = options;
+  const [level, setLevel] = useState(options.level); // Level asked for, kept in step with the one on screen
+  const [highlightIds, setHighlightIds] = useState([]);
+
+  // Effect to listen to the host page's commands, ignoring messages from other windows and origins
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.source !== window.parent || (origin && event.origin !== origin)) return;
+      const command = parseEmbedCommand(event.data);
+      if (!command) return;
+      if (command.type === 'setLevel') {
+        setLevel(command.nodeId);
+      } else {
+        setHighlightIds(command.nodeIds);
+      }
+    };
+    window.addEventListener('message', handleMessage);
+    postToHost(origin, 'ready');
+    return () => {
+      window.removeEventListener('message', handleMessage);
+    };
+  }, [origin]);
+
+  return (
+    <App
+      embedded
+      theme={options.theme}
+      depth={options.depth}
+      level={level}
+      highlightIds={highlightIds}
+      onNodeSelected={node => postToHost(origin, 'nodeSelected', { node })}
+      onLevelChanged={node => {
+        setLevel(node.nodeId); // So that asking for a level again after navigating away zooms back to it
+        postToHost(origin, 'levelChanged', { node });
+      }}
+    />
+  );
+};
+
+export default EmbedFrame;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { EVIDENCE_COLUMNS } from './evidence';
+
+// Cells of the evidence table, also used by the portfolio's table of assessments
+export const headerCellStyle = {
+  padding: '0.5rem 0.75rem',
+  textAlign: 'left',
+  fontSize: '0.75rem',
+  fontWeight: 'medium',
+  color: '#4b5563', // Gray text
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  border: '1px solid #d1d5db', // Light gray border
+  backgroundColor: '#f9fafb', // Light gray background
+  position: 'sticky', // Keep the header visible while the rows scroll
+  top: 0
+};
+
+export const bodyCellStyle = {
+  padding: '0.5rem 0.75rem',
+  fontSize: '0.875rem',
+  color: '#374151', // Darker gray text
+  wordBreak: 'break-word', // Allow long words to break
+  border: '1px solid #d1d5db', // Light gray border
+  verticalAlign: 'top'
+};
+
+/**
+ * Renders the value of one evidence field; links open the source document in a new tab.
+ * @param {object} record - An evidence record.
+ * @param {string} key - The field to render.
+ * @param {function(string, object=): string} t - The translator, for the link text.
+ */
+const renderCell = (record, key, t) => {
+  const value = record[key];
+  if (value === undefined || value === null || value === '') {
+    return '—';
+  }
+  if (key === 'url') {
+    return (
+      <a href={value} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb' }}>
+        {t('evidence.open')}
+      </a>
+    );
+  }
+  return value;
+};
+
+/**
+ * Table of evidence excerpts for a single bottleneck.
+ * @param {{records: object[], t: function(string, object=): string}} props - The evidence records to list, and the translator.
+ */
+const EvidenceTable = ({ records, t }) => {
+  if (records.length === 0) {
+    return (
+      <p style={{ fontSize: '0.875rem', color: '#6b7280', fontStyle: 'italic' }}>
+        {t('evidence.none')}
+      </p>
+    );
+  }
+
+  return (
+    <table style={{
+      width: '100%',
+      borderCollapse: 'collapse', // Collapse borders for single lines
+      backgroundColor: '#ffffff' // White background for table
+    }}>
+      <thead>
+        <tr>
+          {EVIDENCE_COLUMNS.map(column => (
+            <th key={column.key} style={headerCellStyle}>
+              {t(`evidence.column.${column.key}`)}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {records.map((record, index) => (
+          <tr key={index}>
+            {EVIDENCE_COLUMNS.map(column => (
+              <td key={column.key} style={{ ...bodyCellStyle, minWidth: column.key === 'text' ? '16rem' : undefined }}>
+                {renderCell(record, column.key, t)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default EvidenceTable;
@@ -0,0 +1,97 @@
+import React, { useRef, useState } from 'react';
+import { THEMES } from './theme';
+
+/**
+ * A button opening a drop-down list of export actions. The menu closes when an action is picked,
+ * on Escape, or when focus leaves it.
+ * @param {{items: {label: string, onSelect: function}[], label: string, theme?: object}} props - `label` names the button and the menu.
+ *   `theme` colors the button for the page it sits on and the actions on the white menu.
+ */
+const ExportMenu = ({ items, label, theme = THEMES.light }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const handleBlur = (e) => {
+    if (!containerRef.current.contains(e.relatedTarget)) setIsOpen(false);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      onBlur={handleBlur}
+      onKeyDown={e => {
+        if (e.key === 'Escape') setIsOpen(false);
+      }}
+      style={{ position: 'relative', fontSize: '0.8rem' }}
+    >
+      <button
+        type="button"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+        style={{
+          padding: '0.35rem 0.75rem',
+          fontSize: '0.8rem',
+          fontWeight: 600,
+          color: theme.buttonText,
+          backgroundColor: theme.buttonBackground,
+          border: `1px solid ${theme.buttonBorder}`,
+          borderRadius: '0.5rem',
+          cursor: 'pointer'
+        }}
+      >
+        {label} ▾
+      </button>
+      {isOpen && (
+        <ul
+          role="menu"
+          aria-label={label}
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            zIndex: 20, // Above the chart
+            minWidth: '14rem',
+            margin: '0.25rem 0 0',
+            padding: '0.25rem 0',
+            listStyle: 'none',
+            backgroundColor: '#ffffff',
+            border: '1px solid #d1d5db',
+            borderRadius: '0.375rem',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)' // shadow-lg
+          }}
+        >
+          {items.map(item => (
+            <li key={item.label} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                onClick={() => {
+                  setIsOpen(false);
+                  item.onSelect();
+                }}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  padding: '0.4rem 0.75rem',
+                  textAlign: 'left',
+                  fontSize: '0.8rem',
+                  color: theme.cardText,
+                  backgroundColor: 'transparent',
+                  border: 'none',
+                  cursor: 'pointer'
+                }}
+                onMouseOver={e => e.currentTarget.style.backgroundColor = '#EFF6FF'} // Highlight on hover
+                onMouseOut={e => e.currentTarget.style.backgroundColor = 'transparent'} // Revert on mouse out
+              >
+                {item.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { getTagCategoryLabel, getTagValueLabel } from './tagFilter';
+import { THEMES } from './theme';
+
+/**
+ * The active tag filters as removable chips, with a button clearing them all.
+ * @param {{
+ *   filters: Object<string, string[]>,
+ *   tagCategories: Object<string, string>,
+ *   tagValues: Object<string, Object<string, string>>,
+ *   isEmpty: boolean,
+ *   onRemove: function(string, string),
+ *   onClear: function,
+ *   t: function(string, object=): string,
+ *   theme?: object
+ * }} props - `isEmpty` reports that no bottleneck passes the filters.
+ */
+const FilterChips = ({ filters, tagCategories, tagValues, isEmpty, onRemove, onClear, t, theme = THEMES.light }) => (
+  <div style={{
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '0.5rem',
+    width: '100%',
+    maxWidth: '80rem',
+    marginBottom: '0.75rem',
+    fontSize: '0.75rem',
+    color: theme.text
+  }}>
+    <span style={{ fontWeight: 600 }}>{t('filter.filteredTo')}</span>
+    {Object.keys(filters).flatMap(category => filters[category].map(value => {
+      const text = t('filter.chip', { category: getTagCategoryLabel(tagCategories, category), value: getTagValueLabel(tagValues, category, value) });
+      return (
+        <span key={`${category}:${value}`} style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '0.3rem',
+          padding: '0.2rem 0.3rem 0.2rem 0.6rem',
+          backgroundColor: theme.chipBackground,
+          border: `1px solid ${theme.chipBorder}`,
+          borderRadius: '999px',
+          color: theme.chipText
+        }}>
+          {text}
+          <button
+            type="button"
+            onClick={() => onRemove(category, value)}
+            aria-label={t('filter.remove', { filter: text })}
+            style={{ border: 'none', backgroundColor: 'transparent', cursor: 'pointer', color: theme.mutedText, fontSize: '0.9rem', lineHeight: 1, padding: '0 0.2rem' }}
+          >
+            &times;
+          </button>
+        </span>
+      );
+    }))}
+    <button
+      type="button"
+      onClick={onClear}
+      style={{ border: 'none', backgroundColor: 'transparent', cursor: 'pointer', color: theme.linkText, fontSize: '0.75rem', textDecoration: 'underline' }}
+    >
+      {t('filter.clear')}
+    </button>
+    {isEmpty && (
+      <span role="status" style={{ color: theme.errorText }}>{t('filter.noMatches')}</span>
+    )}
+  </div>
+);
+
+export default FilterChips;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { VISUALLY_HIDDEN_STYLE } from './visuallyHidden';
+
+/**
+ * The text alternative of a chart: the whole hierarchy as nested lists, hidden from sight but
+ * read by screen readers. Each entry gives the node's code and full label with the figures its
+ * tooltip shows, and the level the chart is zoomed to is marked as the current one.
+ * @param {{
+ *   label: string,
+ *   data: {ids: string[], values: number[], nodeInfo: object},
+ *   currentId: string,
+ *   describe: function(string): string[]
+ * }} props - `describe` returns the summary lines of a node, e.g. "12 bottlenecks".
+ */
+const HierarchyList = ({ label, data, currentId, describe }) => {
+  // Leaves sized at zero are not drawn, so they are left out here too
+  const isShown = (nodeId) => data.values[data.ids.indexOf(nodeId)] > 0;
+
+  const renderNode = (nodeId) => {
+    const node = data.nodeInfo[nodeId];
+    const childIds = node.children.filter(isShown);
+    const details = describe(nodeId);
+    return (
+      <li key={nodeId} aria-current={nodeId === currentId ? 'location' : undefined}>
+        {node.code ? `${node.code} ${node.label}` : node.label}
+        {details.length > 0 && ` (${details.join(', ')})`}
+        {childIds.length > 0 && <ul>{childIds.map(renderNode)}</ul>}
+      </li>
+    );
+  };
+
+  if (data.ids.length === 0) return null;
+  return (
+    <ul aria-label={label} style={VISUALLY_HIDDEN_STYLE}>
+      {renderNode(data.ids[0])}
+    </ul>
+  );
+};
+
+export default HierarchyList;
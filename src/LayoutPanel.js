@@ -0,0 +1,117 @@
+import React from 'react';
+import SegmentedControl from './SegmentedControl';
+import { translateOptions } from './i18n';
+import { FONT_SIZE_RANGE, LABEL_ORIENTATIONS, RELATION_OVERLAY_OPTIONS, WRAP_WIDTH_RANGE, parseDepth } from './layoutSettings';
+import { THEMES } from './theme';
+
+// A labelled slider with its current value written after it
+const renderSlider = (label, valueText, value, range, step, onChange, color) => (
+  <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color, fontWeight: 600 }}>
+    <span style={{ flex: '0 0 8rem' }}>{label}:</span>
+    <input
+      type="range"
+      min={range.min}
+      max={range.max}
+      step={step}
+      value={value}
+      aria-valuetext={valueText}
+      onChange={e => onChange(Number(e.target.value))}
+      style={{ flex: '1 1 auto' }}
+    />
+    <span style={{ flex: '0 0 6rem', fontWeight: 400 }}>{valueText}</span>
+  </label>
+);
+
+/**
+ * A drop-down panel of the chart layout settings: the number of rings shown around the level on
+ * screen, the size and line length of the labels, their direction in the sunburst, and whether the
+ * chords between related nodes are drawn over it.
+ * @param {{
+ *   layout: {depth: (number|'all'), fontSize: number, wrapWidth: number, orientation: string, relations: boolean},
+ *   maxDepth: number,
+ *   showOrientation: boolean,
+ *   showRelations: boolean,
+ *   onChange: function(object),
+ *   t: function(string, object=): string,
+ *   theme?: object
+ * }} props - `maxDepth` is the depth of the deepest node, so that the ring choices stop where the
+ *   hierarchy does. `showRelations` offers the chords, for a sunburst with links to draw. `onChange`
+ *   receives the whole new layout.
+ */
+const LayoutPanel = ({ layout, maxDepth, showOrientation, showRelations, onChange, t, theme = THEMES.light }) => {
+  const depthOptions = [
+    ...Array.from({ length: Math.max(0, maxDepth - 1) }, (_, idx) => ({ value: String(idx + 1), label: String(idx + 1) })),
+    { value: 'all', label: t('layout.ringsAll') }
+  ];
+  // A saved depth beyond the deepest node shows every ring
+  const depthValue = layout.depth === 'all' || layout.depth >= maxDepth ? 'all' : String(layout.depth);
+  const update = (key, value) => onChange({ ...layout, [key]: value });
+  // The panel stays white in every theme, so the controls on it are labelled in the card colors
+  const menuTheme = { ...theme, text: theme.cardText, buttonText: theme.cardText, buttonBackground: '#ffffff' };
+
+  return (
+    <details style={{ position: 'relative', fontSize: '0.8rem' }}>
+      <summary style={{
+        listStyle: 'none',
+        padding: '0.35rem 0.75rem',
+        fontWeight: 600,
+        color: theme.buttonText,
+        backgroundColor: theme.buttonBackground,
+        border: `1px solid ${theme.buttonBorder}`,
+        borderRadius: '0.5rem',
+        cursor: 'pointer'
+      }}>
+        {t('layout.button')} ▾
+      </summary>
+      <div style={{
+        position: 'absolute',
+        top: '100%',
+        right: 0,
+        zIndex: 20, // Above the chart
+        width: '26rem',
+        marginTop: '0.25rem',
+        padding: '0.75rem',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.75rem',
+        backgroundColor: '#ffffff',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)' // shadow-lg
+      }}>
+        <SegmentedControl
+          label={t('layout.rings')}
+          options={depthOptions}
+          value={depthValue}
+          onChange={value => update('depth', parseDepth(value))}
+          theme={menuTheme}
+        />
+        {renderSlider(t('layout.fontSize'), t('layout.fontSizeValue', { size: layout.fontSize }), layout.fontSize, FONT_SIZE_RANGE, 1, value => update('fontSize', value), theme.cardText)}
+        {renderSlider(t('layout.wrapWidth'), t('layout.wrapWidthValue', { count: layout.wrapWidth }), layout.wrapWidth, WRAP_WIDTH_RANGE, 5, value => update('wrapWidth', value), theme.cardText)}
+        {showOrientation && (
+          <SegmentedControl
+            label={t('labelOrientation.label')}
+            options={translateOptions(t, LABEL_ORIENTATIONS, 'labelOrientation')}
+            value={layout.orientation}
+            onChange={value => update('orientation', value)}
+            theme={menuTheme}
+          />
+        )}
+        {showRelations && (
+          <SegmentedControl
+            label={t('relationOverlay.label')}
+            options={translateOptions(t, RELATION_OVERLAY_OPTIONS, 'relationOverlay')}
+            value={layout.relations ? 'show' : 'hide'}
+            onChange={value => update('relations', value === 'show')}
+            theme={menuTheme}
+          />
+        )}
+        <div style={{ color: theme.cardMutedText, fontSize: '0.75rem' }}>
+          {t('layout.hint')}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default LayoutPanel;
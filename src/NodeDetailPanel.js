@@ -0,0 +1,104 @@
+import React from 'react';
+import NodeRelations from './NodeRelations';
+import { THEMES } from './theme';
+
+// Headings of the panel's sections, in the muted card text color of a theme
+const getHeadingStyle = theme => ({
+  fontSize: '0.75rem',
+  fontWeight: 600,
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  color: theme.cardMutedText,
+  margin: '1rem 0 0.4rem'
+});
+
+/**
+ * The side panel describing the role or challenge the chart is zoomed to: its definition, the
+ * nodes directly below it, the nodes linked to it, the reforms recommended for it and links to
+ * guidance material. Picking a child does what clicking its slice does; picking a linked node goes to it.
+ * @param {{
+ *   levelLabel: string,
+ *   label: string,
+ *   code?: string|null,
+ *   note?: {definition?: string, links?: {label: string, url: string}[]},
+ *   guidanceError?: Error|null,
+ *   items: {id: string, label: string, code?: string|null, hasChildren: boolean}[],
+ *   relations?: object[],
+ *   reforms?: object[],
+ *   onSelect: function(string),
+ *   onSelectRelated: function(string),
+ *   theme?: object,
+ *   t: function(string, object=): string
+ * }} props - `relations` and `reforms` are listed as NodeRelations lists them. The panel's text is
+ *   drawn in the card colors of `theme`.
+ */
+const NodeDetailPanel = ({ levelLabel, label, code, note = {}, guidanceError, items, relations = [], reforms = [], onSelect, onSelectRelated, theme = THEMES.light, t }) => {
+  const headingStyle = getHeadingStyle(theme);
+  return (
+    <aside
+      aria-label={t('details.label', { level: levelLabel })}
+      style={{ padding: '1rem', fontSize: '0.85rem', color: theme.cardText, lineHeight: 1.5 }}
+    >
+      <div style={{ fontSize: '0.75rem', color: theme.cardMutedText }}>{levelLabel}</div>
+      <h2 style={{ fontSize: '1rem', fontWeight: 600, color: theme.cardText, margin: '0.15rem 0 0' }}>
+        {code && <span style={{ color: theme.cardMutedText }}>{code} </span>}
+        {label}
+      </h2>
+
+      <h3 style={headingStyle}>{t('details.definition')}</h3>
+      {guidanceError ? (
+        <p role="alert" style={{ margin: 0, color: theme.cardErrorText }}>{t('details.guidanceError', { message: guidanceError.message })}</p>
+      ) : (
+        <p style={{ margin: 0, color: note.definition ? theme.cardText : theme.cardMutedText }}>
+          {note.definition || t('details.noDefinition')}
+        </p>
+      )}
+
+      <h3 style={headingStyle}>{t('details.contents', { count: items.length })}</h3>
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+        {items.map(item => (
+          <li key={item.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+            <button
+              type="button"
+              onClick={() => onSelect(item.id)}
+              title={item.hasChildren ? t('node.zoom', { label: item.label }) : t('node.showEvidence')}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '0.35rem 0',
+                textAlign: 'left',
+                fontSize: '0.8rem',
+                color: theme.cardText,
+                backgroundColor: 'transparent',
+                border: 'none',
+                cursor: 'pointer'
+              }}
+            >
+              {item.code && <span style={{ color: theme.cardMutedText }}>{item.code} </span>}
+              {item.label}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <NodeRelations relations={relations} reforms={reforms} onSelect={onSelectRelated} headingStyle={headingStyle} theme={theme} t={t} />
+
+      {note.links && note.links.length > 0 && (
+        <>
+          <h3 style={headingStyle}>{t('details.guidance')}</h3>
+          <ul style={{ margin: 0, paddingLeft: '1.1rem' }}>
+            {note.links.map(link => (
+              <li key={link.url}>
+                <a href={link.url} target="_blank" rel="noopener noreferrer" style={{ color: theme.cardLink }}>
+                  {link.label}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default NodeDetailPanel;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { THEMES } from './theme';
+
+/**
+ * The nodes linked to a node and the reforms recommended for it, shown in the side panel and in
+ * the pop-out of a bottleneck. Linked nodes are grouped by how they relate to it ("Drives",
+ * "Driven by", "Related to"); picking one goes to it as the search results do. Renders nothing
+ * when there is neither.
+ * @param {{
+ *   relations: {nodeId: string, type: string, direction: string, note?: string, label: string, code?: string|null}[],
+ *   reforms: {id: string, label: string, description?: string, url?: string}[],
+ *   onSelect: function(string),
+ *   headingStyle: object,
+ *   theme?: object,
+ *   t: function(string, object=): string
+ * }} props - `relations` lists the linked nodes as getRelatedNodes does, with their label and code;
+ *   `theme` gives the colors of the text on the card or dialog it sits in.
+ */
+const NodeRelations = ({ relations, reforms, onSelect, headingStyle, theme = THEMES.light, t }) => {
+  // One group per kind of relation, in the order they first appear
+  const groups = [];
+  relations.forEach(relation => {
+    const key = `${relation.type}.${relation.direction}`;
+    let group = groups.find(entry => entry.key === key);
+    if (!group) {
+      group = { key, items: [] };
+      groups.push(group);
+    }
+    group.items.push(relation);
+  });
+
+  return (
+    <>
+      {groups.length > 0 && (
+        <>
+          <h3 style={headingStyle}>{t('details.related')}</h3>
+          {groups.map(group => (
+            <div key={group.key} style={{ marginBottom: '0.5rem' }}>
+              <div style={{ fontSize: '0.75rem', color: theme.cardMutedText }}>{t(`relation.${group.key}`)}</div>
+              <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                {group.items.map(item => (
+                  <li key={item.nodeId} style={{ borderBottom: '1px solid #f3f4f6', padding: '0.25rem 0' }}>
+                    <button
+                      type="button"
+                      onClick={() => onSelect(item.nodeId)}
+                      style={{
+                        display: 'block',
+                        width: '100%',
+                        padding: 0,
+                        textAlign: 'left',
+                        fontSize: '0.8rem',
+                        color: theme.cardText,
+                        backgroundColor: 'transparent',
+                        border: 'none',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {item.code && <span style={{ color: theme.cardMutedText }}>{item.code} </span>}
+                      {item.label}
+                    </button>
+                    {item.note && <div style={{ fontSize: '0.75rem', color: theme.cardMutedText }}>{item.note}</div>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </>
+      )}
+
+      {reforms.length > 0 && (
+        <>
+          <h3 style={headingStyle}>{t('details.reforms')}</h3>
+          <ul style={{ margin: 0, paddingLeft: '1.1rem' }}>
+            {reforms.map(reform => (
+              <li key={reform.id} style={{ marginBottom: '0.35rem' }}>
+                {reform.url ? (
+                  <a href={reform.url} target="_blank" rel="noopener noreferrer" style={{ color: theme.cardLink }}>
+                    {reform.label}
+                  </a>
+                ) : reform.label}
+                {reform.description && <div style={{ fontSize: '0.75rem', color: theme.cardMutedText }}>{reform.description}</div>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </>
+  );
+};
+
+export default NodeRelations;
@@ -0,0 +1,59 @@
+import React from 'react';
+
+// Distance between the pointer and the tooltip, in pixels
+const POINTER_OFFSET = 14;
+
+/**
+ * The tooltip shown while the pointer is over a slice, replacing Plotly's own. It gives the
+ * node's full label, which slices often truncate or wrap, with its path and summary figures.
+ * @param {{
+ *   x: number,
+ *   y: number,
+ *   label: string,
+ *   code?: string|null,
+ *   path: string,
+ *   details: string[]
+ * }} props - `x`/`y` are the pointer's position in the viewport; `details` are lines such as
+ *   "12 bottlenecks" or "Mean severity 2.4".
+ */
+const NodeTooltip = ({ x, y, label, code, path, details }) => {
+  // Open towards the side of the screen with more room, so the tooltip is not cut off at the edges
+  const opensLeft = x > window.innerWidth / 2;
+  const opensUp = y > window.innerHeight / 2;
+  return (
+    <div
+      role="tooltip"
+      style={{
+        position: 'fixed',
+        left: opensLeft ? undefined : x + POINTER_OFFSET,
+        right: opensLeft ? window.innerWidth - x + POINTER_OFFSET : undefined,
+        top: opensUp ? undefined : y + POINTER_OFFSET,
+        bottom: opensUp ? window.innerHeight - y + POINTER_OFFSET : undefined,
+        zIndex: 30, // Above the chart and the drop-down menus
+        maxWidth: '22rem',
+        padding: '0.5rem 0.75rem',
+        fontSize: '0.8rem',
+        lineHeight: 1.4,
+        color: '#1f2937',
+        backgroundColor: '#ffffff',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)', // shadow-lg
+        pointerEvents: 'none' // Never steal the hover from the chart underneath
+      }}
+    >
+      {path && <div style={{ fontSize: '0.7rem', color: '#6b7280', marginBottom: '0.2rem' }}>{path}</div>}
+      <div style={{ fontWeight: 600 }}>
+        {code && <span style={{ color: '#6b7280' }}>{code} </span>}
+        {label}
+      </div>
+      {details.length > 0 && (
+        <div style={{ marginTop: '0.25rem', color: '#4b5563' }}>
+          {details.join(' · ')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NodeTooltip;
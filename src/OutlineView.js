@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+
+// Indentation of each level of the outline
+const INDENT_REM = 1.25;
+
+/**
+ * Lists the IDs of a node's ancestors, nearest last, stopping at (and including) `stopId`.
+ * @returns {string[]} The IDs; empty when `stopId` is not an ancestor.
+ */
+const getAncestorIds = (nodeInfo, nodeId, stopId) => {
+  const ancestors = [];
+  for (let node = nodeInfo[nodeId]; node && node.parentId; node = nodeInfo[node.parentId]) {
+    ancestors.unshift(node.parentId);
+    if (node.parentId === stopId) return ancestors;
+  }
+  return [];
+};
+
+/**
+ * An indented outline of the hierarchy below the current level, as an alternative to the charts.
+ * Parents expand and collapse with their disclosure button; picking a parent's label zooms to it
+ * and picking a leaf opens its evidence, as clicking a slice does. Remount it (with a `key`) when
+ * the level changes to reset what is expanded.
+ * @param {{
+ *   data: {ids: string[], values: number[], colors: string[], nodeInfo: object},
+ *   rootId: string,
+ *   selectedLeafId: string,
+ *   isDimmed: function(string): boolean,
+ *   onZoom: function(string),
+ *   onSelectLeaf: function(string),
+ *   formatScore: function(number, number): string,
+ *   t: function(string, object=): string
+ * }} props
+ */
+const OutlineView = ({ data, rootId, selectedLeafId, isDimmed, onZoom, onSelectLeaf, formatScore, t }) => {
+  // The level itself starts expanded, as do the parents of the selected leaf
+  const [expandedIds, setExpandedIds] = useState(() => new Set([rootId, ...getAncestorIds(data.nodeInfo, selectedLeafId, rootId)]));
+
+  const toggle = (nodeId) => {
+    const next = new Set(expandedIds);
+    if (next.has(nodeId)) {
+      next.delete(nodeId);
+    } else {
+      next.add(nodeId);
+    }
+    setExpandedIds(next);
+  };
+
+  const renderNode = (nodeId, level) => {
+    const node = data.nodeInfo[nodeId];
+    const index = data.ids.indexOf(nodeId);
+    const hasChildren = node.children.length > 0;
+    const isExpanded = hasChildren && expandedIds.has(nodeId);
+    const isSelected = nodeId === selectedLeafId;
+    return (
+      <li key={nodeId} style={{ opacity: isDimmed(nodeId) ? 0.45 : 1 }}>
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.4rem',
+          padding: '0.3rem 0.5rem',
+          paddingLeft: `${0.5 + level * INDENT_REM}rem`,
+          backgroundColor: isSelected ? '#EFF6FF' : 'transparent',
+          borderBottom: '1px solid #f3f4f6'
+        }}>
+          {hasChildren ? (
+            <button
+              type="button"
+              aria-expanded={isExpanded}
+              aria-label={t(isExpanded ? 'outline.collapse' : 'outline.expand', { label: node.label })}
+              onClick={() => toggle(nodeId)}
+              style={{ width: '1.25rem', border: 'none', backgroundColor: 'transparent', cursor: 'pointer', color: '#4b5563', padding: 0 }}
+            >
+              {isExpanded ? '▾' : '▸'}
+            </button>
+          ) : (
+            <span style={{ width: '1.25rem' }} />
+          )}
+          <span aria-hidden="true" style={{
+            flex: '0 0 auto',
+            width: '0.8rem',
+            height: '0.8rem',
+            borderRadius: '0.2rem',
+            backgroundColor: data.colors[index], // Same color as the slice in the charts
+            border: '1px solid #d1d5db'
+          }} />
+          <button
+            type="button"
+            aria-current={isSelected ? 'true' : undefined}
+            onClick={() => (hasChildren ? onZoom(nodeId) : onSelectLeaf(nodeId))}
+            title={hasChildren ? t('node.zoom', { label: node.label }) : t('node.showEvidence')}
+            style={{
+              flex: 1,
+              textAlign: 'left',
+              border: 'none',
+              backgroundColor: 'transparent',
+              cursor: 'pointer',
+              fontSize: '0.85rem',
+              fontWeight: hasChildren ? 600 : 400,
+              color: '#1f2937',
+              padding: 0
+            }}
+          >
+            {node.code && <span style={{ color: '#6b7280' }}>{node.code} </span>}
+            {node.label}
+          </button>
+          <span title={t('outline.figuresTitle')} style={{ fontSize: '0.75rem', color: '#6b7280', whiteSpace: 'nowrap' }}>
+            {node.score !== undefined && node.score !== null && `${t('outline.score', { score: formatScore(node.score, 2) })} · `}
+            {data.values[index]}
+          </span>
+        </div>
+        {isExpanded && (
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {node.children.map(childId => renderNode(childId, level + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <ul aria-label={t('outline.label')} style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+      {renderNode(rootId, 0)}
+    </ul>
+  );
+};
+
+export default OutlineView;
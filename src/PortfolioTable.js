@@ -0,0 +1,45 @@
+import React from 'react';
+import { bodyCellStyle, headerCellStyle } from './EvidenceTable';
+
+/**
+ * Table of the assessments in the portfolio that flag a bottleneck, ranked from the most severe
+ * rating down, with the assessors' justification.
+ * @param {{
+ *   rows: {rank: number, id: string, severity: number, justification?: string}[],
+ *   assessmentName: function(string): string,
+ *   t: function(string, object=): string
+ * }} props - `rows` as ranked by rankFlaggedAssessments; `assessmentName` names an assessment by ID.
+ */
+const PortfolioTable = ({ rows, assessmentName, t }) => {
+  if (rows.length === 0) {
+    return (
+      <p style={{ fontSize: '0.875rem', color: '#6b7280', fontStyle: 'italic' }}>
+        {t('portfolio.none')}
+      </p>
+    );
+  }
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', backgroundColor: '#ffffff' }}>
+      <thead>
+        <tr>
+          {['rank', 'assessment', 'severity', 'justification'].map(key => (
+            <th key={key} style={headerCellStyle}>{t(`portfolio.column.${key}`)}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.id}>
+            <td style={bodyCellStyle}>{row.rank}</td>
+            <td style={bodyCellStyle}>{assessmentName(row.id)}</td>
+            <td style={{ ...bodyCellStyle, whiteSpace: 'nowrap' }}>{row.severity} {t(`severity.${row.severity}`)}</td>
+            <td style={{ ...bodyCellStyle, minWidth: '12rem' }}>{row.justification || '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default PortfolioTable;
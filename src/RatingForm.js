@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { CONFIDENCE_LEVELS, SEVERITY_LABELS } from './assessment';
+import { severityColor } from './colorScale';
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.8rem',
+  fontWeight: 600,
+  color: '#374151',
+  marginBottom: '0.25rem'
+};
+
+const fieldStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.4rem 0.5rem',
+  fontSize: '0.85rem',
+  fontFamily: 'inherit',
+  borderRadius: '0.375rem',
+  border: '1px solid #d1d5db'
+};
+
+const buttonStyle = {
+  padding: '0.4rem 1rem',
+  fontSize: '0.85rem',
+  fontWeight: 600,
+  borderRadius: '0.375rem',
+  cursor: 'pointer'
+};
+
+// Whether a line of the links field is an http(s) URL
+const isWebUrl = (text) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(text).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The edit-mode form for rating one bottleneck: severity, confidence, a justification and links
+ * to the evidence behind it. Remount it (with a `key`) for another bottleneck.
+ * @param {{
+ *   rating: {severity?: number, confidence?: string, justification?: string, links?: string[]}|undefined,
+ *   onSave: function(object),
+ *   onCancel: function,
+ *   t: function(string, object=): string
+ * }} props
+ */
+const RatingForm = ({ rating = {}, onSave, onCancel, t }) => {
+  const [severity, setSeverity] = useState(rating.severity || null);
+  const [confidence, setConfidence] = useState(rating.confidence || '');
+  const [justification, setJustification] = useState(rating.justification || '');
+  const [linksText, setLinksText] = useState((rating.links || []).join('\n'));
+  const [invalidLinks, setInvalidLinks] = useState([]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const links = linksText.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalid = links.filter(link => !isWebUrl(link));
+    setInvalidLinks(invalid);
+    if (invalid.length > 0) return;
+    onSave({ severity, confidence, justification, links });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1rem', overflowY: 'auto' }}>
+      <fieldset style={{ border: 'none', margin: 0, padding: 0 }}>
+        <legend style={labelStyle}>{t('rating.severity')}</legend>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', fontSize: '0.85rem', color: '#374151' }}>
+          {[null, ...Object.keys(SEVERITY_LABELS).map(Number)].map(value => (
+            <label key={value || 'none'} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.3rem', cursor: 'pointer' }}>
+              <input type="radio" name="severity" checked={severity === value} onChange={() => setSeverity(value)} />
+              {value && (
+                <span style={{
+                  display: 'inline-block',
+                  width: '0.8rem',
+                  height: '0.8rem',
+                  borderRadius: '0.2rem',
+                  backgroundColor: severityColor(value), // Same color as in the heatmap
+                  border: '1px solid #d1d5db'
+                }} />
+              )}
+              {value ? `${value} ${t(`severity.${value}`)}` : t('severity.notRated')}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div>
+        <label htmlFor="rating-confidence" style={labelStyle}>{t('rating.confidence')}</label>
+        <select id="rating-confidence" value={confidence} onChange={e => setConfidence(e.target.value)} style={{ ...fieldStyle, width: 'auto' }}>
+          <option value="">{t('rating.notSet')}</option>
+          {CONFIDENCE_LEVELS.map(level => (
+            <option key={level.value} value={level.value}>{t(`confidence.${level.value}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="rating-justification" style={labelStyle}>{t('rating.justification')}</label>
+        <textarea
+          id="rating-justification"
+          rows={4}
+          value={justification}
+          onChange={e => setJustification(e.target.value)}
+          placeholder={t('rating.justificationPlaceholder')}
+          style={fieldStyle}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="rating-links" style={labelStyle}>{t('rating.links')}</label>
+        <textarea
+          id="rating-links"
+          rows={3}
+          value={linksText}
+          onChange={e => setLinksText(e.target.value)}
+          placeholder="https://"
+          aria-invalid={invalidLinks.length > 0}
+          aria-describedby={invalidLinks.length > 0 ? 'rating-links-error' : undefined}
+          style={fieldStyle}
+        />
+        {invalidLinks.length > 0 && (
+          <p id="rating-links-error" role="alert" style={{ fontSize: '0.8rem', color: '#991b1b', margin: '0.25rem 0 0' }}>
+            {t('rating.invalidLinks', { links: invalidLinks.join(', ') })}
+          </p>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem' }}>
+        <button type="button" onClick={onCancel} style={{ ...buttonStyle, color: '#374151', backgroundColor: '#ffffff', border: '1px solid #d1d5db' }}>
+          {t('rating.cancel')}
+        </button>
+        <button type="submit" style={{ ...buttonStyle, color: '#ffffff', backgroundColor: '#4D9FD3', border: '1px solid #4D9FD3' }}>
+          {t('rating.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RatingForm;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { THEMES } from './theme';
+
+/**
+ * A search field with a drop-down of results. Arrow keys move through the results, Enter picks
+ * one and Escape closes the list (or clears the field when the list is already closed).
+ * @param {{
+ *   query: string,
+ *   onQueryChange: function(string),
+ *   results: {id: string, label: string, code?: string|null, path: string, excerpt?: string}[],
+ *   onSelect: function(string),
+ *   theme?: object,
+ *   t: function(string, object=): string
+ * }} props - `theme` colors the label and the field for the page they sit on; the results keep a light surface.
+ */
+const SearchBox = ({ query, onQueryChange, results, onSelect, theme = THEMES.light, t }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const showList = isOpen && query.trim() !== '';
+
+  const select = (result) => {
+    onSelect(result.id);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!showList) {
+        setIsOpen(true);
+      } else if (results.length > 0) {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex((activeIndex + step + results.length) % results.length);
+      }
+    } else if (e.key === 'Enter' && showList && results[activeIndex]) {
+      e.preventDefault();
+      select(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      if (showList) {
+        setIsOpen(false);
+      } else {
+        onQueryChange('');
+      }
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative', fontSize: '0.8rem' }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: theme.text, fontWeight: 600 }}>
+        {t('search.label')}:
+        <input
+          type="search"
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls="search-results"
+          aria-autocomplete="list"
+          aria-activedescendant={showList && results[activeIndex] ? `search-result-${activeIndex}` : undefined}
+          value={query}
+          placeholder={t('search.placeholder')}
+          onChange={e => {
+            onQueryChange(e.target.value);
+            setActiveIndex(0);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
+          style={{
+            width: '16rem',
+            padding: '0.3rem 0.5rem',
+            fontSize: '0.8rem',
+            color: theme.fieldText,
+            backgroundColor: theme.fieldBackground,
+            border: `1px solid ${theme.fieldBorder}`,
+            borderRadius: '0.375rem'
+          }}
+        />
+      </label>
+      {showList && (
+        <ul
+          id="search-results"
+          role="listbox"
+          aria-label={t('search.results')}
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            zIndex: 20, // Above the chart
+            width: '28rem',
+            maxHeight: '24rem',
+            overflowY: 'auto',
+            margin: '0.25rem 0 0',
+            padding: 0,
+            listStyle: 'none',
+            backgroundColor: '#ffffff',
+            border: '1px solid #d1d5db',
+            borderRadius: '0.375rem',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)' // shadow-lg
+          }}
+        >
+          {results.length === 0 && (
+            <li style={{ padding: '0.5rem 0.75rem', color: '#6b7280' }}>{t('search.noMatches')}</li>
+          )}
+          {results.map((result, idx) => (
+            <li
+              key={result.id}
+              id={`search-result-${idx}`}
+              role="option"
+              aria-selected={idx === activeIndex}
+              onMouseDown={e => e.preventDefault()} // Keep focus in the field so the click is not lost to onBlur
+              onClick={() => select(result)}
+              onMouseEnter={() => setActiveIndex(idx)}
+              style={{
+                padding: '0.5rem 0.75rem',
+                cursor: 'pointer',
+                backgroundColor: idx === activeIndex ? '#EFF6FF' : '#ffffff',
+                borderTop: idx > 0 ? '1px solid #f3f4f6' : 'none'
+              }}
+            >
+              <div style={{ color: '#1f2937', fontWeight: 600 }}>
+                {result.code && <span>{result.code} </span>}
+                {result.label}
+              </div>
+              <div style={{ color: '#6b7280', fontSize: '0.7rem' }}>{result.path}</div>
+              {result.excerpt && (
+                <div style={{ color: '#4b5563', fontSize: '0.7rem', fontStyle: 'italic', marginTop: '0.2rem' }}>
+                  {t('search.evidence', { excerpt: result.excerpt })}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { THEMES } from './theme';
+
+/**
+ * A labelled row of toggle buttons where exactly one option is active.
+ * @param {{label: string, options: {value: string, label: string}[], value: string, onChange: function, theme?: object}} props -
+ *   `theme` colors the label and the inactive buttons for the page it sits on.
+ */
+const SegmentedControl = ({ label, options, value, onChange, theme = THEMES.light }) => (
+  <div role="group" aria-label={label} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem' }}>
+    <span style={{ color: theme.text, fontWeight: 600 }}>{label}:</span>
+    <div style={{ display: 'inline-flex', borderRadius: '0.5rem', overflow: 'hidden', border: `1px solid ${theme.buttonBorder}` }}>
+      {options.map((option, idx) => {
+        const isActive = option.value === value;
+        return (
+          <button
+            key={option.value}
+            type="button"
+            aria-pressed={isActive}
+            onClick={() => onChange(option.value)}
+            style={{
+              padding: '0.35rem 0.75rem',
+              fontSize: '0.8rem',
+              fontWeight: isActive ? 600 : 400,
+              color: isActive ? '#ffffff' : theme.buttonText,
+              backgroundColor: isActive ? '#4D9FD3' : theme.buttonBackground,
+              border: 'none',
+              borderLeft: idx > 0 ? `1px solid ${theme.buttonBorder}` : 'none',
+              cursor: 'pointer'
+            }}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default SegmentedControl;
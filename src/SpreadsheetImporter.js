@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { buildTaxonomyFromRows, guessColumnMapping, readSpreadsheetFile } from './spreadsheetImport';
+
+// Buttons at the foot of the importer
+const buttonStyle = {
+  padding: '0.4rem 1rem',
+  fontSize: '0.875rem',
+  fontWeight: 600,
+  color: '#374151',
+  backgroundColor: '#ffffff',
+  border: '1px solid #d1d5db',
+  borderRadius: '0.375rem',
+  cursor: 'pointer'
+};
+
+// A drop-down choosing the column that holds a field, or none
+const renderColumnSelect = (label, value, columns, onChange, t) => (
+  <label key={label} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: '#4b5563', fontWeight: 600 }}>
+    <span style={{ flex: '0 0 8rem' }}>{label}:</span>
+    <select
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      style={{ padding: '0.3rem 0.5rem', fontSize: '0.8rem', borderRadius: '0.375rem', border: '1px solid #d1d5db', backgroundColor: '#ffffff' }}
+    >
+      <option value="">{t('import.none')}</option>
+      {columns.map(column => (
+        <option key={column} value={column}>{column}</option>
+      ))}
+    </select>
+  </label>
+);
+
+/**
+ * Builds the chart from a CSV or Excel file dropped or chosen by the user. The file is read in the
+ * browser; its columns are matched to the hierarchy levels, the IDs, the scores and the notes
+ * (guessed from the headers to start with), and the problems found in its rows are listed until
+ * they are fixed, as the chart can only be drawn from a sheet without any.
+ * @param {{
+ *   onImport: function({taxonomy: object, ratings: object}, string),
+ *   onCancel: function(),
+ *   t: function(string, object=): string
+ * }} props - `onImport` receives the taxonomy and ratings built from the sheet, and the file name.
+ */
+const SpreadsheetImporter = ({ onImport, onCancel, t }) => {
+  const [sheet, setSheet] = useState(null); // The file read: {name, columns, rows}
+  const [mapping, setMapping] = useState(null); // Column of each field, see guessColumnMapping
+  const [readError, setReadError] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  const openFile = (file) => {
+    setReadError(null);
+    readSpreadsheetFile(file)
+      .then(({ columns, rows }) => {
+        setSheet({ name: file.name, columns, rows });
+        setMapping(guessColumnMapping(columns));
+      })
+      .catch(error => {
+        setSheet(null);
+        setReadError(error);
+      });
+  };
+
+  // Rebuilt on every change of mapping, so the problems listed always match the columns chosen
+  const result = sheet ? buildTaxonomyFromRows(sheet.rows, mapping, sheet.name.replace(/\.[^.]+$/, '')) : null;
+
+  // Choosing no column for a level removes it, and the levels below move up
+  const setLevel = (idx, column) => {
+    const levels = [...mapping.levels];
+    if (column) {
+      levels[idx] = column;
+    } else {
+      levels.splice(idx, 1);
+    }
+    setMapping({ ...mapping, levels });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem', overflowY: 'auto', marginTop: '0.75rem' }}>
+      <label
+        onDragOver={e => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={e => {
+          e.preventDefault();
+          setIsDragOver(false);
+          if (e.dataTransfer.files[0]) openFile(e.dataTransfer.files[0]);
+        }}
+        style={{
+          position: 'relative',
+          padding: '1.5rem',
+          textAlign: 'center',
+          fontSize: '0.875rem',
+          color: '#4b5563',
+          backgroundColor: isDragOver ? '#EFF6FF' : '#f9fafb',
+          border: `2px dashed ${isDragOver ? '#4D9FD3' : '#d1d5db'}`,
+          borderRadius: '0.5rem',
+          cursor: 'pointer'
+        }}
+      >
+        {sheet ? t('import.rows', { name: sheet.name, count: sheet.rows.length }) : t('import.drop')}
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,.xlsx,.xls,.ods,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+          onChange={e => {
+            if (e.target.files[0]) openFile(e.target.files[0]);
+            e.target.value = ''; // Allow the same file to be picked again once it has been fixed
+          }}
+          style={{ position: 'absolute', inset: 0, width: '100%', opacity: 0, cursor: 'pointer' }} // Invisible, but still reachable by keyboard
+        />
+      </label>
+
+      {readError && (
+        <p role="alert" style={{ fontSize: '0.875rem', color: '#991b1b' }}>
+          {t('import.readError', { message: [readError.message, ...(readError.details || [])].join(': ') })}
+        </p>
+      )}
+
+      {sheet && (
+        <fieldset style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', border: 'none', margin: 0, padding: 0 }}>
+          <legend style={{ fontSize: '0.875rem', color: '#4b5563', marginBottom: '0.5rem' }}>{t('import.columns')}</legend>
+          {/* One drop-down per level chosen, and one more to add a level below them */}
+          {[...mapping.levels, ''].slice(0, sheet.columns.length).map((column, idx) => (
+            renderColumnSelect(t('import.level', { number: idx + 1 }), column, sheet.columns, value => setLevel(idx, value), t)
+          ))}
+          {renderColumnSelect(t('import.id'), mapping.id, sheet.columns, value => setMapping({ ...mapping, id: value }), t)}
+          {renderColumnSelect(t('import.score'), mapping.score, sheet.columns, value => setMapping({ ...mapping, score: value }), t)}
+          {renderColumnSelect(t('import.notes'), mapping.notes, sheet.columns, value => setMapping({ ...mapping, notes: value }), t)}
+        </fieldset>
+      )}
+
+      {result && (result.errors.length > 0 ? (
+        <div role="alert" style={{ fontSize: '0.875rem', color: '#991b1b' }}>
+          <p style={{ fontWeight: 600, marginBottom: '0.5rem' }}>{t('import.errors', { count: result.errors.length })}</p>
+          <ul style={{ maxHeight: '12rem', overflowY: 'auto', lineHeight: 1.5, paddingLeft: '1.25rem', margin: 0 }}>
+            {result.errors.map((error, idx) => (
+              <li key={idx}>{error.row ? t('import.rowError', { row: error.row, message: error.message }) : error.message}</li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p style={{ fontSize: '0.875rem', color: '#4b5563' }}>{t('import.ready', { count: result.leafCount })}</p>
+      ))}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem' }}>
+        <button type="button" onClick={onCancel} style={buttonStyle}>
+          {t('import.cancel')}
+        </button>
+        <button
+          type="button"
+          disabled={!result || result.errors.length > 0}
+          onClick={() => onImport(result, sheet.name)}
+          style={{
+            ...buttonStyle,
+            color: '#ffffff',
+            backgroundColor: '#4D9FD3',
+            borderColor: '#4D9FD3',
+            opacity: !result || result.errors.length > 0 ? 0.5 : 1,
+            cursor: !result || result.errors.length > 0 ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {t('import.apply')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpreadsheetImporter;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { getTagCategoryLabel, getTagValueLabel } from './tagFilter';
+import { THEMES } from './theme';
+
+/**
+ * A drop-down panel of toggle buttons, one row per tag category, for filtering the bottlenecks.
+ * @param {{
+ *   options: {category: string, values: string[]}[],
+ *   tagCategories: Object<string, string>,
+ *   tagValues: Object<string, Object<string, string>>,
+ *   filters: Object<string, string[]>,
+ *   onToggle: function(string, string),
+ *   t: function(string, object=): string,
+ *   theme?: object
+ * }} props - `tagValues` holds display names of the values, by category, in the current language.
+ *   `theme` colors the toggle for the page it sits on and the text on the white panel.
+ */
+const TagFilterPanel = ({ options, tagCategories, tagValues, filters, onToggle, t, theme = THEMES.light }) => {
+  const activeCount = Object.values(filters).reduce((sum, values) => sum + values.length, 0);
+  return (
+    <details style={{ position: 'relative', fontSize: '0.8rem' }}>
+      <summary style={{
+        listStyle: 'none',
+        padding: '0.35rem 0.75rem',
+        fontWeight: 600,
+        color: theme.buttonText,
+        backgroundColor: theme.buttonBackground,
+        border: `1px solid ${theme.buttonBorder}`,
+        borderRadius: '0.5rem',
+        cursor: 'pointer'
+      }}>
+        {activeCount > 0 ? t('filter.buttonCount', { count: activeCount }) : t('filter.button')} ▾
+      </summary>
+      <div style={{
+        position: 'absolute',
+        top: '100%',
+        right: 0,
+        zIndex: 20, // Above the chart
+        width: '26rem',
+        marginTop: '0.25rem',
+        padding: '0.75rem',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.75rem',
+        backgroundColor: '#ffffff',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)' // shadow-lg
+      }}>
+        {options.map(({ category, values }) => {
+          const label = getTagCategoryLabel(tagCategories, category);
+          const selected = filters[category] || [];
+          return (
+            <div key={category} role="group" aria-label={label}>
+              <div style={{ color: theme.cardText, fontWeight: 600, marginBottom: '0.3rem' }}>{label}</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem' }}>
+                {values.map(value => {
+                  const isActive = selected.includes(value);
+                  return (
+                    <button
+                      key={value}
+                      type="button"
+                      aria-pressed={isActive}
+                      onClick={() => onToggle(category, value)}
+                      style={{
+                        padding: '0.2rem 0.6rem',
+                        fontSize: '0.75rem',
+                        color: isActive ? '#ffffff' : theme.cardText,
+                        backgroundColor: isActive ? '#4D9FD3' : '#f3f4f6',
+                        border: '1px solid ' + (isActive ? '#4D9FD3' : '#e5e7eb'),
+                        borderRadius: '999px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {getTagValueLabel(tagValues, category, value)}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+        <div style={{ color: theme.cardMutedText, fontSize: '0.75rem' }}>
+          {t('filter.hint')}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default TagFilterPanel;
@@ -0,0 +1,79 @@
+import React, { useId } from 'react';
+import Plot from 'react-plotly.js';
+import { NO_SCORE_COLOR, severityColor } from './colorScale';
+import { SEVERITY_SCALE } from './assessment';
+import { VISUALLY_HIDDEN_STYLE } from './visuallyHidden';
+
+// Height of the chart, small enough to sit above the evidence table
+const TREND_CHART_HEIGHT = 160;
+
+/**
+ * A small line chart of one bottleneck's severity across the snapshots of a country, with the
+ * snapshot on screen drawn larger. Snapshots where it is not rated leave a gap in the line; a
+ * hidden list gives the same figures to screen readers.
+ * @param {{
+ *   points: {id: string, year: number, severity: (number|null)}[],
+ *   currentId: string,
+ *   t: function(string, object=): string
+ * }} props - `points` are oldest first, as built by getSeverityTrend; `currentId` is the snapshot on screen.
+ */
+const TrendChart = ({ points, currentId, t }) => {
+  const captionId = useId();
+  const severities = [];
+  for (let severity = SEVERITY_SCALE.min; severity <= SEVERITY_SCALE.max; severity++) {
+    severities.push(severity);
+  }
+  return (
+    <figure aria-labelledby={captionId} style={{ margin: '0 0 1rem' }}>
+      <figcaption id={captionId} style={{ fontSize: '0.8rem', fontWeight: 600, color: '#4b5563', marginBottom: '0.25rem' }}>
+        {t('trend.title')}
+      </figcaption>
+      <div aria-hidden="true">
+        <Plot
+          data={[{
+            type: 'scatter',
+            mode: 'lines+markers',
+            x: points.map(point => String(point.year)), // Categories, so the snapshots are evenly spaced
+            y: points.map(point => point.severity),
+            connectgaps: false, // Leave a gap where the bottleneck is not rated
+            line: { color: '#9CA3AF', width: 2 },
+            marker: {
+              color: points.map(point => (point.severity === null ? NO_SCORE_COLOR : severityColor(point.severity))),
+              size: points.map(point => (point.id === currentId ? 14 : 9)),
+              line: { color: '#374151', width: 1 }
+            },
+            hoverinfo: 'skip'
+          }]}
+          layout={{
+            height: TREND_CHART_HEIGHT,
+            autosize: true,
+            margin: { l: 80, r: 10, t: 10, b: 30 },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            font: { family: 'Inter, sans-serif', size: 11 },
+            xaxis: { type: 'category', fixedrange: true },
+            yaxis: {
+              range: [SEVERITY_SCALE.min - 0.5, SEVERITY_SCALE.max + 0.5],
+              tickvals: severities,
+              ticktext: severities.map(severity => t(`severity.${severity}`)),
+              fixedrange: true
+            },
+            showlegend: false
+          }}
+          config={{ displayModeBar: false, staticPlot: true }}
+          style={{ width: '100%', height: `${TREND_CHART_HEIGHT}px` }}
+          useResizeHandler={true}
+        />
+      </div>
+      <ul style={VISUALLY_HIDDEN_STYLE}>
+        {points.map(point => (
+          <li key={point.id}>
+            {t('trend.point', { year: point.year, severity: point.severity === null ? t('severity.notRated') : `${point.severity} ${t(`severity.${point.severity}`)}` })}
+          </li>
+        ))}
+      </ul>
+    </figure>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,156 @@
+import { DataFileError, fetchDataFile, resolveDataUrl } from './dataFile';
+
+// Default location of the index listing the available assessments, relative to the deployed app
+export const DEFAULT_ASSESSMENT_INDEX_URL = `${process.env.PUBLIC_URL}/data/assessments/index.json`;
+
+// Severity ratings run from 1 (minor) to 4 (critical)
+export const SEVERITY_SCALE = { min: 1, max: 4 };
+export const SEVERITY_LABELS = { 1: 'Minor', 2: 'Moderate', 3: 'Serious', 4: 'Critical' };
+
+// How sure the assessors are of a rating
+export const CONFIDENCE_LEVELS = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' }
+];
+
+/**
+ * Works out which assessment index to load. An `?assessments=` URL parameter takes precedence
+ * over the index bundled in public/data.
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the assessment index.
+ */
+export const resolveAssessmentIndexUrl = (search = window.location.search) => {
+  return resolveDataUrl('assessments', DEFAULT_ASSESSMENT_INDEX_URL, search);
+};
+
+/**
+ * Returns a display name for an assessment, e.g. "Country A (2023)".
+ * @param {{country?: string, year?: number}} assessment - The assessment document.
+ * @param {string} fallback - The name to use when the document has no country.
+ * @returns {string} The display name.
+ */
+export const getAssessmentLabel = (assessment, fallback = 'Assessment') => {
+  if (!assessment || !assessment.country) return fallback;
+  return assessment.year ? `${assessment.country} (${assessment.year})` : assessment.country;
+};
+
+/**
+ * Validates a parsed assessment index.
+ * @param {object} document - The parsed index file ({ assessments: [{ id, label, url }] }).
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateAssessmentIndex = (document) => {
+  if (document === null || typeof document !== 'object' || !Array.isArray(document.assessments) || document.assessments.length === 0) {
+    return ['Assessment index must be an object with a non-empty "assessments" list'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+  document.assessments.forEach((entry, index) => {
+    const location = `Assessment ${index + 1}`;
+    if (entry === null || typeof entry !== 'object' || typeof entry.id !== 'string' || typeof entry.url !== 'string') {
+      errors.push(`${location}: expected an object with "id" and "url" strings`);
+    } else if (seenIds.has(entry.id)) {
+      errors.push(`${location}: duplicate id "${entry.id}"`);
+    } else {
+      seenIds.add(entry.id);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Lists the assessments available to the app. A single `?assessment=<url>` file replaces the
+ * index; otherwise the index is fetched and its relative URLs resolved against it.
+ * @param {string} search - The query string of the current page.
+ * @returns {Promise<{id: string, label?: string, url: string}[]>} The assessments, in index order.
+ * @throws {DataFileError} When the index cannot be fetched, parsed or fails validation.
+ */
+export const loadAssessmentIndex = async (search = window.location.search) => {
+  const singleUrl = new URLSearchParams(search).get('assessment');
+  if (singleUrl) {
+    return [{ id: 'assessment', url: singleUrl }];
+  }
+
+  const indexUrl = resolveAssessmentIndexUrl(search);
+  const document = await fetchDataFile(indexUrl);
+  const errors = validateAssessmentIndex(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Assessment index ${indexUrl} is invalid`, errors);
+  }
+  const baseUrl = new URL(indexUrl, window.location.href);
+  return document.assessments.map(entry => ({ ...entry, url: new URL(entry.url, baseUrl).href }));
+};
+
+/**
+ * Validates a parsed assessment document.
+ * @param {object} document - The parsed assessment file ({ version, country, year, ratings }).
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateAssessment = (document) => {
+  if (document === null || typeof document !== 'object' || document.ratings === null || typeof document.ratings !== 'object' || Array.isArray(document.ratings)) {
+    return ['Assessment file must be an object with a "ratings" object keyed by bottleneck ID'];
+  }
+
+  const errors = [];
+  Object.keys(document.ratings).forEach(bottleneckId => {
+    const rating = document.ratings[bottleneckId];
+    if (rating === null || typeof rating !== 'object') {
+      errors.push(`${bottleneckId}: expected a rating object such as { "severity": 2 }`);
+      return;
+    }
+    const { severity, confidence, justification, links } = rating;
+    if (severity !== undefined && (!Number.isInteger(severity) || severity < SEVERITY_SCALE.min || severity > SEVERITY_SCALE.max)) {
+      errors.push(`${bottleneckId}: "severity" must be a whole number from ${SEVERITY_SCALE.min} to ${SEVERITY_SCALE.max}`);
+    }
+    if (confidence !== undefined && !CONFIDENCE_LEVELS.some(level => level.value === confidence)) {
+      errors.push(`${bottleneckId}: "confidence" must be one of ${CONFIDENCE_LEVELS.map(level => `"${level.value}"`).join(', ')}`);
+    }
+    if (justification !== undefined && typeof justification !== 'string') {
+      errors.push(`${bottleneckId}: "justification" must be text`);
+    }
+    if (links !== undefined && (!Array.isArray(links) || links.some(link => typeof link !== 'string'))) {
+      errors.push(`${bottleneckId}: "links" must be a list of URLs`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Fetches and validates an assessment file.
+ * @param {string} url - The URL of the assessment file.
+ * @returns {Promise<{country?: string, year?: number, ratings: Object<string, {severity?: number, confidence?: string, justification?: string, links?: string[]}>}>}
+ *   The validated document.
+ * @throws {DataFileError} When the file cannot be fetched, parsed or fails validation.
+ */
+export const loadAssessment = async (url) => {
+  const document = await fetchDataFile(url);
+  const errors = validateAssessment(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Assessment file ${url} is invalid`, errors);
+  }
+  return document;
+};
+
+/**
+ * Loads every listed assessment. A file that fails to load does not prevent the others from
+ * being used; its error is returned alongside.
+ * @param {{id: string, url: string}[]} entries - The assessments to load.
+ * @returns {Promise<{assessments: Object<string, object>, errors: Object<string, DataFileError>}>}
+ *   The loaded documents and the errors, both keyed by assessment ID.
+ */
+export const loadAssessments = async (entries) => {
+  const results = await Promise.allSettled(entries.map(entry => loadAssessment(entry.url)));
+  const assessments = {};
+  const errors = {};
+  results.forEach((result, index) => {
+    const { id } = entries[index];
+    if (result.status === 'fulfilled') {
+      assessments[id] = result.value;
+    } else {
+      errors[id] = result.reason;
+    }
+  });
+  return { assessments, errors };
+};
@@ -0,0 +1,41 @@
+import { getAssessmentLabel, validateAssessment, validateAssessmentIndex } from './assessment';
+
+test('accepts ratings keyed by bottleneck ID', () => {
+  expect(validateAssessment({ country: 'Country A', ratings: { 'A.1.1': { severity: 4 }, 'A.1.2': {} } })).toEqual([]);
+});
+
+test('rejects severities outside the 1-4 scale and malformed ratings', () => {
+  expect(validateAssessment({ ratings: { 'A.1.1': { severity: 5 }, 'A.1.2': 3 } })).toEqual([
+    'A.1.1: "severity" must be a whole number from 1 to 4',
+    'A.1.2: expected a rating object such as { "severity": 2 }'
+  ]);
+  expect(validateAssessment({ ratings: [] })).toEqual(['Assessment file must be an object with a "ratings" object keyed by bottleneck ID']);
+});
+
+test('accepts workshop notes and rejects malformed ones', () => {
+  expect(validateAssessment({ ratings: { 'A.1.1': { severity: 2, confidence: 'high', justification: 'Agreed', links: ['https://example.org'] } } })).toEqual([]);
+  expect(validateAssessment({ ratings: { 'A.1.1': { confidence: 'certain', justification: 3, links: 'https://example.org' } } })).toEqual([
+    'A.1.1: "confidence" must be one of "low", "medium", "high"',
+    'A.1.1: "justification" must be text',
+    'A.1.1: "links" must be a list of URLs'
+  ]);
+});
+
+test('rejects index entries without an ID or URL, and duplicate IDs', () => {
+  expect(validateAssessmentIndex({
+    assessments: [
+      { id: 'country-a-2023', url: 'country-a-2023.json' },
+      { id: 'country-a-2023', url: 'other.json' },
+      { label: 'No ID' }
+    ]
+  })).toEqual([
+    'Assessment 2: duplicate id "country-a-2023"',
+    'Assessment 3: expected an object with "id" and "url" strings'
+  ]);
+  expect(validateAssessmentIndex({ assessments: [] })).toEqual(['Assessment index must be an object with a non-empty "assessments" list']);
+});
+
+test('names assessments by country and year', () => {
+  expect(getAssessmentLabel({ country: 'Country A', year: 2023, ratings: {} })).toBe('Country A (2023)');
+  expect(getAssessmentLabel({ ratings: {} }, 'country-b')).toBe('country-b');
+});
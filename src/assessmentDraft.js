@@ -0,0 +1,107 @@
+import { DataFileError } from './dataFile';
+import { validateAssessment } from './assessment';
+
+// The assessment being filled in through the edit mode is listed among the others under this ID
+export const DRAFT_ASSESSMENT_ID = 'draft';
+
+// Key of the draft in the browser's local storage
+export const DRAFT_STORAGE_KEY = 'prm-assessment-draft';
+
+/**
+ * Creates an empty draft, in the same format as the assessment files.
+ * @returns {{version: string, country: string, ratings: object}} The draft.
+ */
+export const createDraft = () => ({ version: '1.0.0', country: '', ratings: {} });
+
+/**
+ * Reads a draft from an exported or hand-written assessment file.
+ * @param {string} text - The contents of the file.
+ * @returns {object} The draft.
+ * @throws {DataFileError} When the text is not JSON or not a valid assessment.
+ */
+export const parseDraft = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new DataFileError(`The file is not valid JSON: ${error.message}`);
+  }
+  const errors = validateAssessment(document);
+  if (errors.length > 0) {
+    throw new DataFileError('The file is not a valid assessment', errors);
+  }
+  return { ...createDraft(), ...document };
+};
+
+/**
+ * Loads the draft saved in this browser. A missing or unreadable draft gives an empty one, so a
+ * corrupted entry never blocks the app.
+ * @param {Storage} storage - Where the draft is kept.
+ * @returns {object} The draft.
+ */
+export const loadDraft = (storage = window.localStorage) => {
+  try {
+    const text = storage.getItem(DRAFT_STORAGE_KEY);
+    return text ? parseDraft(text) : createDraft();
+  } catch (error) {
+    return createDraft();
+  }
+};
+
+/**
+ * Saves the draft in this browser.
+ * @param {object} draft - The draft.
+ * @param {Storage} storage - Where the draft is kept.
+ * @throws {Error} When the storage is unavailable or full.
+ */
+export const saveDraft = (draft, storage = window.localStorage) => {
+  storage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+};
+
+/**
+ * Returns a copy of the draft with one bottleneck's rating replaced. Empty fields are left out,
+ * and a rating with no fields left is removed.
+ * @param {object} draft - The draft.
+ * @param {string} bottleneckId - The bottleneck's ID.
+ * @param {{severity?: number, confidence?: string, justification?: string, links?: string[]}} rating - The new rating.
+ * @returns {object} The updated draft.
+ */
+export const setDraftRating = (draft, bottleneckId, rating) => {
+  const cleaned = {};
+  Object.keys(rating).forEach(key => {
+    const value = typeof rating[key] === 'string' ? rating[key].trim() : rating[key];
+    const isEmpty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (!isEmpty) cleaned[key] = value;
+  });
+  const ratings = { ...draft.ratings };
+  if (Object.keys(cleaned).length > 0) {
+    ratings[bottleneckId] = cleaned;
+  } else {
+    delete ratings[bottleneckId];
+  }
+  return { ...draft, ratings };
+};
+
+/**
+ * Counts, for every node, the bottlenecks below it and how many of them have a severity rating.
+ * @param {Object<string, {children: string[]}>} nodeInfo - Node details keyed by ID.
+ * @param {Object<string, {severity?: number}>} ratings - Ratings keyed by bottleneck ID.
+ * @returns {Object<string, {rated: number, total: number}>} The counts, keyed by node ID.
+ */
+export const summarizeCompletion = (nodeInfo, ratings) => {
+  const completion = {};
+  const count = (nodeId) => {
+    const node = nodeInfo[nodeId];
+    let result;
+    if (node.children.length === 0) {
+      const rating = ratings[nodeId];
+      result = { rated: rating && rating.severity ? 1 : 0, total: 1 };
+    } else {
+      result = node.children.map(count).reduce((sum, child) => ({ rated: sum.rated + child.rated, total: sum.total + child.total }), { rated: 0, total: 0 });
+    }
+    completion[nodeId] = result;
+    return result;
+  };
+  Object.keys(nodeInfo).filter(id => !nodeInfo[id].parentId).forEach(count);
+  return completion;
+};
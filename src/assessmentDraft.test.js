@@ -0,0 +1,46 @@
+import { DRAFT_STORAGE_KEY, createDraft, loadDraft, parseDraft, saveDraft, setDraftRating, summarizeCompletion } from './assessmentDraft';
+
+const createStorage = (items = {}) => ({
+  getItem: key => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = value; }
+});
+
+test('saves the draft and loads it back', () => {
+  const storage = createStorage();
+  const draft = setDraftRating({ ...createDraft(), country: 'Country A' }, 'A.1.1', { severity: 3 });
+  saveDraft(draft, storage);
+  expect(loadDraft(storage)).toEqual(draft);
+});
+
+test('starts from an empty draft when the saved one is unreadable', () => {
+  expect(loadDraft(createStorage())).toEqual(createDraft());
+  expect(loadDraft(createStorage({ [DRAFT_STORAGE_KEY]: '{"ratings": {"A.1.1": {"severity": 9}}}' }))).toEqual(createDraft());
+});
+
+test('rejects imported files that are not valid assessments', () => {
+  expect(() => parseDraft('not json')).toThrow('The file is not valid JSON');
+  expect(() => parseDraft('{"ratings": []}')).toThrow('The file is not a valid assessment');
+  expect(parseDraft('{"country": "Country B", "ratings": {}}').country).toBe('Country B');
+});
+
+test('drops empty fields and ratings left empty', () => {
+  let draft = setDraftRating(createDraft(), 'A.1.1', { severity: 2, confidence: '', justification: '  Agreed  ', links: [] });
+  expect(draft.ratings['A.1.1']).toEqual({ severity: 2, justification: 'Agreed' });
+  draft = setDraftRating(draft, 'A.1.1', { severity: null, justification: '' });
+  expect(draft.ratings).toEqual({});
+});
+
+test('counts rated bottlenecks under every node, joining ratings by node ID', () => {
+  const nodeInfo = {
+    root: { parentId: '', children: ['A.1', 'A.2', 'root/no-code'], code: null },
+    'A.1': { parentId: 'root', children: [], code: 'A.1' },
+    'A.2': { parentId: 'root', children: [], code: 'A.2' },
+    'root/no-code': { parentId: 'root', children: [], code: null }
+  };
+  expect(summarizeCompletion(nodeInfo, { 'A.1': { severity: 1 }, 'A.2': { justification: 'Not yet scored' }, 'root/no-code': { severity: 2 } })).toEqual({
+    root: { rated: 2, total: 3 },
+    'A.1': { rated: 1, total: 1 },
+    'A.2': { rated: 0, total: 1 },
+    'root/no-code': { rated: 1, total: 1 }
+  });
+});
@@ -0,0 +1,52 @@
+// Keys that move the keyboard focus around a chart, zooming when the focus leaves the slices on screen
+export const NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Escape', 'Backspace'];
+
+/**
+ * Lists the children of a node that are drawn, in chart order.
+ * @param {object} nodeInfo - Node details keyed by ID, as produced by the transform.
+ * @param {string} nodeId - The parent's ID.
+ * @param {function(string): boolean} isShown - Whether a node is drawn (leaves sized at zero are not).
+ * @returns {string[]} The children's IDs.
+ */
+export const getShownChildren = (nodeInfo, nodeId, isShown) => (
+  nodeInfo[nodeId] ? nodeInfo[nodeId].children.filter(isShown) : []
+);
+
+/**
+ * Works out where a key press moves the keyboard focus of a chart showing a level and the ring
+ * of its children. Left and right (or Home and End) step between the slices of the ring, down
+ * goes into a slice, zooming to it when it is in the ring, up goes back to the parent, zooming
+ * out from the level itself, and Escape or Backspace zoom out.
+ * @param {object} nodeInfo - Node details keyed by ID, as produced by the transform.
+ * @param {function(string): boolean} isShown - Whether a node is drawn.
+ * @param {{levelId: string, focusId: string}} position - The level zoomed to and the focused slice,
+ *   which is the level or one of its children.
+ * @param {string} key - The `key` of the keyboard event.
+ * @returns {{levelId: string, focusId: string}|null} The new position, or null for keys that do
+ *   not navigate.
+ */
+export const navigateChart = (nodeInfo, isShown, { levelId, focusId }, key) => {
+  if (!NAVIGATION_KEYS.includes(key)) return null;
+  const level = nodeInfo[levelId];
+  const onLevel = focusId === levelId;
+  const zoomOut = () => (level.parentId ? { levelId: level.parentId, focusId: levelId } : { levelId, focusId });
+
+  if (key === 'Escape' || key === 'Backspace' || (key === 'ArrowUp' && onLevel)) {
+    return zoomOut();
+  }
+  if (key === 'ArrowUp') {
+    return { levelId, focusId: levelId };
+  }
+  if (key === 'ArrowDown') {
+    const childIds = getShownChildren(nodeInfo, focusId, isShown);
+    if (childIds.length === 0) return { levelId, focusId };
+    return { levelId: onLevel ? levelId : focusId, focusId: childIds[0] };
+  }
+
+  // Stepping along the ring, wrapping around at either end
+  const ringIds = getShownChildren(nodeInfo, levelId, isShown);
+  if (onLevel || ringIds.length === 0) return { levelId, focusId };
+  const index = ringIds.indexOf(focusId);
+  const steps = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: ringIds.length - 1 };
+  return { levelId, focusId: ringIds[(steps[key] + ringIds.length) % ringIds.length] };
+};
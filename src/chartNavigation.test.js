@@ -0,0 +1,43 @@
+import { getShownChildren, navigateChart } from './chartNavigation';
+
+const nodeInfo = {
+  root: { parentId: '', depth: 0, children: ['a', 'b', 'c'] },
+  a: { parentId: 'root', depth: 1, children: ['a1', 'a2'] },
+  b: { parentId: 'root', depth: 1, children: [] },
+  c: { parentId: 'root', depth: 1, children: [] },
+  a1: { parentId: 'a', depth: 2, children: [] },
+  a2: { parentId: 'a', depth: 2, children: [] }
+};
+const isShown = (id) => id !== 'c';
+const move = (levelId, focusId, key) => navigateChart(nodeInfo, isShown, { levelId, focusId }, key);
+
+test('lists only the children that are drawn', () => {
+  expect(getShownChildren(nodeInfo, 'root', isShown)).toEqual(['a', 'b']);
+  expect(getShownChildren(nodeInfo, 'missing', isShown)).toEqual([]);
+});
+
+test('steps between the slices of the ring, wrapping around', () => {
+  expect(move('root', 'a', 'ArrowRight')).toEqual({ levelId: 'root', focusId: 'b' });
+  expect(move('root', 'b', 'ArrowRight')).toEqual({ levelId: 'root', focusId: 'a' });
+  expect(move('root', 'a', 'ArrowLeft')).toEqual({ levelId: 'root', focusId: 'b' });
+  expect(move('root', 'b', 'Home')).toEqual({ levelId: 'root', focusId: 'a' });
+  expect(move('root', 'root', 'ArrowRight')).toEqual({ levelId: 'root', focusId: 'root' });
+});
+
+test('goes down into a slice, zooming to it when it is in the ring', () => {
+  expect(move('root', 'root', 'ArrowDown')).toEqual({ levelId: 'root', focusId: 'a' });
+  expect(move('root', 'a', 'ArrowDown')).toEqual({ levelId: 'a', focusId: 'a1' });
+  expect(move('root', 'b', 'ArrowDown')).toEqual({ levelId: 'root', focusId: 'b' });
+});
+
+test('goes up to the level, then zooms out', () => {
+  expect(move('a', 'a2', 'ArrowUp')).toEqual({ levelId: 'a', focusId: 'a' });
+  expect(move('a', 'a', 'ArrowUp')).toEqual({ levelId: 'root', focusId: 'a' });
+  expect(move('a', 'a1', 'Escape')).toEqual({ levelId: 'root', focusId: 'a' });
+  expect(move('root', 'b', 'Backspace')).toEqual({ levelId: 'root', focusId: 'b' });
+});
+
+test('leaves other keys to the browser', () => {
+  expect(move('root', 'a', 'Enter')).toBeNull();
+  expect(move('root', 'a', 'Tab')).toBeNull();
+});
@@ -0,0 +1,97 @@
+// Color for slices that have no score (e.g. unrated bottlenecks)
+export const NO_SCORE_COLOR = '#E5E7EB';
+
+// Sequential palette for severity ratings 1 (minor) to 4 (critical). Viridis stops, which stay
+// distinguishable with the common forms of color blindness and in grayscale.
+export const SEVERITY_COLORS = ['#FDE725', '#35B779', '#31688E', '#440154'];
+
+// Diverging palette for a change in severity from -3 (much improved) to +3 (much worse)
+export const CHANGE_COLORS = ['#4393C3', '#92C5DE', '#D1E5F0', '#F7F7F7', '#FDDBC7', '#F4A582', '#D6604D'];
+export const MAX_CHANGE = 3;
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const rgbToHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+
+/**
+ * Picks a color for a position along a palette, blending between neighbouring stops so that
+ * aggregated (non-integer) scores get an intermediate color.
+ * @param {string[]} palette - Hex color stops, evenly spaced from 0 to 1.
+ * @param {number} t - Position along the palette; clamped to [0, 1].
+ * @returns {string} The hex color.
+ */
+export const interpolateColor = (palette, t) => {
+  const position = Math.min(Math.max(t, 0), 1) * (palette.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, palette.length - 1);
+  const from = hexToRgb(palette[lower]);
+  const to = hexToRgb(palette[upper]);
+  const weight = position - lower;
+  return rgbToHex(from.map((channel, i) => channel + (to[i] - channel) * weight));
+};
+
+/**
+ * Color for a severity score on the 1-4 scale.
+ * @param {number|null} score - The (possibly averaged) severity.
+ * @param {{discrete?: boolean}} options - With `discrete`, scores snap to the nearest whole rating
+ *   instead of blending between palette stops.
+ * @returns {string} The hex color.
+ */
+export const severityColor = (score, { discrete = false } = {}) => {
+  if (score === null || score === undefined) return NO_SCORE_COLOR;
+  const value = discrete ? Math.round(score) : score;
+  return interpolateColor(SEVERITY_COLORS, (value - 1) / 3);
+};
+
+/**
+ * Color for a change in severity between two assessments.
+ * @param {number|null} delta - The (possibly averaged) change; negative means improved.
+ * @param {{discrete?: boolean}} options - With `discrete`, changes snap to the nearest whole step.
+ * @returns {string} The hex color.
+ */
+export const changeColor = (delta, { discrete = false } = {}) => {
+  if (delta === null || delta === undefined) return NO_SCORE_COLOR;
+  const value = discrete ? Math.round(delta) : delta;
+  return interpolateColor(CHANGE_COLORS, (value + MAX_CHANGE) / (2 * MAX_CHANGE));
+};
+
+/**
+ * Fades a color towards white, e.g. to push slices that do not match a search into the background.
+ * @param {string} color - The hex color.
+ * @param {number} amount - How far to fade, from 0 (unchanged) to 1 (white).
+ * @returns {string} The hex color.
+ */
+export const fadeColor = (color, amount) => interpolateColor([color, '#FFFFFF'], amount);
+
+/**
+ * Makes a see-through version of a color, e.g. to tint a crumb with its layer's color on any background.
+ * @param {string} color - The hex color.
+ * @param {number} alpha - The opacity, from 0 (invisible) to 1 (solid).
+ * @returns {string} The CSS rgba() color.
+ */
+export const withAlpha = (color, alpha) => `rgba(${hexToRgb(color).join(', ')}, ${alpha})`;
+
+// WCAG relative luminance of a hex color
+const relativeLuminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Picks black or white label text, whichever contrasts more with the background.
+ * @param {string} background - The hex background color.
+ * @returns {string} '#000000' or '#FFFFFF'.
+ */
+export const getContrastTextColor = (background) => {
+  const luminance = relativeLuminance(background);
+  // Contrast ratios against black (L = 0) and white (L = 1)
+  const contrastWithBlack = (luminance + 0.05) / 0.05;
+  const contrastWithWhite = 1.05 / (luminance + 0.05);
+  return contrastWithBlack >= contrastWithWhite ? '#000000' : '#FFFFFF';
+};
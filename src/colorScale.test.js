@@ -0,0 +1,33 @@
+import { NO_SCORE_COLOR, SEVERITY_COLORS, changeColor, fadeColor, getContrastTextColor, interpolateColor, severityColor, withAlpha } from './colorScale';
+
+test('blends between palette stops and clamps out-of-range positions', () => {
+  expect(interpolateColor(['#000000', '#FFFFFF'], 0.5)).toBe('#808080');
+  expect(interpolateColor(['#000000', '#FFFFFF'], 2)).toBe('#FFFFFF');
+});
+
+test('maps severities onto the palette, snapping to whole ratings when discrete', () => {
+  expect(severityColor(1)).toBe(SEVERITY_COLORS[0]);
+  expect(severityColor(4)).toBe(SEVERITY_COLORS[3]);
+  expect(severityColor(2.4, { discrete: true })).toBe(SEVERITY_COLORS[1]);
+  expect(severityColor(2.4)).not.toBe(SEVERITY_COLORS[1]);
+  expect(severityColor(null)).toBe(NO_SCORE_COLOR);
+});
+
+test('colors no change in the middle of the diverging palette', () => {
+  expect(changeColor(0)).toBe('#F7F7F7');
+  expect(changeColor(undefined)).toBe(NO_SCORE_COLOR);
+});
+
+test('fades colors towards white', () => {
+  expect(fadeColor('#000000', 0)).toBe('#000000');
+  expect(fadeColor('#000000', 1)).toBe('#FFFFFF');
+});
+
+test('makes see-through colors', () => {
+  expect(withAlpha('#4D9FD3', 0.3)).toBe('rgba(77, 159, 211, 0.3)');
+});
+
+test('picks the label color with the higher contrast', () => {
+  expect(getContrastTextColor('#FDE725')).toBe('#000000');
+  expect(getContrastTextColor('#440154')).toBe('#FFFFFF');
+});
@@ -0,0 +1,59 @@
+import yaml from 'js-yaml';
+
+/**
+ * Error raised when a data file cannot be loaded, parsed or fails validation.
+ * `details` holds one human-readable message per problem found.
+ */
+export class DataFileError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'DataFileError';
+    this.details = details;
+  }
+}
+
+/**
+ * Reads a URL override for a data file from the page's query string.
+ * @param {string} param - The query parameter to read, e.g. 'data'.
+ * @param {string} fallback - The URL to use when the parameter is absent.
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the data file.
+ */
+export const resolveDataUrl = (param, fallback, search = window.location.search) => {
+  return new URLSearchParams(search).get(param) || fallback;
+};
+
+/**
+ * Parses the text of a data file. Files ending in .yaml/.yml are read as YAML,
+ * everything else as JSON.
+ * @param {string} text - The raw file contents.
+ * @param {string} url - The URL the text was loaded from, used to pick the format.
+ * @returns {*} The parsed document.
+ */
+export const parseDataFile = (text, url = '') => {
+  const isYaml = /\.ya?ml($|[?#])/i.test(url);
+  try {
+    return isYaml ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new DataFileError(`Could not parse ${url || 'data file'} as ${isYaml ? 'YAML' : 'JSON'}`, [error.message]);
+  }
+};
+
+/**
+ * Fetches and parses a JSON or YAML data file.
+ * @param {string} url - The URL of the file.
+ * @returns {Promise<*>} The parsed document.
+ * @throws {DataFileError} When the file cannot be fetched or parsed.
+ */
+export const fetchDataFile = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new DataFileError(`Could not load ${url}`, [error.message]);
+  }
+  if (!response.ok) {
+    throw new DataFileError(`Could not load ${url} (HTTP ${response.status})`);
+  }
+  return parseDataFile(await response.text(), url);
+};
@@ -0,0 +1,16 @@
+import { DataFileError, parseDataFile, resolveDataUrl } from './dataFile';
+
+test('parses YAML files by extension and JSON otherwise', () => {
+  expect(parseDataFile('version: "2"\ntree:\n  Root: {}\n', 'data/taxonomy.yaml')).toEqual({ version: '2', tree: { Root: {} } });
+  expect(parseDataFile('{"records": []}', 'data/evidence.json?v=3')).toEqual({ records: [] });
+});
+
+test('wraps parse errors in a DataFileError naming the file', () => {
+  expect(() => parseDataFile('{ not json', 'data/taxonomy.json')).toThrow(DataFileError);
+  expect(() => parseDataFile('{ not json', 'data/taxonomy.json')).toThrow('Could not parse data/taxonomy.json as JSON');
+});
+
+test('reads URL overrides from the query string', () => {
+  expect(resolveDataUrl('evidence', '/default.json', '?evidence=/other.yaml')).toBe('/other.yaml');
+  expect(resolveDataUrl('evidence', '/default.json', '?data=/other.yaml')).toBe('/default.json');
+});
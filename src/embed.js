@@ -0,0 +1,73 @@
+import { THEMES, DEFAULT_THEME } from './theme';
+import { parseDepth } from './layoutSettings';
+
+// Tag of every message exchanged with the host page, so that each side can tell them from
+// messages posted by other scripts
+export const EMBED_MESSAGE_SOURCE = 'pfm-sunburst';
+
+/**
+ * Reads the embedding options from the query string of an iframe's URL, e.g.
+ * "?embed=1&level=A.1&theme=dark&depth=2&origin=https://portal.example.org". The taxonomy file
+ * is named by `?data=`, as on the full page (see resolveTaxonomyUrl).
+ * @param {string} search - The query string of the current page.
+ * @returns {{level: string, theme: string, depth: (number|'all'), origin: string}|null} The options,
+ *   or null when the page is not opened for embedding. `origin` is the host page's origin, the only
+ *   one messages are exchanged with when given.
+ */
+export const readEmbedOptions = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  if (params.get('embed') !== '1') return null;
+  const theme = params.get('theme');
+  return {
+    level: params.get('level') || '',
+    theme: THEMES[theme] ? theme : DEFAULT_THEME,
+    depth: parseDepth(params.get('depth')),
+    origin: params.get('origin') || ''
+  };
+};
+
+/**
+ * Builds a message for the host page.
+ * @param {string} type - The event, e.g. "levelChanged".
+ * @param {object} [payload] - The details of the event.
+ * @returns {object} The message, tagged with EMBED_MESSAGE_SOURCE.
+ */
+export const buildEmbedMessage = (type, payload = {}) => ({ source: EMBED_MESSAGE_SOURCE, type, ...payload });
+
+/**
+ * Validates a command posted by the host page. Two commands are understood:
+ * `{type: "setLevel", nodeId}` zooms to a node, and `{type: "highlight", nodeIds}` keeps the
+ * given nodes in full color and fades the others (an empty list clears the highlight).
+ * @param {*} data - The data of a message event.
+ * @returns {{type: 'setLevel', nodeId: string}|{type: 'highlight', nodeIds: string[]}|null} The
+ *   command, or null for messages that are not commands for this chart.
+ */
+export const parseEmbedCommand = (data) => {
+  if (!data || typeof data !== 'object' || data.source !== EMBED_MESSAGE_SOURCE) return null;
+  if (data.type === 'setLevel' && typeof data.nodeId === 'string' && data.nodeId) {
+    return { type: 'setLevel', nodeId: data.nodeId };
+  }
+  if (data.type === 'highlight' && Array.isArray(data.nodeIds) && data.nodeIds.every(id => typeof id === 'string')) {
+    return { type: 'highlight', nodeIds: data.nodeIds };
+  }
+  return null;
+};
+
+/**
+ * Describes a node for the host page.
+ * @param {object} nodeInfo - Node details keyed by ID, as produced by buildSunburst.
+ * @param {string} nodeId - The ID of the node.
+ * @returns {{nodeId: string, code: (string|null), label: string, depth: number, parentId: string, isLeaf: boolean}}
+ *   The node's ID, code, label in the language on screen, depth (0 for the root) and parent ('' for the root).
+ */
+export const describeEmbedNode = (nodeInfo, nodeId) => {
+  const node = nodeInfo[nodeId];
+  return {
+    nodeId,
+    code: node.code,
+    label: node.label,
+    depth: node.depth,
+    parentId: node.parentId,
+    isLeaf: node.depth > 0 && node.children.length === 0
+  };
+};
@@ -0,0 +1,38 @@
+import { EMBED_MESSAGE_SOURCE, buildEmbedMessage, describeEmbedNode, parseEmbedCommand, readEmbedOptions } from './embed';
+import { buildSunburst } from './sunburst';
+
+test('reads the embedding options from the query string', () => {
+  expect(readEmbedOptions('?data=/data/other.yaml')).toBeNull();
+  expect(readEmbedOptions('?embed=1')).toEqual({ level: '', theme: 'light', depth: 1, origin: '' });
+  expect(readEmbedOptions('?embed=1&level=A.1&theme=dark&depth=all&origin=https%3A%2F%2Fportal.example.org')).toEqual({
+    level: 'A.1',
+    theme: 'dark',
+    depth: 'all',
+    origin: 'https://portal.example.org'
+  });
+  expect(readEmbedOptions('?embed=1&theme=purple').theme).toBe('light');
+});
+
+test('tags the messages sent to the host page', () => {
+  expect(buildEmbedMessage('levelChanged', { nodeId: 'A.1' })).toEqual({ source: EMBED_MESSAGE_SOURCE, type: 'levelChanged', nodeId: 'A.1' });
+});
+
+test('understands the setLevel and highlight commands and ignores other messages', () => {
+  const command = (data) => parseEmbedCommand({ source: EMBED_MESSAGE_SOURCE, ...data });
+  expect(command({ type: 'setLevel', nodeId: 'A.1' })).toEqual({ type: 'setLevel', nodeId: 'A.1' });
+  expect(command({ type: 'highlight', nodeIds: ['A.1.1', 'A.1.2'] })).toEqual({ type: 'highlight', nodeIds: ['A.1.1', 'A.1.2'] });
+  expect(command({ type: 'highlight', nodeIds: [] })).toEqual({ type: 'highlight', nodeIds: [] });
+  expect(command({ type: 'setLevel' })).toBeNull();
+  expect(command({ type: 'highlight', nodeIds: 'A.1.1' })).toBeNull();
+  expect(command({ type: 'reload' })).toBeNull();
+  expect(parseEmbedCommand({ type: 'setLevel', nodeId: 'A.1' })).toBeNull(); // Not tagged for this chart
+  expect(parseEmbedCommand('setLevel')).toBeNull();
+  expect(parseEmbedCommand(null)).toBeNull();
+});
+
+test('describes nodes for the host page', () => {
+  const { nodeInfo } = buildSunburst({ Roles: { 'A. Role': [{ id: 'A.1', label: 'Payroll' }] } });
+  expect(describeEmbedNode(nodeInfo, 'roles/a-role')).toEqual({ nodeId: 'roles/a-role', code: null, label: 'A. Role', depth: 1, parentId: 'roles', isLeaf: false });
+  expect(describeEmbedNode(nodeInfo, 'A.1')).toMatchObject({ code: 'A.1', label: 'Payroll', isLeaf: true });
+  expect(describeEmbedNode(nodeInfo, 'roles').isLeaf).toBe(false);
+});
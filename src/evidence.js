@@ -0,0 +1,90 @@
+import { DataFileError, fetchDataFile, resolveDataUrl } from './dataFile';
+
+// Default location of the evidence dataset, relative to the deployed app
+export const DEFAULT_EVIDENCE_URL = `${process.env.PUBLIC_URL}/data/evidence.json`;
+
+// Columns shown in the pop-out evidence table, in display order
+export const EVIDENCE_COLUMNS = [
+  { key: 'text', label: 'Extracted Text' },
+  { key: 'documentTitle', label: 'Source Document' },
+  { key: 'page', label: 'Page' },
+  { key: 'country', label: 'Country' },
+  { key: 'year', label: 'Year' },
+  { key: 'url', label: 'Link' }
+];
+
+/**
+ * Works out which evidence file to load. An `?evidence=` URL parameter takes precedence
+ * over the file bundled in public/data.
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the evidence file.
+ */
+export const resolveEvidenceUrl = (search = window.location.search) => {
+  return resolveDataUrl('evidence', DEFAULT_EVIDENCE_URL, search);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validates a parsed evidence document.
+ * @param {object} document - The parsed evidence file ({ version, records }).
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateEvidence = (document) => {
+  if (document === null || typeof document !== 'object' || !Array.isArray(document.records)) {
+    return ['Evidence file must be an object with a "records" list'];
+  }
+
+  const errors = [];
+  document.records.forEach((record, index) => {
+    const location = `Record ${index + 1}`;
+    if (record === null || typeof record !== 'object') {
+      errors.push(`${location}: expected an object`);
+      return;
+    }
+    if (!isNonEmptyString(record.bottleneckId)) {
+      errors.push(`${location}: missing "bottleneckId"`);
+    }
+    if (!isNonEmptyString(record.text)) {
+      errors.push(`${location}: missing extracted "text"`);
+    }
+    if (record.page !== undefined && !Number.isInteger(record.page)) {
+      errors.push(`${location}: "page" must be a whole number`);
+    }
+    if (record.year !== undefined && !Number.isInteger(record.year)) {
+      errors.push(`${location}: "year" must be a whole number`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Groups evidence records by the bottleneck they support.
+ * @param {object[]} records - The validated evidence records.
+ * @returns {Object<string, object[]>} Records keyed by bottleneck ID, in file order.
+ */
+export const groupEvidenceByBottleneck = (records) => {
+  const byBottleneck = {};
+  records.forEach(record => {
+    if (!byBottleneck[record.bottleneckId]) {
+      byBottleneck[record.bottleneckId] = [];
+    }
+    byBottleneck[record.bottleneckId].push(record);
+  });
+  return byBottleneck;
+};
+
+/**
+ * Fetches and validates an evidence file.
+ * @param {string} url - The URL of the evidence file.
+ * @returns {Promise<Object<string, object[]>>} Evidence records keyed by bottleneck ID.
+ * @throws {DataFileError} When the file cannot be fetched, parsed or fails validation.
+ */
+export const loadEvidence = async (url) => {
+  const document = await fetchDataFile(url);
+  const errors = validateEvidence(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Evidence file ${url} is invalid`, errors);
+  }
+  return groupEvidenceByBottleneck(document.records);
+};
@@ -0,0 +1,27 @@
+import { groupEvidenceByBottleneck, validateEvidence } from './evidence';
+
+test('reports records without a bottleneck ID or text, and non-numeric pages', () => {
+  const errors = validateEvidence({
+    records: [
+      { bottleneckId: 'A.1.1', text: 'Valid excerpt', page: 3, year: 2022 },
+      { text: 'Orphan excerpt' },
+      { bottleneckId: 'A.1.2', text: '', page: 'iv' }
+    ]
+  });
+  expect(errors).toEqual([
+    'Record 2: missing "bottleneckId"',
+    'Record 3: missing extracted "text"',
+    'Record 3: "page" must be a whole number'
+  ]);
+  expect(validateEvidence({})).toEqual(['Evidence file must be an object with a "records" list']);
+});
+
+test('groups records by bottleneck ID in file order', () => {
+  const first = { bottleneckId: 'A.1.1', text: 'First' };
+  const second = { bottleneckId: 'B.4.2', text: 'Second' };
+  const third = { bottleneckId: 'A.1.1', text: 'Third' };
+  expect(groupEvidenceByBottleneck([first, second, third])).toEqual({
+    'A.1.1': [first, third],
+    'B.4.2': [second]
+  });
+});
@@ -0,0 +1,190 @@
+import * as XLSX from 'xlsx';
+import { getLevelLabel, slugify } from './taxonomy';
+
+// Columns of the hierarchy export, one row per slice of the sunburst
+export const HIERARCHY_COLUMNS = [
+  { key: 'path', label: 'Path' },
+  { key: 'depth', label: 'Depth' },
+  { key: 'level', label: 'Level' },
+  { key: 'code', label: 'Code' },
+  { key: 'label', label: 'Label' },
+  { key: 'value', label: 'Value' },
+  { key: 'color', label: 'Color' },
+  { key: 'score', label: 'Score' }
+];
+
+// Separator between the labels of a node's ancestors in paths and chart titles
+const PATH_SEPARATOR = ' > ';
+
+// Longest line of an exported chart title before it wraps
+const TITLE_LINE_LENGTH = 90;
+
+// Excel limits sheet names to 31 characters and rejects some punctuation
+const SHEET_NAME_LENGTH = 31;
+
+/**
+ * Flattens the output of the sunburst transform into one row per node, in chart order.
+ * @param {{ids: string[], values: number[], colors: string[], nodeInfo: object}} data - The transformed data of one panel.
+ * @param {string[]} levelLabels - Level names by depth.
+ * @returns {{path: string, depth: number, level: string, code: string, label: string, value: number, color: string, score: number|null}[]} The rows.
+ */
+export const flattenSunburst = (data, levelLabels) => data.ids.map((id, i) => {
+  const node = data.nodeInfo[id];
+  const labels = [];
+  for (let current = node; current; current = data.nodeInfo[current.parentId]) {
+    labels.unshift(current.label);
+  }
+  return {
+    path: labels.join(PATH_SEPARATOR),
+    depth: node.depth,
+    level: getLevelLabel(levelLabels, node.depth),
+    code: node.code || '',
+    label: node.label,
+    value: data.values[i],
+    color: data.colors[i],
+    score: node.score === undefined ? null : node.score
+  };
+});
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote fields holding separators, quotes or line breaks, doubling the quotes inside
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows as CSV, with a header row of column labels.
+ * @param {{key: string, label: string}[]} columns - The columns, in order.
+ * @param {object[]} rows - The rows, keyed by column key.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+export const toCsv = (columns, rows) => [
+  columns.map(column => formatCsvValue(column.label)).join(','),
+  ...rows.map(row => columns.map(column => formatCsvValue(row[column.key])).join(','))
+].join('\r\n');
+
+/**
+ * Builds a file name from descriptive parts, e.g. ["Evidence", "D.7.4"] -> "evidence_d-7-4.csv".
+ * @param {string[]} parts - The parts of the name.
+ * @param {string} extension - The file extension, without the dot.
+ * @returns {string} The file name.
+ */
+export const buildExportFileName = (parts, extension) => {
+  const name = parts.filter(Boolean).map(slugify).filter(Boolean).join('_');
+  return `${name || 'export'}.${extension}`;
+};
+
+/**
+ * Turns a title into a sheet name Excel accepts, unique among those already used.
+ * @param {string} title - The wanted name.
+ * @param {Set<string>} usedNames - Names given to earlier sheets; the result is added to it.
+ * @returns {string} The sheet name.
+ */
+export const toSheetName = (title, usedNames) => {
+  const base = title.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, SHEET_NAME_LENGTH) || 'Sheet';
+  let name = base;
+  for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = `${base.slice(0, SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Builds the title of an exported chart from the breadcrumb trail, wrapping long trails onto
+ * several lines with Plotly's <br> tags.
+ * @param {string[]} crumbs - The labels of the breadcrumbs, from the root.
+ * @returns {string} The title.
+ */
+export const buildChartTitle = (crumbs) => {
+  const lines = [];
+  crumbs.forEach((crumb, idx) => {
+    const last = lines.length - 1;
+    if (idx > 0 && lines[last].length + PATH_SEPARATOR.length + crumb.length <= TITLE_LINE_LENGTH) {
+      lines[last] += PATH_SEPARATOR + crumb;
+    } else {
+      lines.push(idx > 0 ? `${PATH_SEPARATOR.trim()} ${crumb}` : crumb);
+    }
+  });
+  return lines.join('<br>');
+};
+
+const downloadUrl = (url, fileName) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, fileName);
+  setTimeout(() => URL.revokeObjectURL(url), 0); // Release the file once the download has started
+};
+
+/**
+ * Saves rows as a CSV file.
+ * @param {{key: string, label: string}[]} columns - The columns, in order.
+ * @param {object[]} rows - The rows, keyed by column key.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export const downloadCsv = (columns, rows, fileName) => {
+  // The byte order mark makes Excel read the file as UTF-8, keeping accented labels intact
+  downloadBlob(new Blob(['\uFEFF', toCsv(columns, rows)], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+/**
+ * Saves a document as a JSON file.
+ * @param {object} document - The document.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export const downloadJson = (document, fileName) => {
+  downloadBlob(new Blob([JSON.stringify(document, null, 2)], { type: 'application/json' }), fileName);
+};
+
+/**
+ * Saves one or more tables as sheets of an Excel workbook.
+ * @param {{name: string, columns: {key: string, label: string}[], rows: object[]}[]} sheets - The sheets, in order.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export const downloadXlsx = (sheets, fileName) => {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+  sheets.forEach(({ name, columns, rows }) => {
+    const table = [
+      columns.map(column => column.label),
+      ...rows.map(row => columns.map(column => (row[column.key] === null || row[column.key] === undefined ? '' : row[column.key])))
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(table), toSheetName(name, usedNames));
+  });
+  const bytes = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadBlob(new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+};
+
+/**
+ * Saves a rendered chart as an image, as currently zoomed, with a new title.
+ * @param {HTMLElement} graphDiv - The element Plotly rendered the chart into.
+ * @param {{format: 'png'|'svg', title: string, fileName: string}} options
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+export const downloadChartImage = async (graphDiv, { format, title, fileName }) => {
+  // Loaded on demand; it is the same bundle react-plotly.js already uses
+  const { default: Plotly } = await import('plotly.js/dist/plotly');
+  const titleLines = title.split('<br>').length;
+  const layout = {
+    ...graphDiv.layout,
+    title: { text: title, font: { size: 14 } },
+    margin: { ...graphDiv.layout.margin, t: 30 + 20 * titleLines } // Room for a title wrapped over several lines
+  };
+  const url = await Plotly.toImage({ data: graphDiv.data, layout }, {
+    format,
+    width: graphDiv.offsetWidth || 900,
+    height: graphDiv.offsetHeight || 700,
+    scale: format === 'png' ? 2 : 1 // Sharper bitmaps for printed reports
+  });
+  downloadUrl(url, fileName);
+};
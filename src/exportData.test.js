@@ -0,0 +1,51 @@
+import { buildChartTitle, buildExportFileName, flattenSunburst, toCsv, toSheetName } from './exportData';
+
+const data = {
+  ids: ['root', 'root/a', 'A.1'],
+  values: [2, 2, 2],
+  colors: ['#FFFFFF', '#FF848B', '#C9E7F8'],
+  nodeInfo: {
+    root: { label: 'Role of Public Finance', parentId: '', depth: 0, code: null },
+    'root/a': { label: 'A. Strategy', parentId: 'root', depth: 1, code: null, score: 2.5 },
+    'A.1': { label: 'No costed plan', parentId: 'root/a', depth: 2, code: 'A.1', score: 3 }
+  }
+};
+
+test('flattens the transformed data into one row per node with its full path', () => {
+  const rows = flattenSunburst(data, ['PRM Roles', 'Role', 'Challenge']);
+  expect(rows[2]).toEqual({
+    path: 'Role of Public Finance > A. Strategy > No costed plan',
+    depth: 2,
+    level: 'Challenge',
+    code: 'A.1',
+    label: 'No costed plan',
+    value: 2,
+    color: '#C9E7F8',
+    score: 3
+  });
+  expect(rows[0].score).toBeNull();
+});
+
+test('quotes CSV fields that hold commas, quotes or line breaks', () => {
+  const columns = [{ key: 'text', label: 'Text' }, { key: 'page', label: 'Page' }];
+  const csv = toCsv(columns, [{ text: 'Delays, "ghost" workers', page: 4 }, { text: 'Two\nlines' }]);
+  expect(csv).toBe('Text,Page\r\n"Delays, ""ghost"" workers",4\r\n"Two\nlines",');
+});
+
+test('builds file names from slugs of the descriptive parts', () => {
+  expect(buildExportFileName(['Evidence', 'D.7.4'], 'csv')).toBe('evidence_d-7-4.csv');
+  expect(buildExportFileName(['', ''], 'png')).toBe('export.png');
+});
+
+test('keeps sheet names within Excel limits and unique', () => {
+  const used = new Set();
+  expect(toSheetName('Change from Country A (2021) to Country A (2023)', used)).toHaveLength(31);
+  expect(toSheetName('A/B', used)).toBe('A B');
+  expect(toSheetName('a b', used)).toBe('a b (2)');
+});
+
+test('wraps long breadcrumb trails over several title lines', () => {
+  expect(buildChartTitle(['PRM Roles', 'B. Fiscal sustainability'])).toBe('PRM Roles > B. Fiscal sustainability');
+  const long = buildChartTitle(['PRM Roles', 'x'.repeat(60), 'y'.repeat(60)]);
+  expect(long.split('<br>')).toHaveLength(2);
+});
@@ -0,0 +1,69 @@
+import { DataFileError, fetchDataFile, resolveDataUrl } from './dataFile';
+
+// Default location of the guidance notes on roles and challenges, relative to the deployed app
+export const DEFAULT_GUIDANCE_URL = `${process.env.PUBLIC_URL}/data/guidance.json`;
+
+/**
+ * Works out which guidance file to load. A `?guidance=` URL parameter takes precedence
+ * over the file bundled in public/data.
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the guidance file.
+ */
+export const resolveGuidanceUrl = (search = window.location.search) => {
+  return resolveDataUrl('guidance', DEFAULT_GUIDANCE_URL, search);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validates a parsed guidance document.
+ * @param {object} document - The parsed guidance file ({ version, nodes }), where `nodes` maps
+ *   node IDs to { definition?, links?: [{ label, url }] }.
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateGuidance = (document) => {
+  if (document === null || typeof document !== 'object' || document.nodes === null
+    || typeof document.nodes !== 'object' || Array.isArray(document.nodes)) {
+    return ['Guidance file must be an object with a "nodes" object keyed by node ID'];
+  }
+
+  const errors = [];
+  Object.keys(document.nodes).forEach(nodeId => {
+    const note = document.nodes[nodeId];
+    if (note === null || typeof note !== 'object' || Array.isArray(note)) {
+      errors.push(`${nodeId}: expected an object`);
+      return;
+    }
+    if (note.definition !== undefined && !isNonEmptyString(note.definition)) {
+      errors.push(`${nodeId}: "definition" must be a non-empty string`);
+    }
+    if (note.links !== undefined) {
+      if (!Array.isArray(note.links)) {
+        errors.push(`${nodeId}: "links" must be a list`);
+        return;
+      }
+      note.links.forEach((link, index) => {
+        if (link === null || typeof link !== 'object' || !isNonEmptyString(link.label) || !isNonEmptyString(link.url)) {
+          errors.push(`${nodeId}: link ${index + 1} needs a "label" and a "url"`);
+        }
+      });
+    }
+  });
+  return errors;
+};
+
+/**
+ * Fetches and validates a guidance file.
+ * @param {string} url - The URL of the guidance file.
+ * @returns {Promise<Object<string, {definition?: string, links?: {label: string, url: string}[]}>>}
+ *   Guidance keyed by node ID.
+ * @throws {DataFileError} When the file cannot be fetched, parsed or fails validation.
+ */
+export const loadGuidance = async (url) => {
+  const document = await fetchDataFile(url);
+  const errors = validateGuidance(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Guidance file ${url} is invalid`, errors);
+  }
+  return document.nodes;
+};
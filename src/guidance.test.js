@@ -0,0 +1,36 @@
+import { resolveGuidanceUrl, validateGuidance } from './guidance';
+
+test('accepts definitions and guidance links keyed by node ID', () => {
+  expect(validateGuidance({
+    version: '1.0.0',
+    nodes: {
+      'root/a-role': {
+        definition: 'What the role covers',
+        links: [{ label: 'Guidance note', url: 'https://example.org/note.pdf' }]
+      },
+      'root/a-role/1-challenge': { definition: 'What the challenge covers' }
+    }
+  })).toEqual([]);
+});
+
+test('reports malformed notes with their node ID', () => {
+  expect(validateGuidance({
+    nodes: {
+      'root/a-role': { definition: '' },
+      'root/b-role': { links: 'https://example.org' },
+      'root/c-role': { links: [{ label: 'No address' }] },
+      'root/d-role': 'Just text'
+    }
+  })).toEqual([
+    'root/a-role: "definition" must be a non-empty string',
+    'root/b-role: "links" must be a list',
+    'root/c-role: link 1 needs a "label" and a "url"',
+    'root/d-role: expected an object'
+  ]);
+  expect(validateGuidance({ nodes: [] })).toEqual(['Guidance file must be an object with a "nodes" object keyed by node ID']);
+});
+
+test('reads the guidance file override from the query string', () => {
+  expect(resolveGuidanceUrl('?guidance=https://example.org/guidance.yaml')).toBe('https://example.org/guidance.yaml');
+  expect(resolveGuidanceUrl('')).toMatch(/\/data\/guidance\.json$/);
+});
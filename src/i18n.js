@@ -0,0 +1,81 @@
+import en from './locales/en.json';
+import fr from './locales/fr.json';
+import es from './locales/es.json';
+import pt from './locales/pt.json';
+
+// Language of the source texts; every other language falls back to it
+export const DEFAULT_LOCALE = 'en';
+
+// Languages offered by the switcher, each named in its own language
+export const LOCALES = [
+  { value: 'en', label: 'English' },
+  { value: 'fr', label: 'Français' },
+  { value: 'es', label: 'Español' },
+  { value: 'pt', label: 'Português' }
+];
+
+// Interface strings by language, keyed by message ID
+const MESSAGES = { en, fr, es, pt };
+
+/**
+ * Picks the language to start in: the one asked for in the link if it is offered, otherwise the
+ * first of the browser's preferred languages that is offered, otherwise English.
+ * @param {string|undefined} requested - The language from the URL, e.g. "fr".
+ * @param {string[]} preferred - The browser's languages, e.g. ["pt-BR", "en"].
+ * @returns {string} The language code.
+ */
+export const detectLocale = (requested, preferred = window.navigator.languages || [window.navigator.language]) => {
+  const isOffered = (code) => LOCALES.some(locale => locale.value === code);
+  if (isOffered(requested)) return requested;
+  const match = preferred.filter(Boolean).map(language => language.toLowerCase().split('-')[0]).find(isOffered);
+  return match || DEFAULT_LOCALE;
+};
+
+/**
+ * Fills the {placeholders} of a message, leaving unknown ones as they are.
+ * @param {string} template - The message, e.g. "{rated} of {total} rated".
+ * @param {object} params - Values by placeholder name.
+ * @returns {string} The message.
+ */
+export const formatMessage = (template, params = {}) => template.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+));
+
+/**
+ * Creates the function that looks up interface strings in a language. A message missing from
+ * the language falls back to English, and to its ID when English lacks it too. When the
+ * parameters hold a `count`, the plural form is looked up first as "<id>.one", "<id>.other", etc.,
+ * following the language's plural rules.
+ * @param {string} locale - The language code.
+ * @param {Object<string, Object<string, string>>} [messages] - Messages by language and ID.
+ * @returns {function(string, object=): string} The translator, `t(id, params)`.
+ */
+export const createTranslator = (locale, messages = MESSAGES) => {
+  const catalogs = [[messages[locale] || {}, locale], [messages[DEFAULT_LOCALE], DEFAULT_LOCALE]];
+  const pluralRules = {};
+  const find = (catalog, catalogLocale, id, count) => {
+    if (count !== undefined) {
+      if (!pluralRules[catalogLocale]) pluralRules[catalogLocale] = new Intl.PluralRules(catalogLocale);
+      const form = catalog[`${id}.${pluralRules[catalogLocale].select(count)}`] || catalog[`${id}.other`];
+      if (form !== undefined) return form;
+    }
+    return catalog[id];
+  };
+  return (id, params = {}) => {
+    for (const [catalog, catalogLocale] of catalogs) {
+      const template = find(catalog, catalogLocale, id, params.count);
+      if (template !== undefined) return formatMessage(template, params);
+    }
+    return id;
+  };
+};
+
+/**
+ * Translates the labels of a list of options, such as those of a SegmentedControl, using the
+ * message "<prefix>.<value>" of each.
+ * @param {function(string, object=): string} t - The translator.
+ * @param {{value: string}[]} options - The options.
+ * @param {string} prefix - The prefix of their message IDs, e.g. "chartType".
+ * @returns {{value: string, label: string}[]} The options with translated labels.
+ */
+export const translateOptions = (t, options, prefix) => options.map(option => ({ ...option, label: t(`${prefix}.${option.value}`) }));
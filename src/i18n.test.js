@@ -0,0 +1,58 @@
+import { createTranslator, detectLocale, formatMessage, translateOptions } from './i18n';
+import en from './locales/en.json';
+import es from './locales/es.json';
+import fr from './locales/fr.json';
+import pt from './locales/pt.json';
+
+const messages = {
+  en: {
+    'greeting': 'Hello {name}',
+    'rated.one': '{count} bottleneck rated',
+    'rated.other': '{count} bottlenecks rated',
+    'onlyEnglish': 'Only in English'
+  },
+  fr: {
+    'greeting': 'Bonjour {name}',
+    'rated.one': '{count} goulot évalué',
+    'rated.other': '{count} goulots évalués'
+  }
+};
+
+test('looks up messages in the language and falls back to English, then to the ID', () => {
+  const t = createTranslator('fr', messages);
+  expect(t('greeting', { name: 'Awa' })).toBe('Bonjour Awa');
+  expect(t('onlyEnglish')).toBe('Only in English');
+  expect(t('missing.key')).toBe('missing.key');
+  expect(createTranslator('de', messages)('greeting', { name: 'Jan' })).toBe('Hello Jan');
+});
+
+test('picks plural forms by the rules of each language', () => {
+  // French treats 0 and 1 as singular, English only 1
+  expect(createTranslator('fr', messages)('rated', { count: 0 })).toBe('0 goulot évalué');
+  expect(createTranslator('en', messages)('rated', { count: 0 })).toBe('0 bottlenecks rated');
+  expect(createTranslator('en', messages)('rated', { count: 1 })).toBe('1 bottleneck rated');
+});
+
+test('leaves unknown placeholders in place', () => {
+  expect(formatMessage('{rated} of {total}', { rated: 3 })).toBe('3 of {total}');
+});
+
+test('starts in the linked language, else the first offered browser language, else English', () => {
+  expect(detectLocale('pt', ['fr-FR'])).toBe('pt');
+  expect(detectLocale('de', ['de-DE', 'es-MX', 'en'])).toBe('es');
+  expect(detectLocale(undefined, ['ja'])).toBe('en');
+});
+
+test('every language translates the options of the controls', () => {
+  const options = translateOptions(createTranslator('pt'), [{ value: 'sunburst' }, { value: 'outline' }], 'chartType');
+  expect(options.every(option => option.label && !option.label.startsWith('chartType.'))).toBe(true);
+});
+
+test('every language uses the English message IDs and placeholders', () => {
+  const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+  Object.entries({ es, fr, pt }).forEach(([locale, messages]) => {
+    Object.keys(messages).forEach(id => {
+      expect([locale, id, placeholders(messages[id])]).toEqual([locale, id, placeholders(en[id] || '')]);
+    });
+  });
+});
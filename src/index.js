@@ -2,12 +2,17 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import EmbedFrame from './EmbedFrame';
+import { readEmbedOptions } from './embed';
 import reportWebVitals from './reportWebVitals';
 
+// Opened with ?embed=1, the page is a widget for an iframe (see EmbedFrame)
+const embedOptions = readEmbedOptions();
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {embedOptions ? <EmbedFrame options={embedOptions} /> : <App />}
   </React.StrictMode>
 );
 
@@ -0,0 +1,88 @@
+// Key of the chart layout in the browser's local storage
+export const LAYOUT_STORAGE_KEY = 'prm-chart-layout';
+
+// Ranges of the label size (in pixels) and of the wrap width (in characters per line)
+export const FONT_SIZE_RANGE = { min: 8, max: 20 };
+export const WRAP_WIDTH_RANGE = { min: 10, max: 60 };
+
+// Directions of the labels inside sunburst slices, as Plotly's `insidetextorientation` takes them;
+// "auto" picks whichever fits the slice best
+export const LABEL_ORIENTATIONS = [
+  { value: 'horizontal' },
+  { value: 'radial' },
+  { value: 'auto' }
+];
+
+// Whether the chords between related nodes are drawn over the sunburst
+export const RELATION_OVERLAY_OPTIONS = [
+  { value: 'hide' },
+  { value: 'show' }
+];
+
+// The layout until the user changes it: one ring around the level on screen, labels as drawn
+// before the settings existed, and no chords
+export const DEFAULT_LAYOUT = {
+  depth: 1,
+  fontSize: 10,
+  wrapWidth: 25,
+  orientation: 'auto',
+  relations: false
+};
+
+/**
+ * Reads a depth, the number of rings drawn around the level on screen: a positive whole number,
+ * or "all" to draw every ring. Anything else gives the default.
+ * @param {string|number|null|undefined} value - The depth asked for, e.g. "2".
+ * @returns {number|'all'} The depth to use.
+ */
+export const parseDepth = (value) => {
+  if (value === 'all') return 'all';
+  const depth = Number(value);
+  return Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_LAYOUT.depth;
+};
+
+// A whole number within a range, or the fallback for anything else
+const clampNumber = (value, { min, max }, fallback) => (
+  typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : fallback
+);
+
+/**
+ * Completes and corrects a layout, e.g. one saved by an older version or edited by hand:
+ * missing or invalid settings get their default, and numbers are kept within their range.
+ * @param {*} value - The layout read back.
+ * @returns {{depth: (number|'all'), fontSize: number, wrapWidth: number, orientation: string, relations: boolean}} The layout to use.
+ */
+export const normalizeLayout = (value) => {
+  const layout = value && typeof value === 'object' ? value : {};
+  return {
+    depth: parseDepth(layout.depth),
+    fontSize: clampNumber(layout.fontSize, FONT_SIZE_RANGE, DEFAULT_LAYOUT.fontSize),
+    wrapWidth: clampNumber(layout.wrapWidth, WRAP_WIDTH_RANGE, DEFAULT_LAYOUT.wrapWidth),
+    orientation: LABEL_ORIENTATIONS.some(option => option.value === layout.orientation) ? layout.orientation : DEFAULT_LAYOUT.orientation,
+    relations: layout.relations === true
+  };
+};
+
+/**
+ * Loads the layout saved in this browser, or the default layout if there is none or it cannot be read.
+ * @param {Storage} storage - Where the layout is kept.
+ * @returns {object} The layout.
+ */
+export const loadLayout = (storage = window.localStorage) => {
+  try {
+    const text = storage.getItem(LAYOUT_STORAGE_KEY);
+    return normalizeLayout(text ? JSON.parse(text) : null);
+  } catch (error) {
+    return { ...DEFAULT_LAYOUT };
+  }
+};
+
+/**
+ * Saves the layout in this browser.
+ * @param {object} layout - The layout.
+ * @param {Storage} storage - Where the layout is kept.
+ * @throws {Error} When the storage is unavailable or full.
+ */
+export const saveLayout = (layout, storage = window.localStorage) => {
+  storage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layout));
+};
@@ -0,0 +1,36 @@
+import { DEFAULT_LAYOUT, LAYOUT_STORAGE_KEY, loadLayout, normalizeLayout, parseDepth, saveLayout } from './layoutSettings';
+
+const createStorage = (items = {}) => ({
+  getItem: key => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = value; }
+});
+
+test('saves the layout and loads it back', () => {
+  const storage = createStorage();
+  const layout = { depth: 'all', fontSize: 14, wrapWidth: 40, orientation: 'radial', relations: true };
+  saveLayout(layout, storage);
+  expect(loadLayout(storage)).toEqual(layout);
+});
+
+test('falls back to the default layout when none is saved or it cannot be read', () => {
+  expect(loadLayout(createStorage())).toEqual(DEFAULT_LAYOUT);
+  expect(loadLayout(createStorage({ [LAYOUT_STORAGE_KEY]: '{not json' }))).toEqual(DEFAULT_LAYOUT);
+  expect(loadLayout({ getItem: () => { throw new Error('Storage disabled'); } })).toEqual(DEFAULT_LAYOUT);
+});
+
+test('completes partial layouts and keeps the numbers within range', () => {
+  expect(normalizeLayout({ depth: 3 })).toEqual({ ...DEFAULT_LAYOUT, depth: 3 });
+  expect(normalizeLayout({ fontSize: 100, wrapWidth: 2.4, orientation: 'tangential' })).toEqual({ ...DEFAULT_LAYOUT, fontSize: 20, wrapWidth: 10 });
+  expect(normalizeLayout({ fontSize: '12' }).fontSize).toBe(DEFAULT_LAYOUT.fontSize);
+  expect(normalizeLayout({ relations: 'yes' }).relations).toBe(false);
+  expect(normalizeLayout([])).toEqual(DEFAULT_LAYOUT);
+});
+
+test('accepts whole, positive depths or "all"', () => {
+  expect(parseDepth('3')).toBe(3);
+  expect(parseDepth(2)).toBe(2);
+  expect(parseDepth('all')).toBe('all');
+  expect(parseDepth('0')).toBe(1);
+  expect(parseDepth('1.5')).toBe(1);
+  expect(parseDepth(null)).toBe(1);
+});
@@ -0,0 +1,70 @@
+import { buildTimelines } from './timeline';
+
+// A bottleneck counts as flagged by an assessment that rates it "Serious" or worse
+export const FLAG_SEVERITY = 3;
+
+/**
+ * Picks the assessments summarized by the portfolio view: the latest of each country, so that a
+ * country assessed twice is not counted twice, and every assessment without a country or a year.
+ * @param {{id: string}[]} entries - The assessments listed in the index.
+ * @param {Object<string, {country?: string, year?: number}>} assessments - The loaded assessments, keyed by ID.
+ * @returns {string[]} The IDs of the assessments in the portfolio, in index order; those that did not load are left out.
+ */
+export const selectPortfolio = (entries, assessments) => {
+  const latestIds = new Set(Object.values(buildTimelines(entries, assessments)).map(snapshots => snapshots[snapshots.length - 1].id));
+  return entries
+    .filter(({ id }) => assessments[id] && (latestIds.has(id) || !assessments[id].country || typeof assessments[id].year !== 'number'))
+    .map(({ id }) => id);
+};
+
+/**
+ * Summarizes the ratings of each bottleneck across the portfolio.
+ * @param {string[]} assessmentIds - The assessments in the portfolio, as picked by selectPortfolio.
+ * @param {Object<string, {ratings: object}>} assessments - The loaded assessments, keyed by ID.
+ * @returns {Object<string, {rated: number, flagged: number, mean: number, spread: number}>} Keyed by
+ *   bottleneck ID: the number of assessments that rate it and that flag it (see FLAG_SEVERITY), and
+ *   the mean and standard deviation of its severity; bottlenecks no assessment rates are left out.
+ */
+export const buildPortfolioStats = (assessmentIds, assessments) => {
+  const severities = {};
+  assessmentIds.forEach(id => {
+    Object.entries(assessments[id].ratings).forEach(([bottleneckId, rating]) => {
+      if (!rating.severity) return;
+      if (!severities[bottleneckId]) severities[bottleneckId] = [];
+      severities[bottleneckId].push(rating.severity);
+    });
+  });
+
+  const stats = {};
+  Object.entries(severities).forEach(([bottleneckId, values]) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    stats[bottleneckId] = {
+      rated: values.length,
+      flagged: values.filter(value => value >= FLAG_SEVERITY).length,
+      mean,
+      spread: Math.sqrt(variance)
+    };
+  });
+  return stats;
+};
+
+/**
+ * Ranks the assessments of the portfolio that flag a bottleneck, most severe first; assessments
+ * rating it equally share a rank and keep their index order.
+ * @param {string[]} assessmentIds - The assessments in the portfolio.
+ * @param {Object<string, {ratings: object}>} assessments - The loaded assessments, keyed by ID.
+ * @param {string} bottleneckId - The bottleneck's ID.
+ * @returns {{rank: number, id: string, severity: number, justification?: string}[]} The assessments that flag it.
+ */
+export const rankFlaggedAssessments = (assessmentIds, assessments, bottleneckId) => {
+  const flagged = assessmentIds
+    .map(id => ({ id, rating: assessments[id].ratings[bottleneckId] }))
+    .filter(({ rating }) => rating && rating.severity >= FLAG_SEVERITY)
+    .map(({ id, rating }) => ({ id, severity: rating.severity, ...(rating.justification ? { justification: rating.justification } : {}) }))
+    .sort((a, b) => b.severity - a.severity); // Stable, so ties keep their index order
+  return flagged.map(entry => ({
+    rank: flagged.findIndex(other => other.severity === entry.severity) + 1,
+    ...entry
+  }));
+};
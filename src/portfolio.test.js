@@ -0,0 +1,31 @@
+import { buildPortfolioStats, rankFlaggedAssessments, selectPortfolio } from './portfolio';
+
+const entries = [{ id: 'a-2021' }, { id: 'b-2023' }, { id: 'a-2023' }, { id: 'c' }, { id: 'missing' }];
+const assessments = {
+  'a-2021': { country: 'Country A', year: 2021, ratings: { 'A.1.1': { severity: 1 } } },
+  'a-2023': { country: 'Country A', year: 2023, ratings: { 'A.1.1': { severity: 4, justification: 'No plan since 2020' }, 'A.1.2': { severity: 2 } } },
+  'b-2023': { country: 'Country B', year: 2023, ratings: { 'A.1.1': { severity: 3 }, 'A.1.2': { confidence: 'low' } } },
+  c: { country: 'Country C', ratings: { 'A.1.1': { severity: 4 } } }
+};
+
+test('takes the latest assessment of each country, and those that cannot be placed in time', () => {
+  expect(selectPortfolio(entries, assessments)).toEqual(['b-2023', 'a-2023', 'c']);
+});
+
+test('counts how often each bottleneck is flagged, with its mean severity and spread', () => {
+  const stats = buildPortfolioStats(['b-2023', 'a-2023', 'c'], assessments);
+  expect(Object.keys(stats)).toEqual(['A.1.1', 'A.1.2']);
+  expect(stats['A.1.1']).toMatchObject({ rated: 3, flagged: 3 });
+  expect(stats['A.1.1'].mean).toBeCloseTo(11 / 3);
+  expect(stats['A.1.1'].spread).toBeCloseTo(Math.sqrt(2) / 3);
+  expect(stats['A.1.2']).toEqual({ rated: 1, flagged: 0, mean: 2, spread: 0 });
+});
+
+test('ranks the assessments that flag a bottleneck, most severe first', () => {
+  expect(rankFlaggedAssessments(['b-2023', 'a-2023', 'c'], assessments, 'A.1.1')).toEqual([
+    { rank: 1, id: 'a-2023', severity: 4, justification: 'No plan since 2020' },
+    { rank: 1, id: 'c', severity: 4 },
+    { rank: 3, id: 'b-2023', severity: 3 }
+  ]);
+  expect(rankFlaggedAssessments(['b-2023', 'a-2023', 'c'], assessments, 'A.1.2')).toEqual([]);
+});
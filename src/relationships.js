@@ -0,0 +1,172 @@
+import { DataFileError, fetchDataFile, resolveDataUrl } from './dataFile';
+
+// Default location of the relationships between nodes and the reform catalogue, relative to the deployed app
+export const DEFAULT_RELATIONSHIPS_URL = `${process.env.PUBLIC_URL}/data/relationships.json`;
+
+// Kinds of link between two nodes. A directed link reads from its "from" node to its "to" node
+// ("data systems are fragmented" drives "inadequate oversight"); the others read both ways. They
+// are labelled by the "relation.<type>.<direction>" messages, the direction being "out" or "in"
+// for directed links and "both" otherwise.
+export const LINK_TYPES = [
+  { value: 'drives', directed: true },
+  { value: 'related', directed: false }
+];
+
+/**
+ * Works out which relationships file to load. A `?relationships=` URL parameter takes precedence
+ * over the file bundled in public/data.
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the relationships file.
+ */
+export const resolveRelationshipsUrl = (search = window.location.search) => {
+  return resolveDataUrl('relationships', DEFAULT_RELATIONSHIPS_URL, search);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validates a parsed relationships document.
+ * @param {object} document - The parsed relationships file ({ version, links?, reforms? }), where
+ *   `links` lists { from, to, type, note? } by node ID and `reforms` lists
+ *   { id, label, description?, url?, addresses: [node IDs] }.
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateRelationships = (document) => {
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    return ['Relationships file must be an object with "links" and "reforms" lists'];
+  }
+
+  const errors = [];
+  const { links = [], reforms = [] } = document;
+  if (!Array.isArray(links)) {
+    errors.push('"links" must be a list');
+  } else {
+    links.forEach((link, index) => {
+      const location = `link ${index + 1}`;
+      if (link === null || typeof link !== 'object' || !isNonEmptyString(link.from) || !isNonEmptyString(link.to)) {
+        errors.push(`${location}: needs the node IDs it joins in "from" and "to"`);
+        return;
+      }
+      if (link.from === link.to) {
+        errors.push(`${location}: joins ${link.from} to itself`);
+      }
+      if (!LINK_TYPES.some(type => type.value === link.type)) {
+        errors.push(`${location}: "type" must be one of ${LINK_TYPES.map(type => `"${type.value}"`).join(', ')}`);
+      }
+      if (link.note !== undefined && !isNonEmptyString(link.note)) {
+        errors.push(`${location}: "note" must be a non-empty string`);
+      }
+    });
+  }
+
+  if (!Array.isArray(reforms)) {
+    errors.push('"reforms" must be a list');
+  } else {
+    const seenIds = new Set();
+    reforms.forEach((reform, index) => {
+      const location = `reform ${index + 1}`;
+      if (reform === null || typeof reform !== 'object' || !isNonEmptyString(reform.id) || !isNonEmptyString(reform.label)) {
+        errors.push(`${location}: needs an "id" and a "label"`);
+        return;
+      }
+      if (seenIds.has(reform.id)) {
+        errors.push(`${location}: duplicate id "${reform.id}"`);
+      }
+      seenIds.add(reform.id);
+      if (!Array.isArray(reform.addresses) || reform.addresses.length === 0 || !reform.addresses.every(isNonEmptyString)) {
+        errors.push(`${location}: "addresses" must list the IDs of the nodes it addresses`);
+      }
+      ['description', 'url'].forEach(key => {
+        if (reform[key] !== undefined && !isNonEmptyString(reform[key])) {
+          errors.push(`${location}: "${key}" must be a non-empty string`);
+        }
+      });
+    });
+  }
+  return errors;
+};
+
+/**
+ * Fetches and validates a relationships file.
+ * @param {string} url - The URL of the relationships file.
+ * @returns {Promise<{links: {from: string, to: string, type: string, note?: string}[], reforms: {id: string, label: string, description?: string, url?: string, addresses: string[]}[]}>}
+ *   The links and the reform catalogue, empty lists for those the file leaves out.
+ * @throws {DataFileError} When the file cannot be fetched, parsed or fails validation.
+ */
+export const loadRelationships = async (url) => {
+  const document = await fetchDataFile(url);
+  const errors = validateRelationships(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Relationships file ${url} is invalid`, errors);
+  }
+  return { links: document.links || [], reforms: document.reforms || [] };
+};
+
+/**
+ * Lists the nodes linked to a node, or to a group of nodes such as a challenge and everything below
+ * it, seen from that side: a directed link reads "out" from its "from" node and "in" to its "to"
+ * node. Links within the group are left out, and a node linked the same way to several nodes of
+ * the group is listed once, with the note of its first link. Links of an unknown type are skipped.
+ * @param {{from: string, to: string, type: string, note?: string}[]} links - The links.
+ * @param {string[]} nodeIds - The IDs of the node or of the group.
+ * @returns {{nodeId: string, type: string, direction: ('out'|'in'|'both'), note?: string}[]} The linked nodes, in file order.
+ */
+export const getRelatedNodes = (links, nodeIds) => {
+  const related = new Map();
+  links.forEach(link => {
+    const isFrom = nodeIds.includes(link.from);
+    if (isFrom === nodeIds.includes(link.to)) return; // Neither end in the group, or both
+    const linkType = LINK_TYPES.find(type => type.value === link.type);
+    if (!linkType) return; // Only links loaded through loadRelationships have been validated
+    const entry = {
+      nodeId: isFrom ? link.to : link.from,
+      type: link.type,
+      direction: linkType.directed ? (isFrom ? 'out' : 'in') : 'both',
+      ...(link.note ? { note: link.note } : {})
+    };
+    const key = `${entry.type} ${entry.direction} ${entry.nodeId}`;
+    if (!related.has(key)) related.set(key, entry);
+  });
+  return Array.from(related.values());
+};
+
+/**
+ * Lists the reforms recommended for a node, or for any node of a group.
+ * @param {{addresses: string[]}[]} reforms - The reform catalogue.
+ * @param {string[]} nodeIds - The IDs of the node or of the group.
+ * @returns {object[]} The reforms that address them, in catalogue order.
+ */
+export const getRecommendedReforms = (reforms, nodeIds) => reforms.filter(reform => reform.addresses.some(id => nodeIds.includes(id)));
+
+/**
+ * Works out the chords to draw across a sunburst between linked nodes. A node not drawn, because
+ * it is too deep to show or hidden by the filters, is stood in for by its closest drawn ancestor;
+ * links with an end outside the level on screen, or whose ends meet in the same slice, are left out.
+ * Several links between the same two slices make one chord; links of an unknown type are skipped.
+ * @param {{from: string, to: string, type: string}[]} links - The links.
+ * @param {Object<string, {ring: number}>} slices - The slices drawn, as laid out by layoutSunburstSlices.
+ * @param {Object<string, {parentId: string}>} nodeInfo - The details of every node, keyed by ID.
+ * @returns {{from: string, to: string, type: string, count: number}[]} The chords, joining slice IDs.
+ */
+export const buildChords = (links, slices, nodeInfo) => {
+  const findDrawn = (nodeId) => {
+    let id = nodeId;
+    while (id && !slices[id]) id = nodeInfo[id] ? nodeInfo[id].parentId : '';
+    return id && slices[id].ring > 0 ? id : ''; // Not the level on screen, which is the disc in the middle
+  };
+  const chords = new Map();
+  links.forEach(link => {
+    const linkType = LINK_TYPES.find(type => type.value === link.type);
+    let from = findDrawn(link.from);
+    let to = findDrawn(link.to);
+    if (!linkType || !from || !to || from === to) return;
+    if (!linkType.directed && to < from) [from, to] = [to, from];
+    const key = `${link.type} ${from} ${to}`;
+    if (chords.has(key)) {
+      chords.get(key).count += 1;
+    } else {
+      chords.set(key, { from, to, type: link.type, count: 1 });
+    }
+  });
+  return Array.from(chords.values());
+};
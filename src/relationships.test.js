@@ -0,0 +1,84 @@
+import { buildChords, getRecommendedReforms, getRelatedNodes, validateRelationships } from './relationships';
+
+const links = [
+  { from: 'D.9.2', to: 'D.8.4', type: 'drives', note: 'Oversight needs shared data' },
+  { from: 'C.5.2', to: 'D.9.2', type: 'related' },
+  { from: 'D.9.1', to: 'D.8.4', type: 'drives' }
+];
+
+const reforms = [
+  { id: 'ifmis', label: 'IFMIS', addresses: ['D.9.2', 'D.9.1'] },
+  { id: 'audit', label: 'External audit', addresses: ['D.8.4'] }
+];
+
+test('accepts a valid relationships file and reports each problem in an invalid one', () => {
+  expect(validateRelationships({ version: '1.0.0', links, reforms })).toEqual([]);
+  expect(validateRelationships({ version: '1.0.0' })).toEqual([]);
+  expect(validateRelationships([])).toHaveLength(1);
+  expect(validateRelationships({
+    links: [{ from: 'A.1', to: 'A.1', type: 'causes' }, { from: 'A.1' }],
+    reforms: [{ id: 'r', label: 'Reform', addresses: [] }, { id: 'r', label: 'Again', addresses: ['A.1'], url: '' }]
+  })).toEqual([
+    'link 1: joins A.1 to itself',
+    'link 1: "type" must be one of "drives", "related"',
+    'link 2: needs the node IDs it joins in "from" and "to"',
+    'reform 1: "addresses" must list the IDs of the nodes it addresses',
+    'reform 2: duplicate id "r"',
+    'reform 2: "url" must be a non-empty string'
+  ]);
+});
+
+test('lists the linked nodes as seen from either end', () => {
+  expect(getRelatedNodes(links, ['D.9.2'])).toEqual([
+    { nodeId: 'D.8.4', type: 'drives', direction: 'out', note: 'Oversight needs shared data' },
+    { nodeId: 'C.5.2', type: 'related', direction: 'both' }
+  ]);
+  expect(getRelatedNodes(links, ['D.8.4']).map(related => `${related.direction} ${related.nodeId}`)).toEqual(['in D.9.2', 'in D.9.1']);
+  expect(getRelatedNodes(links, ['A.1.1'])).toEqual([]);
+});
+
+test('lists the nodes linked to a group once each, leaving out the links within it', () => {
+  expect(getRelatedNodes(links, ['d9', 'D.9.1', 'D.9.2'])).toEqual([
+    { nodeId: 'D.8.4', type: 'drives', direction: 'out', note: 'Oversight needs shared data' },
+    { nodeId: 'C.5.2', type: 'related', direction: 'both' }
+  ]);
+  expect(getRelatedNodes(links, ['D.9.2', 'C.5.2']).map(related => related.nodeId)).toEqual(['D.8.4']);
+});
+
+test('finds the reforms recommended for a node or a group', () => {
+  expect(getRecommendedReforms(reforms, ['D.9.2']).map(reform => reform.id)).toEqual(['ifmis']);
+  expect(getRecommendedReforms(reforms, ['D.9.1', 'D.8.4']).map(reform => reform.id)).toEqual(['ifmis', 'audit']);
+  expect(getRecommendedReforms(reforms, ['A.1.1'])).toEqual([]);
+});
+
+test('joins the slices drawn, standing in the closest drawn ancestor for nodes too deep to show', () => {
+  const nodeInfo = {
+    root: { parentId: '' },
+    c: { parentId: 'root' },
+    d8: { parentId: 'd' },
+    d9: { parentId: 'd' },
+    d: { parentId: 'root' },
+    'D.8.4': { parentId: 'd8' },
+    'D.9.1': { parentId: 'd9' },
+    'D.9.2': { parentId: 'd9' },
+    'C.5.2': { parentId: 'c' }
+  };
+  // Zoomed to the root with one ring: the links between D.8 and D.9 collapse into role D
+  const top = { root: { ring: 0 }, c: { ring: 1 }, d: { ring: 1 } };
+  expect(buildChords(links, top, nodeInfo)).toEqual([{ from: 'c', to: 'd', type: 'related', count: 1 }]);
+  // Zoomed to role D with two rings: both "drives" links end in the same pair of challenges
+  const zoomed = { d: { ring: 0 }, d8: { ring: 1 }, d9: { ring: 1 }, 'D.8.4': { ring: 2 }, 'D.9.1': { ring: 2 }, 'D.9.2': { ring: 2 } };
+  expect(buildChords(links, zoomed, nodeInfo)).toEqual([
+    { from: 'D.9.2', to: 'D.8.4', type: 'drives', count: 1 },
+    { from: 'D.9.1', to: 'D.8.4', type: 'drives', count: 1 }
+  ]);
+  const oneRing = { d: { ring: 0 }, d8: { ring: 1 }, d9: { ring: 1 } };
+  expect(buildChords(links, oneRing, nodeInfo)).toEqual([{ from: 'd9', to: 'd8', type: 'drives', count: 2 }]);
+});
+
+test('skips links of an unknown type rather than failing on them', () => {
+  const withUnknown = [{ from: 'D.9.2', to: 'C.5.2', type: 'causes' }, ...links];
+  expect(getRelatedNodes(withUnknown, ['C.5.2'])).toEqual([{ nodeId: 'D.9.2', type: 'related', direction: 'both' }]);
+  const slices = { root: { ring: 0 }, 'C.5.2': { ring: 1 }, 'D.9.2': { ring: 1 } };
+  expect(buildChords(withUnknown, slices, {})).toEqual([{ from: 'C.5.2', to: 'D.9.2', type: 'related', count: 1 }]);
+});
@@ -0,0 +1,114 @@
+import { slugify } from './taxonomy';
+
+// Evidence fields searched alongside the node labels
+const EVIDENCE_SEARCH_FIELDS = ['text', 'documentTitle'];
+
+// Length of the evidence excerpt shown under a result
+const EXCERPT_LENGTH = 120;
+
+/**
+ * Splits a text into lowercase words without accents, e.g. "Procurement délais" -> ["procurement", "delais"].
+ * @param {string} text - The text to split.
+ * @returns {string[]} The words.
+ */
+export const tokenize = (text) => slugify(String(text)).split('-').filter(Boolean);
+
+/**
+ * Levenshtein distance between two words: the number of single-letter insertions, deletions or
+ * substitutions needed to turn one into the other.
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} The distance.
+ */
+export const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated in a query word: none for short words, which would otherwise match almost anything
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Scores how well a query word matches a word of the text: 3 for the same word, 2 when the text
+ * word starts with it ("procure" in "procurement"), 1 for a near miss ("procurment"), 0 otherwise.
+ */
+const scoreWord = (queryWord, word) => {
+  if (word === queryWord) return 3;
+  if (word.startsWith(queryWord)) return 2;
+  const typos = allowedTypos(queryWord.length);
+  if (typos === 0) return 0;
+  // Compare against the whole word and against its start, so that partly typed words still match
+  const distance = Math.min(editDistance(queryWord, word), editDistance(queryWord, word.slice(0, queryWord.length)));
+  return distance <= typos ? 1 : 0;
+};
+
+/**
+ * Scores a text against the words of a query. Every query word has to match some word of the text.
+ * @param {string[]} queryWords - The query, split with `tokenize`.
+ * @param {string} text - The text to search.
+ * @returns {number} The sum of the best score of each query word, or 0 when the text does not match.
+ */
+export const scoreText = (queryWords, text) => {
+  const words = tokenize(text);
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const best = Math.max(0, ...words.map(word => scoreWord(queryWord, word)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+};
+
+const excerpt = (text) => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : text);
+
+/**
+ * Searches the labels and codes of the taxonomy nodes and the evidence recorded against them.
+ * Matches on a node's own label rank above matches in its evidence; ties keep the taxonomy order.
+ * @param {Object<string, {label: string, code?: string|null}>} nodeInfo - Node details keyed by ID.
+ * @param {Object<string, object[]>} evidenceByBottleneck - Evidence records keyed by bottleneck ID.
+ * @param {string} query - The text typed by the user.
+ * @returns {{id: string, score: number, matchedIn: 'label'|'evidence', excerpt?: string}[]} The matching nodes, best first.
+ */
+export const searchTaxonomy = (nodeInfo, evidenceByBottleneck, query) => {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return [];
+
+  const results = [];
+  Object.keys(nodeInfo).forEach((id, order) => {
+    const node = nodeInfo[id];
+    const labelScore = scoreText(queryWords, node.code ? `${node.code} ${node.label}` : node.label);
+    if (labelScore > 0) {
+      results.push({ id, score: labelScore, matchedIn: 'label', order });
+      return;
+    }
+
+    const records = evidenceByBottleneck[id] || [];
+    let best = null;
+    records.forEach(record => {
+      EVIDENCE_SEARCH_FIELDS.forEach(field => {
+        if (typeof record[field] !== 'string') return;
+        const score = scoreText(queryWords, record[field]);
+        if (score > 0 && (!best || score > best.score)) {
+          best = { score, text: record.text };
+        }
+      });
+    });
+    if (best) {
+      results.push({ id, score: best.score, matchedIn: 'evidence', excerpt: excerpt(best.text), order });
+    }
+  });
+
+  return results
+    .sort((a, b) => (
+      (a.matchedIn === b.matchedIn ? 0 : a.matchedIn === 'label' ? -1 : 1) || b.score - a.score || a.order - b.order
+    ))
+    .map(({ order, ...result }) => result);
+};
@@ -0,0 +1,45 @@
+import { editDistance, scoreText, searchTaxonomy, tokenize } from './search';
+
+const nodeInfo = {
+  root: { label: 'Role of Public Finance', code: null },
+  'root/a': { label: 'A. Spending efficiency', code: null },
+  'A.1.1': { label: 'Delays in and inflated cost of procurement', code: 'A.1.1' },
+  'A.1.2': { label: 'Weak payroll controls', code: 'A.1.2' },
+  'root/a/fragmented-data': { label: 'Fragmented data systems', code: null }
+};
+const evidence = {
+  'A.1.2': [{ text: 'Ghost workers were found on the procurement unit payroll.', documentTitle: 'Audit report' }],
+  'root/a/fragmented-data': [{ text: 'Ministries keep separate ledgers.', documentTitle: 'PEFA report' }]
+};
+
+test('splits text into lowercase words without accents', () => {
+  expect(tokenize('Délais de Procurement, D.7.3')).toEqual(['delais', 'de', 'procurement', 'd', '7', '3']);
+});
+
+test('counts single-letter edits', () => {
+  expect(editDistance('procurment', 'procurement')).toBe(1);
+  expect(editDistance('', 'abc')).toBe(3);
+});
+
+test('requires every query word to match, tolerating prefixes and small typos', () => {
+  expect(scoreText(['procure'], 'cost of procurement')).toBeGreaterThan(0);
+  expect(scoreText(['procurment'], 'cost of procurement')).toBeGreaterThan(0);
+  expect(scoreText(['procurement', 'payroll'], 'cost of procurement')).toBe(0);
+  // Short words have to match exactly or as a prefix
+  expect(scoreText(['cat'], 'cost of procurement')).toBe(0);
+});
+
+test('ranks label matches above evidence matches', () => {
+  const results = searchTaxonomy(nodeInfo, evidence, 'procurement');
+  expect(results.map(result => [result.id, result.matchedIn])).toEqual([['A.1.1', 'label'], ['A.1.2', 'evidence']]);
+  expect(results[1].excerpt).toBe(evidence['A.1.2'][0].text);
+});
+
+test('matches codes and returns nothing for an empty query', () => {
+  expect(searchTaxonomy(nodeInfo, evidence, 'A.1.2').map(result => result.id)).toEqual(['A.1.2']);
+  expect(searchTaxonomy(nodeInfo, evidence, '  ')).toEqual([]);
+});
+
+test('finds evidence recorded against nodes without a code, by their label path', () => {
+  expect(searchTaxonomy(nodeInfo, evidence, 'ledgers').map(result => result.id)).toEqual(['root/a/fragmented-data']);
+});
@@ -0,0 +1,218 @@
+import * as XLSX from 'xlsx';
+import { DataFileError } from './dataFile';
+import { DEFAULT_LEVEL_LABELS, buildNodeId, slugify, validateTaxonomy } from './taxonomy';
+import { SEVERITY_SCALE } from './assessment';
+
+// Version written into the taxonomy built from a spreadsheet
+const IMPORTED_TAXONOMY_VERSION = '1.0.0';
+
+// Headers recognised when guessing which column holds what; levels are recognised by the
+// default level names ("Role", "Challenge", ...)
+const ID_HEADER = /^(id|code)$/i;
+const SCORE_HEADER = /^(score|severity|rating)$/i;
+const NOTES_HEADER = /^(notes?|comments?|justification)$/i;
+
+/**
+ * Reads the first sheet of a spreadsheet into its header and rows, entirely in the browser.
+ * Blank or repeated headers are renamed ("Column 3", "Notes (2)") so every column can be told apart.
+ * @param {string|ArrayBuffer} contents - The text of a CSV file, or the bytes of an Excel workbook.
+ * @param {string} fileName - The name of the file, for messages.
+ * @returns {{columns: string[], rows: {row: number, values: Object<string, string>}[]}} The column
+ *   names and the rows below the header, with their row number in the sheet; blank rows are left out.
+ * @throws {DataFileError} When the file cannot be read or has no header row.
+ */
+export const parseSpreadsheet = (contents, fileName = 'spreadsheet') => {
+  let table;
+  try {
+    // Text is read as written, so that codes such as "1.10" are not taken for numbers
+    const workbook = typeof contents === 'string'
+      ? XLSX.read(contents, { type: 'string', raw: true })
+      : XLSX.read(contents, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    table = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true }) : [];
+  } catch (error) {
+    throw new DataFileError(`Could not read ${fileName} as a spreadsheet`, [error.message]);
+  }
+  if (table.length === 0 || table[0].every(cell => String(cell).trim() === '')) {
+    throw new DataFileError(`${fileName} has no header row`, ['The first row must name the columns, e.g. Role, Challenge, Bottleneck, Score']);
+  }
+
+  const usedNames = new Set();
+  const columns = table[0].map((cell, idx) => {
+    const base = String(cell).trim() || `Column ${idx + 1}`;
+    let name = base;
+    for (let copy = 2; usedNames.has(name); copy++) name = `${base} (${copy})`;
+    usedNames.add(name);
+    return name;
+  });
+  const rows = [];
+  table.slice(1).forEach((cells, idx) => {
+    const values = {};
+    columns.forEach((column, col) => {
+      values[column] = cells[col] === undefined ? '' : String(cells[col]).trim();
+    });
+    if (Object.values(values).some(value => value !== '')) rows.push({ row: idx + 2, values }); // Row 1 is the header
+  });
+  return { columns, rows };
+};
+
+/**
+ * Guesses which columns hold the hierarchy levels, the IDs, the scores and the notes from their
+ * headers, for the mapping to start from.
+ * @param {string[]} columns - The column names.
+ * @returns {{levels: string[], id: string, score: string, notes: string}} The columns of the levels,
+ *   top level first, and of the other fields ('' when none was recognised).
+ */
+export const guessColumnMapping = (columns) => {
+  const find = pattern => columns.find(column => pattern.test(column.trim())) || '';
+  return {
+    levels: DEFAULT_LEVEL_LABELS.slice(1)
+      .map(label => columns.find(column => column.trim().toLowerCase() === label.toLowerCase()))
+      .filter(Boolean),
+    id: find(ID_HEADER),
+    score: find(SCORE_HEADER),
+    notes: find(NOTES_HEADER)
+  };
+};
+
+// Turns the nodes built from the rows into the lists of node objects of a taxonomy tree
+const toTreeNodes = (children) => Array.from(children.values()).map(node => ({
+  label: node.label,
+  ...(node.id ? { id: node.id } : {}),
+  ...(node.children.size > 0 ? { children: toTreeNodes(node.children) } : {})
+}));
+
+/**
+ * Builds a taxonomy, and the ratings it holds, from the rows of a spreadsheet. Each row is a path
+ * from the top level down, read from the level columns in order; a row may stop early to describe
+ * a parent. Nodes without an ID are known by the path of their labels, as in any taxonomy (see
+ * buildNodeId), so their ratings stay with them when rows are sorted, added or removed.
+ *
+ * Problems are reported by row rather than thrown, so they can all be fixed before the chart is
+ * drawn: a level filled in below an empty one (a missing parent), a path or ID used twice, a
+ * score outside the severity scale, or a score on a row that has rows below it.
+ * @param {{row: number, values: Object<string, string>}[]} rows - The rows, as read by parseSpreadsheet.
+ * @param {{levels: string[], id: string, score: string, notes: string}} mapping - The columns of each field.
+ * @param {string} title - The title of the taxonomy, also the label of its root.
+ * @returns {{
+ *   taxonomy: {version: string, title: string, levels: string[], tree: object},
+ *   ratings: Object<string, {severity?: number, justification?: string}>,
+ *   leafCount: number,
+ *   errors: {row: (number|null), message: string}[]
+ * }} The taxonomy document, the ratings keyed by bottleneck ID, and the problems found; the taxonomy
+ *   is only fit to draw when there are none.
+ */
+export const buildTaxonomyFromRows = (rows, mapping, title) => {
+  const errors = [];
+  const root = { label: title, children: new Map() };
+  const rowOfPath = new Map(); // Path of slugs -> row that describes the node
+  const nodes = []; // Nodes described by a row, with the row and its rating, for the second pass
+
+  if (mapping.levels.length === 0) {
+    errors.push({ row: null, message: 'Choose the column of at least one hierarchy level' });
+  }
+
+  rows.forEach(({ row, values }) => {
+    const cells = mapping.levels.map(column => values[column] || '');
+    let depth = cells.length;
+    while (depth > 0 && cells[depth - 1] === '') depth--;
+    if (depth === 0) return; // No level filled in, e.g. a row of notes only
+    const labels = cells.slice(0, depth);
+    const missing = labels.findIndex(label => label === '');
+    if (missing >= 0) {
+      errors.push({ row, message: `${mapping.levels[missing]} is empty, so "${labels[depth - 1]}" has no parent` });
+      return;
+    }
+    if (labels.some(label => slugify(label) === '')) {
+      errors.push({ row, message: 'Names must contain at least one letter or digit' });
+      return;
+    }
+
+    const path = labels.map(label => slugify(label)).join('/');
+    if (rowOfPath.has(path)) {
+      errors.push({ row, message: `Duplicate path ${labels.join(' > ')} (already on row ${rowOfPath.get(path)})` });
+      return;
+    }
+    rowOfPath.set(path, row);
+
+    // Walk down the path, adding the nodes not met on earlier rows
+    let node = root;
+    labels.forEach(label => {
+      const key = slugify(label);
+      if (!node.children.has(key)) node.children.set(key, { label, children: new Map() });
+      node = node.children.get(key);
+    });
+
+    const rating = {};
+    const score = mapping.score ? values[mapping.score] : '';
+    if (score !== '') {
+      const severity = Number(score);
+      if (!Number.isInteger(severity) || severity < SEVERITY_SCALE.min || severity > SEVERITY_SCALE.max) {
+        errors.push({ row, message: `Score "${score}" must be a whole number from ${SEVERITY_SCALE.min} to ${SEVERITY_SCALE.max}` });
+      } else {
+        rating.severity = severity;
+      }
+    }
+    const notes = mapping.notes ? values[mapping.notes] : '';
+    if (notes !== '') rating.justification = notes;
+
+    node.id = mapping.id ? values[mapping.id] : '';
+    nodes.push({ node, row, rating });
+  });
+
+  const rowOfId = new Map();
+  nodes.forEach(({ node, row }) => {
+    if (!node.id) return;
+    if (rowOfId.has(node.id)) {
+      errors.push({ row, message: `Duplicate ID "${node.id}" (already on row ${rowOfId.get(node.id)})` });
+    } else {
+      rowOfId.set(node.id, row);
+    }
+  });
+
+  // Give every node its stable ID once every row is in, the label path of those without an ID
+  const assignNodeIds = (node, parentId) => {
+    node.nodeId = buildNodeId(node.label, node.id || null, parentId);
+    if (!node.id && rowOfId.has(node.nodeId)) {
+      errors.push({ row: rowOfId.get(node.nodeId), message: `ID "${node.nodeId}" is also the label path of "${node.label}", which has no ID; give it one` });
+    }
+    node.children.forEach(child => assignNodeIds(child, node.nodeId));
+  };
+  assignNodeIds(root, '');
+
+  const ratings = {};
+  nodes.forEach(({ node, row, rating }) => {
+    if (Object.keys(rating).length === 0) return;
+    if (node.children.size > 0) {
+      errors.push({ row, message: `"${node.label}" has rows below it, so its score and notes belong on the rows of its bottlenecks` });
+      return;
+    }
+    ratings[node.nodeId] = rating;
+  });
+
+  const taxonomy = {
+    version: IMPORTED_TAXONOMY_VERSION,
+    title,
+    levels: [title, ...mapping.levels],
+    tree: { [title]: toTreeNodes(root.children) }
+  };
+  if (rowOfPath.size === 0) {
+    errors.push({ row: null, message: 'No row names a level in the chosen columns' });
+  } else if (errors.length === 0) {
+    // Anything the checks above missed would stop the taxonomy from loading
+    validateTaxonomy(taxonomy).forEach(message => errors.push({ row: null, message }));
+  }
+  const leafCount = nodes.filter(({ node }) => node.children.size === 0).length; // Every leaf ends a row
+  return { taxonomy, ratings, leafCount, errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)) };
+};
+
+/**
+ * Reads a spreadsheet chosen or dropped by the user: CSV files as text, anything else as a workbook.
+ * @param {File} file - The file.
+ * @returns {Promise<{columns: string[], rows: {row: number, values: Object<string, string>}[]}>} As parseSpreadsheet.
+ * @throws {DataFileError} When the file cannot be read.
+ */
+export const readSpreadsheetFile = async (file) => {
+  const isText = /\.(csv|tsv|txt)$/i.test(file.name);
+  return parseSpreadsheet(isText ? await file.text() : await file.arrayBuffer(), file.name);
+};
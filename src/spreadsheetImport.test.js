@@ -0,0 +1,120 @@
+import * as XLSX from 'xlsx';
+import { DataFileError } from './dataFile';
+import { buildTaxonomyFromRows, guessColumnMapping, parseSpreadsheet } from './spreadsheetImport';
+
+const CSV = [
+  'Role,Challenge,Bottleneck,Score,Notes,',
+  'A. Strategy,1. No plan,No costed plan,3,Seen in the 2022 budget,',
+  'A. Strategy,1. No plan,No medium-term framework,,,',
+  ',,,,,',
+  'B. Execution,2. Arrears,Payment arrears,4,,'
+].join('\n');
+
+const mapping = { levels: ['Role', 'Challenge', 'Bottleneck'], id: '', score: 'Score', notes: 'Notes' };
+
+// Rows as read from a sheet, numbered from row 2 below the header
+const toRows = (...cells) => cells.map((values, idx) => ({
+  row: idx + 2,
+  values: { Role: values[0] || '', Challenge: values[1] || '', Bottleneck: values[2] || '', ID: values[3] || '', Score: values[4] || '', Notes: '' }
+}));
+
+test('reads a CSV file into named columns and numbered rows, leaving out blank rows', () => {
+  const { columns, rows } = parseSpreadsheet(CSV, 'ratings.csv');
+  expect(columns).toEqual(['Role', 'Challenge', 'Bottleneck', 'Score', 'Notes', 'Column 6']);
+  expect(rows.map(row => row.row)).toEqual([2, 3, 5]);
+  expect(rows[0].values).toMatchObject({ Role: 'A. Strategy', Bottleneck: 'No costed plan', Score: '3' });
+  expect(parseSpreadsheet('ID\n1.10\n', 'ids.csv').rows[0].values.ID).toBe('1.10');
+});
+
+test('reads the first sheet of an Excel workbook', () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Role', 'Role', 'Severity'], ['A. Strategy', 'x', 2]]), 'Ratings');
+  const bytes = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  const { columns, rows } = parseSpreadsheet(bytes, 'ratings.xlsx');
+  expect(columns).toEqual(['Role', 'Role (2)', 'Severity']);
+  expect(rows).toEqual([{ row: 2, values: { Role: 'A. Strategy', 'Role (2)': 'x', Severity: '2' } }]);
+});
+
+test('rejects a file without a header row', () => {
+  expect(() => parseSpreadsheet('\n\n', 'empty.csv')).toThrow(DataFileError);
+});
+
+test('guesses the columns of the levels and the other fields from their headers', () => {
+  expect(guessColumnMapping(['Notes', 'Bottleneck', 'Role', 'Challenge', 'Score', 'Code'])).toEqual({
+    levels: ['Role', 'Challenge', 'Bottleneck'],
+    id: 'Code',
+    score: 'Score',
+    notes: 'Notes'
+  });
+});
+
+test('builds a taxonomy and its ratings, keying bottlenecks without an ID by their label path', () => {
+  const { rows } = parseSpreadsheet(CSV, 'ratings.csv');
+  const result = buildTaxonomyFromRows(rows, mapping, 'Ratings');
+  expect(result.errors).toEqual([]);
+  expect(result.leafCount).toBe(3);
+  expect(result.taxonomy).toEqual({
+    version: '1.0.0',
+    title: 'Ratings',
+    levels: ['Ratings', 'Role', 'Challenge', 'Bottleneck'],
+    tree: {
+      Ratings: [
+        { label: 'A. Strategy', children: [{ label: '1. No plan', children: [{ label: 'No costed plan' }, { label: 'No medium-term framework' }] }] },
+        { label: 'B. Execution', children: [{ label: '2. Arrears', children: [{ label: 'Payment arrears' }] }] }
+      ]
+    }
+  });
+  expect(result.ratings).toEqual({
+    'ratings/a-strategy/1-no-plan/no-costed-plan': { severity: 3, justification: 'Seen in the 2022 budget' },
+    'ratings/b-execution/2-arrears/payment-arrears': { severity: 4 }
+  });
+});
+
+test('keeps the keys of the ratings when rows are sorted or added', () => {
+  const { rows } = parseSpreadsheet(CSV, 'ratings.csv');
+  const { ratings } = buildTaxonomyFromRows(rows, mapping, 'Ratings');
+  const reordered = [...toRows(['A. Strategy', '1. No plan', 'First new bottleneck']), ...rows.reverse()];
+  expect(buildTaxonomyFromRows(reordered, mapping, 'Ratings').ratings).toEqual(ratings);
+});
+
+test('keeps the IDs given in the sheet, and rows that stop early describe a parent', () => {
+  const rows = toRows(['A. Strategy'], ['A. Strategy', '1. No plan', 'No costed plan', 'A.1.1', '2']);
+  const result = buildTaxonomyFromRows(rows, { ...mapping, id: 'ID' }, 'Ratings');
+  expect(result.errors).toEqual([]);
+  expect(result.taxonomy.tree.Ratings[0].children[0].children).toEqual([{ label: 'No costed plan', id: 'A.1.1' }]);
+  expect(result.ratings).toEqual({ 'A.1.1': { severity: 2 } });
+});
+
+test('reports missing parents, duplicate paths and IDs, and bad scores by row', () => {
+  const rows = toRows(
+    ['A. Strategy', '1. No plan', 'No costed plan', 'A.1'],
+    ['A. Strategy', '', 'Orphan'],
+    ['A. Strategy', '1. no plan', 'No costed plan'],
+    ['A. Strategy', '1. No plan', 'Weak cash planning', 'A.1'],
+    ['B. Execution', '2. Arrears', 'Payment arrears', '', 'high'],
+    ['B. Execution', '', '', '', '3']
+  );
+  const { errors } = buildTaxonomyFromRows(rows, { ...mapping, id: 'ID' }, 'Ratings');
+  expect(errors).toEqual([
+    { row: 3, message: 'Challenge is empty, so "Orphan" has no parent' },
+    { row: 4, message: 'Duplicate path A. Strategy > 1. no plan > No costed plan (already on row 2)' },
+    { row: 5, message: 'Duplicate ID "A.1" (already on row 2)' },
+    { row: 6, message: 'Score "high" must be a whole number from 1 to 4' },
+    { row: 7, message: '"B. Execution" has rows below it, so its score and notes belong on the rows of its bottlenecks' }
+  ]);
+});
+
+test('reports an ID that is also the label path of a node without one', () => {
+  const rows = toRows(['A. Strategy', '1. No plan', 'No costed plan'], ['A. Strategy', '1. No plan', 'Weak cash planning', 'ratings/a-strategy/1-no-plan/no-costed-plan']);
+  expect(buildTaxonomyFromRows(rows, { ...mapping, id: 'ID' }, 'Ratings').errors).toEqual([
+    { row: 3, message: 'ID "ratings/a-strategy/1-no-plan/no-costed-plan" is also the label path of "No costed plan", which has no ID; give it one' }
+  ]);
+});
+
+test('asks for the level columns when none are chosen', () => {
+  const { errors } = buildTaxonomyFromRows(toRows(['A. Strategy']), { ...mapping, levels: [] }, 'Ratings');
+  expect(errors.map(error => error.message)).toEqual([
+    'Choose the column of at least one hierarchy level',
+    'No row names a level in the chosen columns'
+  ]);
+});
@@ -0,0 +1,226 @@
+import { buildNodeId, getChildNodes } from './taxonomy';
+import { getContrastTextColor } from './colorScale';
+import { wrapText } from './textWrap';
+import { THEMES } from './theme';
+
+// Labels are wrapped to lines of this many characters unless told otherwise, and cut short after
+// this many lines; the tooltip shows them in full
+const TEXT_WRAP_MAX_LENGTH = 25;
+const TEXT_WRAP_MAX_LINES = 6;
+
+/**
+ * Gets the palette of a layer of slices; deeper layers cycle through the theme's layers again.
+ * @param {object} theme - The theme, see THEMES.
+ * @param {number} depth - The depth of the layer, 1 for the ring around the root.
+ * @returns {{colors: string[], textColor: string, accent: string}} The layer's palette.
+ */
+export const getLayerPalette = (theme, depth) => theme.chartLayers[(depth - 1) % theme.chartLayers.length];
+
+// Helper to get alternating color for a given layer and index
+const getAltColor = (theme, depth, idx) => {
+  if (depth === 0) return theme.chartRoot.color;
+  return getLayerPalette(theme, depth).colors[idx % 2];
+};
+
+const getTextColor = (theme, depth) => {
+  if (depth === 0) return theme.chartRoot.textColor;
+  return getLayerPalette(theme, depth).textColor;
+};
+
+/**
+ * Transforms a taxonomy tree into the arrays Plotly's sunburst, icicle and treemap charts take.
+ * The tree may be nested to any depth; colors alternate within each layer.
+ * @param {object} tree - The taxonomy tree, with a single root key.
+ * @param {object} [options]
+ * @param {function({id: string, code: string|null, label: string}): number} [options.getLeafValue] - Returns the size of a
+ *   leaf slice, given its stable ID (see buildNodeId), code and label; 1 by default. Parents are the sum of their children.
+ * @param {function({id: string, code: string|null, label: string}): (number|null)} [options.getLeafScore] - Returns a leaf's score
+ *   (null when it has none). When given, every node gets a score, parents the aggregate of their scored leaves.
+ * @param {function(number|null): string} [options.scoreToColor] - Maps a score to a color. When given with
+ *   `getLeafScore`, every node is colored by its score; otherwise the layer colors are kept.
+ * @param {'mean'|'max'} [options.aggregate] - How a parent's score is derived from its scored leaves.
+ * @param {function(string, string): string} [options.translateLabel] - Returns the label shown for a node,
+ *   given its ID and its label in the taxonomy.
+ * @param {number} [options.wrapWidth] - The number of characters per line of the labels.
+ * @param {object} [options.theme] - The theme whose root and layer colors the slices take, see THEMES.
+ * @returns {{ids: string[], labels: string[], parents: string[], values: number[], colors: string[], nodeInfo: object, textColors: string[]}}
+ *   Parallel arrays in depth-first order, root first, and the details of each node keyed by ID:
+ *   `{label, parentId, depth, children, code, leafCount}`, plus `score` when leaves are scored.
+ */
+export const buildSunburst = (tree, { getLeafValue = () => 1, getLeafScore = null, scoreToColor = null, aggregate = 'mean', translateLabel = (nodeId, label) => label, wrapWidth = TEXT_WRAP_MAX_LENGTH, theme = THEMES.light } = {}) => {
+  const ids = [];
+  const labels = [];
+  const parents = [];
+  const values = [];
+  const colors = [];
+  const nodeValues = {};
+  const nodeScores = {}; // Sum, count and maximum of the scored leaves under each node
+  const nodeInfo = {};
+  const textColors = [];
+  const usedIds = new Set();
+
+  // IDs come from explicit codes or the label path (see buildNodeId), so they survive reordering.
+  // Validation rejects duplicate siblings; the suffix only keeps Plotly's ids unique if one slips through.
+  const generateUniqueId = (label, code, parentId) => {
+    const baseId = buildNodeId(label, code, parentId);
+    let newId = baseId;
+    for (let n = 2; usedIds.has(newId); n++) {
+      newId = `${baseId}~${n}`;
+    }
+    usedIds.add(newId);
+    return newId;
+  };
+
+  // Running index per layer, so neighbouring slices alternate colors even across parents
+  const layerIndices = [];
+
+  /**
+   * Adds a node and, recursively, its descendants.
+   * @returns {string} The ID of the added node.
+   */
+  const addNode = (label, code, childContainer, parentId, depth) => {
+    const nodeId = generateUniqueId(label, code, parentId);
+    const layerIndex = layerIndices[depth] || 0;
+    layerIndices[depth] = layerIndex + 1;
+
+    // IDs come from the taxonomy's own labels, so they stay the same in every language
+    const shownLabel = translateLabel(nodeId, label);
+    ids.push(nodeId);
+    labels.push(wrapText(shownLabel, wrapWidth, TEXT_WRAP_MAX_LINES));
+    parents.push(parentId);
+    values.push(0);
+    colors.push(getAltColor(theme, depth, layerIndex));
+    textColors.push(getTextColor(theme, depth));
+    nodeInfo[nodeId] = { label: shownLabel, parentId, depth, children: [], code };
+    if (parentId) {
+      nodeInfo[parentId].children.push(nodeId);
+    }
+
+    if (childContainer) {
+      let total = 0;
+      const scores = { sum: 0, count: 0, max: null };
+      nodeInfo[nodeId].leafCount = 0;
+      getChildNodes(childContainer).forEach(child => {
+        const childId = addNode(child.label, child.code, child.children, nodeId, depth + 1);
+        nodeInfo[nodeId].leafCount += nodeInfo[childId].leafCount;
+        total += nodeValues[childId];
+        scores.sum += nodeScores[childId].sum;
+        scores.count += nodeScores[childId].count;
+        if (nodeScores[childId].max !== null && (scores.max === null || nodeScores[childId].max > scores.max)) {
+          scores.max = nodeScores[childId].max;
+        }
+      });
+      nodeValues[nodeId] = total;
+      nodeScores[nodeId] = scores;
+    } else {
+      // Leaf node (a bottleneck, or a question at deeper levels)
+      nodeInfo[nodeId].leafCount = 1;
+      nodeValues[nodeId] = getLeafValue({ id: nodeId, code, label });
+      const score = getLeafScore ? getLeafScore({ id: nodeId, code, label }) : null;
+      nodeScores[nodeId] = score === null ? { sum: 0, count: 0, max: null } : { sum: score, count: 1, max: score };
+    }
+    return nodeId;
+  };
+
+  // The tree has a single root key: "Role of Public Finance" (Depth 0)
+  const rootLabel = Object.keys(tree)[0];
+  addNode(rootLabel, null, tree[rootLabel], '', 0);
+
+  // After calculating all sums, update the 'values' array with the final calculated values
+  for (let i = 0; i < ids.length; i++) {
+    values[i] = nodeValues[ids[i]];
+    if (getLeafScore) {
+      const { sum, count, max } = nodeScores[ids[i]];
+      const score = count === 0 ? null : aggregate === 'max' ? max : sum / count;
+      nodeInfo[ids[i]].score = score;
+      // Replace the layer colors with score colors, and pick readable label colors for them; the root keeps its color
+      if (scoreToColor && nodeInfo[ids[i]].depth > 0) {
+        colors[i] = scoreToColor(score);
+        textColors[i] = getContrastTextColor(colors[i]);
+      }
+    }
+  }
+
+  return { ids, labels, parents, values, colors, nodeInfo, textColors };
+};
+
+/**
+ * Builds the breadcrumb trail from the root down to a node.
+ * @param {object} nodeInfo - Node details keyed by ID, as produced by buildSunburst.
+ * @param {string} nodeId - The ID of the last node in the trail.
+ * @param {string} rootLabel - The name shown for the root, e.g. the top level's name "PRM Roles".
+ * @returns {{id: string, label: string}[]} The crumbs, starting with the root.
+ */
+export const getBreadcrumbs = (nodeInfo, nodeId, rootLabel) => {
+  const breadcrumbs = [];
+  let currentNode = nodeInfo[nodeId];
+  let currentNodeId = nodeId;
+  while (currentNode.depth > 0) {
+    breadcrumbs.unshift({ id: currentNodeId, label: currentNode.label });
+    currentNodeId = currentNode.parentId;
+    currentNode = nodeInfo[currentNodeId];
+  }
+  breadcrumbs.unshift({ id: currentNodeId, label: rootLabel });
+  return breadcrumbs;
+};
+
+/**
+ * Lists a node and every node below it.
+ * @param {object} nodeInfo - Node details keyed by ID, as produced by buildSunburst.
+ * @param {string} nodeId - The ID of the node.
+ * @returns {string[]} The IDs, depth first starting with the node itself.
+ */
+export const getSubtreeIds = (nodeInfo, nodeId) => [
+  nodeId,
+  ...nodeInfo[nodeId].children.flatMap(childId => getSubtreeIds(nodeInfo, childId))
+];
+
+/**
+ * Works out the level a chart zooms to when a slice is clicked: the root returns to the top,
+ * a parent is zoomed into, or zoomed out of when it is already the level on screen, and a leaf
+ * leaves the level as it is (its evidence opens instead).
+ * @param {object} nodeInfo - Node details keyed by ID, as produced by buildSunburst.
+ * @param {string} currentId - The level on screen.
+ * @param {string} clickedId - The slice clicked.
+ * @returns {string} The ID of the level to show.
+ */
+export const nextLevel = (nodeInfo, currentId, clickedId) => {
+  const clicked = nodeInfo[clickedId];
+  if (!clicked || (clicked.depth > 0 && clicked.children.length === 0)) return currentId;
+  if (clicked.depth === 0) return clickedId;
+  return clickedId === currentId ? clicked.parentId : clickedId;
+};
+
+/**
+ * Works out where Plotly draws the slices of a sunburst zoomed to a level, for drawing over it:
+ * the level on screen is the disc in the middle (ring 0) and each ring around it is one level
+ * further down. Like Plotly, slices share their parent's angle in proportion to their values,
+ * starting at 3 o'clock and running counterclockwise; slices of no size are not drawn.
+ * @param {{ids: string[], values: number[], nodeInfo: object}} data - The chart data, as produced by buildSunburst.
+ * @param {string} levelId - The level on screen.
+ * @param {number} rings - The number of rings drawn around it, Infinity for all of them.
+ * @returns {{slices: Object<string, {x0: number, x1: number, ring: number}>, ringCount: number}} The start
+ *   and end angle (in radians) and the ring of each slice drawn, keyed by ID, and the number of rings
+ *   the radius is divided into, the disc included.
+ */
+export const layoutSunburstSlices = (data, levelId, rings) => {
+  const slices = {};
+  const level = data.nodeInfo[levelId];
+  if (!level) return { slices, ringCount: 1 };
+  const valueOf = nodeId => data.values[data.ids.indexOf(nodeId)] || 0;
+  const heightOf = nodeId => data.nodeInfo[nodeId].children.reduce((max, childId) => Math.max(max, heightOf(childId) + 1), 0);
+
+  const place = (nodeId, x0, x1, ring) => {
+    slices[nodeId] = { x0, x1, ring };
+    const value = valueOf(nodeId);
+    if (ring >= rings || value <= 0) return;
+    let start = x0;
+    data.nodeInfo[nodeId].children.forEach(childId => {
+      const span = (x1 - x0) * valueOf(childId) / value;
+      if (span > 0) place(childId, start, start + span, ring + 1);
+      start += span;
+    });
+  };
+  place(levelId, 0, 2 * Math.PI, 0);
+  return { slices, ringCount: Math.min(heightOf(levelId), rings) + 1 };
+};
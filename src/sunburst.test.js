@@ -0,0 +1,147 @@
+import { buildSunburst, getBreadcrumbs, getLayerPalette, getSubtreeIds, layoutSunburstSlices, nextLevel } from './sunburst';
+import { THEMES } from './theme';
+
+const tree = {
+  Root: {
+    'A. Role': {
+      '1. Challenge': [
+        { id: 'A.1.1', label: 'Payroll' },
+        { id: 'A.1.2', label: 'Budgets' }
+      ],
+      '2. Challenge': [
+        { id: 'A.2.1', label: 'Procurement' }
+      ]
+    },
+    'B. Role': ['Uncoded bottleneck', 'Uncoded bottleneck']
+  }
+};
+
+test('lists the nodes depth first with their parents, IDs from codes or label paths', () => {
+  const data = buildSunburst(tree);
+  expect(data.ids).toEqual([
+    'root',
+    'root/a-role',
+    'root/a-role/1-challenge',
+    'A.1.1',
+    'A.1.2',
+    'root/a-role/2-challenge',
+    'A.2.1',
+    'root/b-role',
+    'root/b-role/uncoded-bottleneck',
+    'root/b-role/uncoded-bottleneck~2' // Duplicate siblings still get distinct IDs
+  ]);
+  expect(data.parents.slice(0, 4)).toEqual(['', 'root', 'root/a-role', 'root/a-role/1-challenge']);
+  expect(data.nodeInfo['root/a-role']).toMatchObject({ depth: 1, parentId: 'root', leafCount: 3, code: null });
+  expect(data.nodeInfo['root/a-role'].children).toEqual(['root/a-role/1-challenge', 'root/a-role/2-challenge']);
+});
+
+test('sums the leaf values up to the root', () => {
+  const sizes = { 'A.1.1': 3, 'A.1.2': 0, 'A.2.1': 2 };
+  const data = buildSunburst(tree, { getLeafValue: ({ code }) => (code ? sizes[code] : 1) });
+  const valueOf = (id) => data.values[data.ids.indexOf(id)];
+  expect(valueOf('root/a-role/1-challenge')).toBe(3);
+  expect(valueOf('root/a-role')).toBe(5);
+  expect(valueOf('root/b-role')).toBe(2);
+  expect(valueOf('root')).toBe(7);
+});
+
+test('passes leaves their stable ID, so uncoded leaves can be joined to data too', () => {
+  const ratings = { 'A.1.1': 2, 'root/b-role/uncoded-bottleneck': 4 };
+  const data = buildSunburst(tree, { getLeafValue: ({ id }) => ratings[id] || 0 });
+  expect(data.values[data.ids.indexOf('root/b-role')]).toBe(4);
+  expect(data.values[data.ids.indexOf('root/a-role')]).toBe(2);
+});
+
+test('alternates colors within each layer, across parents, with a white root', () => {
+  const data = buildSunburst(tree);
+  const colorOf = (id) => data.colors[data.ids.indexOf(id)];
+  expect(colorOf('root')).toBe('#FFFFFF');
+  expect([colorOf('root/a-role'), colorOf('root/b-role')]).toEqual(['#FF848B', '#F84B64']);
+  expect([colorOf('root/a-role/1-challenge'), colorOf('root/a-role/2-challenge'), colorOf('root/b-role/uncoded-bottleneck')])
+    .toEqual(['#C9E7F8', '#4D9FD3', '#C9E7F8']);
+  // The third layer continues counting after the second challenge's leaf
+  expect([colorOf('A.1.1'), colorOf('A.1.2'), colorOf('A.2.1')]).toEqual(['#C742B3', '#D1BACE', '#C742B3']);
+  expect(data.textColors.slice(0, 3)).toEqual(['black', '#FFFFFF', 'black']);
+});
+
+test('takes the slice colors from the theme', () => {
+  const theme = THEMES['high-contrast'];
+  const data = buildSunburst(tree, { theme });
+  expect(data.colors.slice(0, 3)).toEqual(['#FFFFFF', '#002B5C', '#FFD400']);
+  expect(data.textColors.slice(0, 3)).toEqual(['black', '#FFFFFF', '#000000']);
+  expect(getLayerPalette(theme, 5)).toBe(theme.chartLayers[0]); // Deeper layers cycle through the palettes again
+});
+
+test('scores parents by the mean or max of their scored leaves and colors them by score', () => {
+  const severities = { 'A.1.1': 4, 'A.1.2': 2 };
+  const options = {
+    getLeafScore: ({ code }) => (code && severities[code] ? severities[code] : null),
+    scoreToColor: (score) => (score === null ? '#EEEEEE' : score >= 3 ? '#000000' : '#FFFFFF')
+  };
+  const mean = buildSunburst(tree, options);
+  expect(mean.nodeInfo['root/a-role'].score).toBe(3);
+  expect(mean.nodeInfo['root/b-role'].score).toBeNull();
+  expect(mean.colors[mean.ids.indexOf('root/a-role')]).toBe('#000000');
+  expect(mean.textColors[mean.ids.indexOf('root/a-role')]).toBe('#FFFFFF'); // Readable on the score color
+  expect(mean.colors[0]).toBe('#FFFFFF'); // The root keeps its white
+  expect(buildSunburst(tree, { ...options, aggregate: 'max' }).nodeInfo['root/a-role'].score).toBe(4);
+});
+
+test('scores the nodes but keeps the layer colors without a score color scale', () => {
+  const scored = buildSunburst(tree, { getLeafScore: ({ code }) => (code === 'A.1.1' ? 2 : null) });
+  expect(scored.nodeInfo['A.1.1'].score).toBe(2);
+  expect(scored.colors).toEqual(buildSunburst(tree).colors);
+});
+
+test('shows translated labels, wrapped to the width asked for, while IDs keep the taxonomy wording', () => {
+  const data = buildSunburst(tree, { translateLabel: (nodeId, label) => (nodeId === 'A.1.1' ? 'Masse salariale des enseignants du secondaire' : label) });
+  expect(data.nodeInfo['A.1.1'].label).toBe('Masse salariale des enseignants du secondaire');
+  expect(data.labels[data.ids.indexOf('A.1.1')]).toBe('Masse salariale des<br>enseignants du secondaire');
+  const narrow = buildSunburst(tree, { wrapWidth: 10 });
+  expect(narrow.labels[narrow.ids.indexOf('A.1.2')]).toBe('Budgets');
+  expect(narrow.labels[narrow.ids.indexOf('root/b-role/uncoded-bottleneck')]).toBe('Uncoded<br>bottleneck');
+});
+
+test('builds the breadcrumb trail from the root', () => {
+  const { nodeInfo } = buildSunburst(tree);
+  expect(getBreadcrumbs(nodeInfo, 'A.1.2', 'Roles')).toEqual([
+    { id: 'root', label: 'Roles' },
+    { id: 'root/a-role', label: 'A. Role' },
+    { id: 'root/a-role/1-challenge', label: '1. Challenge' },
+    { id: 'A.1.2', label: 'Budgets' }
+  ]);
+  expect(getBreadcrumbs(nodeInfo, 'root', 'Roles')).toEqual([{ id: 'root', label: 'Roles' }]);
+});
+
+test('lists a node and everything below it', () => {
+  const { nodeInfo } = buildSunburst(tree);
+  expect(getSubtreeIds(nodeInfo, 'root/a-role/1-challenge')).toEqual(['root/a-role/1-challenge', 'A.1.1', 'A.1.2']);
+  expect(getSubtreeIds(nodeInfo, 'A.2.1')).toEqual(['A.2.1']);
+});
+
+test('zooms into a clicked parent, out of the current level, and back to the top from the root', () => {
+  const { nodeInfo } = buildSunburst(tree);
+  expect(nextLevel(nodeInfo, 'root', 'root/a-role')).toBe('root/a-role');
+  expect(nextLevel(nodeInfo, 'root/a-role', 'root/a-role/1-challenge')).toBe('root/a-role/1-challenge');
+  expect(nextLevel(nodeInfo, 'root/a-role/1-challenge', 'root/a-role/1-challenge')).toBe('root/a-role');
+  expect(nextLevel(nodeInfo, 'root/a-role', 'root/a-role')).toBe('root');
+  expect(nextLevel(nodeInfo, 'root/a-role/1-challenge', 'root')).toBe('root');
+  expect(nextLevel(nodeInfo, 'root/a-role/1-challenge', 'A.1.1')).toBe('root/a-role/1-challenge'); // Leaves open their evidence instead
+  expect(nextLevel(nodeInfo, 'root/a-role', 'missing')).toBe('root/a-role');
+});
+
+test('lays the slices out as Plotly draws them around the level on screen', () => {
+  const data = buildSunburst(tree);
+  const top = layoutSunburstSlices(data, 'root', 1);
+  expect(Object.keys(top.slices)).toEqual(['root', 'root/a-role', 'root/b-role']);
+  expect(top.slices['root/a-role']).toEqual({ x0: 0, x1: 2 * Math.PI * 3 / 5, ring: 1 });
+  expect(top.slices['root/b-role'].x1).toBeCloseTo(2 * Math.PI);
+  expect(top.ringCount).toBe(2);
+
+  const sizes = { 'A.1.1': 1, 'A.1.2': 0, 'A.2.1': 1 };
+  const zoomed = layoutSunburstSlices(buildSunburst(tree, { getLeafValue: ({ code }) => sizes[code] }), 'root/a-role', Infinity);
+  expect(zoomed.slices['A.1.1']).toEqual({ x0: 0, x1: Math.PI, ring: 2 });
+  expect(zoomed.slices['A.1.2']).toBeUndefined(); // Not drawn, having no size
+  expect(zoomed.slices['root/b-role']).toBeUndefined(); // Outside the level on screen
+  expect(zoomed.ringCount).toBe(3);
+});
@@ -0,0 +1,159 @@
+import { getChildNodes } from './taxonomy';
+
+/**
+ * Returns the display name of a tag category, e.g. "level" -> "Government level" when the
+ * taxonomy names it, otherwise the category key with a capital letter.
+ * @param {Object<string, string>} tagCategories - Display names from the taxonomy file.
+ * @param {string} category - The category key.
+ * @returns {string} The display name.
+ */
+export const getTagCategoryLabel = (tagCategories, category) => (
+  (tagCategories && tagCategories[category]) || category.charAt(0).toUpperCase() + category.slice(1)
+);
+
+/**
+ * Returns the display name of a tag value in the current language, or the value itself.
+ * @param {Object<string, Object<string, string>>} tagValues - Display names by category and value.
+ * @param {string} category - The category key.
+ * @param {string} value - The value as written in the taxonomy.
+ * @returns {string} The display name.
+ */
+export const getTagValueLabel = (tagValues, category, value) => (
+  (tagValues && tagValues[category] && tagValues[category][value]) || value
+);
+
+/**
+ * Merges the tags a node inherits from its parents with its own, so that tagging a role or a
+ * challenge tags every bottleneck below it.
+ * @param {Object<string, string[]>} inherited - The tags of the node's parents, merged.
+ * @param {Object<string, string[]>} tags - The node's own tags.
+ * @returns {Object<string, string[]>} The tags that apply to the node.
+ */
+const inheritTags = (inherited, tags) => {
+  const merged = { ...inherited };
+  Object.keys(tags).forEach(category => {
+    merged[category] = [...new Set([...(merged[category] || []), ...tags[category]])];
+  });
+  return merged;
+};
+
+/**
+ * Lists the tag categories that apply to the leaves of a tree, with those of their parents, and
+ * the values found in each.
+ * @param {object} tree - The taxonomy tree.
+ * @returns {{category: string, values: string[]}[]} Categories in order of first use, values sorted.
+ */
+export const collectTagOptions = (tree) => {
+  const valuesByCategory = new Map();
+  const visit = (container, inherited) => {
+    getChildNodes(container).forEach(node => {
+      const tags = inheritTags(inherited, node.tags);
+      if (node.children) {
+        visit(node.children, tags);
+        return;
+      }
+      Object.keys(tags).forEach(category => {
+        if (!valuesByCategory.has(category)) valuesByCategory.set(category, new Set());
+        tags[category].forEach(value => valuesByCategory.get(category).add(value));
+      });
+    });
+  };
+  visit(tree, {});
+  return [...valuesByCategory].map(([category, values]) => ({ category, values: [...values].sort() }));
+};
+
+/**
+ * Whether any filter is set.
+ * @param {Object<string, string[]>} filters - Selected values by category.
+ * @returns {boolean}
+ */
+export const hasTagFilters = (filters) => Object.keys(filters).some(category => filters[category].length > 0);
+
+/**
+ * Whether a leaf passes the filters: it must carry one of the selected values in every category
+ * that has a selection.
+ * @param {Object<string, string[]>} tags - The leaf's tags.
+ * @param {Object<string, string[]>} filters - Selected values by category.
+ * @returns {boolean}
+ */
+export const matchesTagFilters = (tags, filters) => Object.keys(filters).every(category => (
+  filters[category].length === 0 || filters[category].some(value => (tags[category] || []).includes(value))
+));
+
+/**
+ * Prunes a tree to the leaves that pass the filters, with the tags of their parents, dropping
+ * parents left without children. Labels, IDs and tags are kept, so node IDs are the same as in the
+ * full tree.
+ * @param {object} tree - The taxonomy tree, with a single root.
+ * @param {Object<string, string[]>} filters - Selected values by category.
+ * @returns {object} The pruned tree; its root keeps an empty list when nothing passes.
+ */
+export const filterTree = (tree, filters) => {
+  const prune = (container, inherited) => {
+    const kept = [];
+    getChildNodes(container).forEach(node => {
+      const tags = inheritTags(inherited, node.tags);
+      if (!node.children) {
+        if (matchesTagFilters(tags, filters)) {
+          kept.push({ id: node.code || undefined, label: node.label, tags: node.tags });
+        }
+        return;
+      }
+      const children = prune(node.children, tags);
+      if (children.length > 0) {
+        kept.push({ id: node.code || undefined, label: node.label, tags: node.tags, children });
+      }
+    });
+    return kept;
+  };
+  const rootLabel = Object.keys(tree)[0];
+  return { [rootLabel]: prune(tree[rootLabel], {}) };
+};
+
+/**
+ * Returns a copy of the filters with a value selected, or deselected if it already was.
+ * @param {Object<string, string[]>} filters - Selected values by category.
+ * @param {string} category - The category of the value.
+ * @param {string} value - The value to toggle.
+ * @returns {Object<string, string[]>} The updated filters; categories left empty are removed.
+ */
+export const toggleTagFilter = (filters, category, value) => {
+  const selected = filters[category] || [];
+  const next = { ...filters, [category]: selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value] };
+  if (next[category].length === 0) delete next[category];
+  return next;
+};
+
+// Escapes the characters that separate the parts of the URL form, and "%" itself, as in a URI
+const encodeTagText = (text) => text.replace(/[%,;:]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Writes the filters in the compact form kept in the URL, e.g. "sector:Health,Education;level:Central".
+ * Separators in categories and values are escaped, e.g. "Water, sanitation" as "Water%2C sanitation".
+ * @param {Object<string, string[]>} filters - Selected values by category.
+ * @returns {string} The text; empty when no filter is set.
+ */
+export const formatTagFilters = (filters) => Object.keys(filters)
+  .filter(category => filters[category].length > 0)
+  .map(category => `${encodeTagText(category)}:${filters[category].map(encodeTagText).join(',')}`)
+  .join(';');
+
+/**
+ * Reads filters written by formatTagFilters, ignoring malformed parts.
+ * @param {string|undefined} text - The text from the URL.
+ * @returns {Object<string, string[]>} Selected values by category.
+ */
+export const parseTagFilters = (text) => {
+  const filters = {};
+  (text || '').split(';').forEach(part => {
+    const separator = part.indexOf(':');
+    if (separator <= 0) return;
+    try {
+      const values = part.slice(separator + 1).split(',').filter(Boolean).map(decodeURIComponent);
+      if (values.length > 0) filters[decodeURIComponent(part.slice(0, separator))] = values;
+    } catch (error) {
+      // A stray "%" in a hand-edited link; the part is dropped
+    }
+  });
+  return filters;
+};
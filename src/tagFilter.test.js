@@ -0,0 +1,97 @@
+import { collectTagOptions, filterTree, formatTagFilters, getTagCategoryLabel, matchesTagFilters, parseTagFilters, toggleTagFilter } from './tagFilter';
+
+const tree = {
+  Root: {
+    'A. Role': {
+      '1. Challenge': [
+        { id: 'A.1.1', label: 'Health payroll', tags: { sector: 'Health', level: ['Subnational'] } },
+        { id: 'A.1.2', label: 'Education budgets', tags: { sector: ['Education'], level: ['Central', 'Subnational'] } }
+      ]
+    },
+    'B. Role': ['Untagged bottleneck']
+  }
+};
+
+test('collects the tag values used in each category', () => {
+  expect(collectTagOptions(tree)).toEqual([
+    { category: 'sector', values: ['Education', 'Health'] },
+    { category: 'level', values: ['Central', 'Subnational'] }
+  ]);
+});
+
+test('applies the tags of parents to the bottlenecks below them', () => {
+  const taggedTree = {
+    Root: [
+      {
+        label: 'A. Role',
+        tags: { sector: 'Health' },
+        children: [{ id: 'A.1', label: 'Payroll', tags: { sector: 'Education', level: 'Central' } }, 'Drug supply']
+      },
+      { label: 'B. Role', children: ['Untagged bottleneck'] }
+    ]
+  };
+  expect(collectTagOptions(taggedTree)).toEqual([
+    { category: 'sector', values: ['Education', 'Health'] },
+    { category: 'level', values: ['Central'] }
+  ]);
+  expect(filterTree(taggedTree, { sector: ['Health'] })).toEqual({
+    Root: [{
+      id: undefined,
+      label: 'A. Role',
+      tags: { sector: ['Health'] },
+      children: [
+        { id: 'A.1', label: 'Payroll', tags: { sector: ['Education'], level: ['Central'] } },
+        { id: undefined, label: 'Drug supply', tags: {} }
+      ]
+    }]
+  });
+});
+
+test('requires a selected value in every filtered category', () => {
+  const tags = { sector: ['Health'], level: ['Subnational'] };
+  expect(matchesTagFilters(tags, { sector: ['Health', 'Education'] })).toBe(true);
+  expect(matchesTagFilters(tags, { sector: ['Health'], level: ['Central'] })).toBe(false);
+  expect(matchesTagFilters({}, {})).toBe(true);
+});
+
+test('prunes unmatched leaves and the parents left empty', () => {
+  expect(filterTree(tree, { sector: ['Health'] })).toEqual({
+    Root: [{
+      id: undefined,
+      label: 'A. Role',
+      tags: {},
+      children: [{
+        id: undefined,
+        label: '1. Challenge',
+        tags: {},
+        children: [{ id: 'A.1.1', label: 'Health payroll', tags: { sector: ['Health'], level: ['Subnational'] } }]
+      }]
+    }]
+  });
+  expect(filterTree(tree, { sector: ['Agriculture'] })).toEqual({ Root: [] });
+});
+
+test('toggles values and drops categories left empty', () => {
+  const filters = toggleTagFilter({}, 'sector', 'Health');
+  expect(filters).toEqual({ sector: ['Health'] });
+  expect(toggleTagFilter(filters, 'sector', 'Health')).toEqual({});
+});
+
+test('round-trips filters through their URL form', () => {
+  const filters = { sector: ['Health', 'Education'], level: ['Central'] };
+  expect(formatTagFilters(filters)).toBe('sector:Health,Education;level:Central');
+  expect(parseTagFilters('sector:Health,Education;level:Central;broken')).toEqual(filters);
+  expect(parseTagFilters(undefined)).toEqual({});
+});
+
+test('escapes separators in categories and values', () => {
+  const filters = { 'sector:main': ['Water, sanitation; hygiene', '100%'] };
+  expect(formatTagFilters(filters)).toBe('sector%3Amain:Water%2C sanitation%3B hygiene,100%25');
+  expect(parseTagFilters(formatTagFilters(filters))).toEqual(filters);
+  expect(parseTagFilters('sector:50%;level:Central')).toEqual({ level: ['Central'] });
+});
+
+test('names categories from the taxonomy or their key', () => {
+  expect(getTagCategoryLabel({ level: 'Government level' }, 'level')).toBe('Government level');
+  expect(getTagCategoryLabel(undefined, 'sector')).toBe('Sector');
+});
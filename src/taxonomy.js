@@ -0,0 +1,231 @@
+import { DataFileError, fetchDataFile, resolveDataUrl } from './dataFile';
+
+// Default location of the taxonomy file, relative to the deployed app
+export const DEFAULT_TAXONOMY_URL = `${process.env.PUBLIC_URL}/data/taxonomy.json`;
+
+// Default names of the hierarchy levels by depth, used in breadcrumbs and messages.
+// Depth 0 names the whole framework; a taxonomy file can override these with "levels".
+export const DEFAULT_LEVEL_LABELS = ['PRM Roles', 'Role', 'Challenge', 'Bottleneck', 'Question'];
+
+/**
+ * Returns the name of a hierarchy level, falling back to a generic name past the configured depths.
+ * @param {string[]} levelLabels - Level names by depth.
+ * @param {number} depth - The depth of the level.
+ * @returns {string} The level name.
+ */
+export const getLevelLabel = (levelLabels, depth) => levelLabels[depth] || `Level ${depth}`;
+
+/**
+ * Normalizes the tags of a node so that every category holds a list, e.g.
+ * { sector: "Health" } -> { sector: ["Health"] }.
+ * @param {Object<string, string|string[]>|undefined} tags - The tags as written in the file.
+ * @returns {Object<string, string[]>} The tags by category; empty when the node has none.
+ */
+export const normalizeTags = (tags) => {
+  const normalized = {};
+  Object.keys(tags || {}).forEach(category => {
+    normalized[category] = Array.isArray(tags[category]) ? tags[category] : [tags[category]];
+  });
+  return normalized;
+};
+
+/**
+ * Lists the child nodes held in a tree value. Children are either an object keyed by label,
+ * whose values hold the grandchildren, or a list whose items are bare label strings (leaves)
+ * or node objects ({ id?, label, tags?, children? }).
+ * @param {object|Array} container - The value holding the children.
+ * @returns {{label: string, code: string|null, tags: Object<string, string[]>, children: object|Array|null}[]}
+ *   The children in file order; `children` is null for leaves.
+ */
+export const getChildNodes = (container) => {
+  if (Array.isArray(container)) {
+    return container.map(item => (typeof item === 'string'
+      ? { label: item, code: null, tags: {}, children: null }
+      : { label: item.label, code: item.id || null, tags: normalizeTags(item.tags), children: item.children || null }));
+  }
+  return Object.keys(container).map(label => ({ label, code: null, tags: {}, children: container[label] }));
+};
+
+/**
+ * Turns a label into a URL-friendly slug, e.g. "A. Commitment to Feasible Policy" -> "a-commitment-to-feasible-policy".
+ * @param {string} label - The node label.
+ * @returns {string} The slug.
+ */
+export const slugify = (label) => label
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Drop accents left over by the normalization
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-') // Keep letters of any script, so non-Latin labels still get IDs
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Builds the stable ID of a node. Nodes with an explicit code in the data (e.g. "D.7.3") use it
+ * as their ID; other nodes get the path of slugs from the root, e.g.
+ * "role-of-public-finance/b-fiscal-sustainability". Neither depends on the order of siblings.
+ * @param {string} label - The node label.
+ * @param {string|null} code - The node's explicit ID, if any.
+ * @param {string} parentId - The ID of the parent node ('' for the root).
+ * @returns {string} The node ID.
+ */
+export const buildNodeId = (label, code, parentId) => {
+  if (code) return code;
+  return parentId ? `${parentId}/${slugify(label)}` : slugify(label);
+};
+
+/**
+ * Works out which taxonomy file to load. A `?data=` URL parameter takes precedence
+ * over the file bundled in public/data.
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the taxonomy file.
+ */
+export const resolveTaxonomyUrl = (search = window.location.search) => {
+  return resolveDataUrl('data', DEFAULT_TAXONOMY_URL, search);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'object') return 'an object';
+  return `a ${typeof value}`;
+};
+
+/**
+ * Validates a parsed taxonomy document. The tree has a single root and may be nested to any
+ * depth, mixing objects keyed by label, lists of labels and lists of node objects.
+ * @param {object} document - The parsed taxonomy file ({ version, title, levels, tree }).
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateTaxonomy = (document) => {
+  const errors = [];
+
+  if (!isPlainObject(document)) {
+    return [`Taxonomy file must contain an object, found ${describeType(document)}`];
+  }
+  if (typeof document.version !== 'string' || document.version.trim() === '') {
+    errors.push('Taxonomy file is missing a "version" string');
+  }
+  if (document.levels !== undefined && (!Array.isArray(document.levels) || document.levels.some(level => typeof level !== 'string'))) {
+    errors.push('"levels" must be a list of level names');
+  }
+  if (document.tagCategories !== undefined && (!isPlainObject(document.tagCategories) || Object.values(document.tagCategories).some(name => typeof name !== 'string'))) {
+    errors.push('"tagCategories" must be an object mapping tag categories to display names');
+  }
+  if (!isPlainObject(document.tree)) {
+    errors.push(`"tree" must be an object, found ${describeType(document.tree)}`);
+    return errors;
+  }
+  if (Object.keys(document.tree).length !== 1) {
+    errors.push(`"tree" must have exactly one root node, found ${Object.keys(document.tree).length}`);
+  }
+
+  // Node IDs are derived from the path of labels, so siblings must have distinct labels
+  const seenSiblingLabels = new Map(); // Parent path -> Set of child label slugs
+  // Explicit IDs join the taxonomy to evidence and other datasets, so they must be unique too
+  const seenCodes = new Map();
+
+  const checkLabel = (label, path) => {
+    if (typeof label !== 'string' || label.trim() === '') {
+      errors.push(`${path.join(' > ') || 'tree'}: labels must be non-empty strings`);
+      return;
+    }
+    if (slugify(label) === '') {
+      errors.push(`${[...path, label].join(' > ')}: labels must contain at least one letter or digit`);
+      return;
+    }
+    const parentPath = path.join(' > ');
+    if (!seenSiblingLabels.has(parentPath)) {
+      seenSiblingLabels.set(parentPath, new Set());
+    }
+    const siblings = seenSiblingLabels.get(parentPath);
+    if (siblings.has(slugify(label))) {
+      errors.push(`Duplicate label "${label}" under ${parentPath || 'tree'}`);
+    } else {
+      siblings.add(slugify(label));
+    }
+  };
+
+  // Tags are an object of categories, each holding one value or a list of values
+  const checkTags = (tags, location) => {
+    if (!isPlainObject(tags)) {
+      errors.push(`${location}: "tags" must be an object such as { "sector": ["Health"] }, found ${describeType(tags)}`);
+      return;
+    }
+    Object.keys(tags).forEach(category => {
+      const values = Array.isArray(tags[category]) ? tags[category] : [tags[category]];
+      if (values.length === 0 || values.some(value => typeof value !== 'string' || value.trim() === '')) {
+        errors.push(`${location}: tag "${category}" must be a non-empty string or a list of them`);
+      }
+    });
+  };
+
+  const checkChildren = (container, path) => {
+    const location = path.join(' > ');
+
+    if (isPlainObject(container)) {
+      const labels = Object.keys(container);
+      if (labels.length === 0) {
+        errors.push(`${location}: has no child nodes`);
+      }
+      labels.forEach(label => {
+        checkLabel(label, path);
+        checkChildren(container[label], [...path, label]);
+      });
+    } else if (Array.isArray(container)) {
+      if (container.length === 0) {
+        errors.push(`${location}: has no child nodes`);
+      }
+      container.forEach((item, index) => {
+        const itemLocation = `${location} [${index + 1}]`;
+        if (typeof item === 'string') {
+          checkLabel(item, path);
+        } else if (isPlainObject(item)) {
+          if (item.id !== undefined) {
+            if (typeof item.id !== 'string' || item.id.trim() === '') {
+              errors.push(`${itemLocation}: "id" must be a non-empty string`);
+            } else if (seenCodes.has(item.id)) {
+              errors.push(`Duplicate id "${item.id}" at ${itemLocation} (already used at ${seenCodes.get(item.id)})`);
+            } else {
+              seenCodes.set(item.id, itemLocation);
+            }
+          }
+          checkLabel(item.label, path);
+          if (item.tags !== undefined) {
+            checkTags(item.tags, itemLocation);
+          }
+          if (item.children !== undefined && typeof item.label === 'string') {
+            checkChildren(item.children, [...path, item.label]);
+          }
+        } else {
+          errors.push(`${itemLocation}: expected a label or a { label, id, children } object, found ${describeType(item)}`);
+        }
+      });
+    } else {
+      errors.push(`${location}: expected an object or a list of child nodes, found ${describeType(container)}`);
+    }
+  };
+
+  Object.keys(document.tree).forEach(rootLabel => {
+    checkLabel(rootLabel, []);
+    checkChildren(document.tree[rootLabel], [rootLabel]);
+  });
+
+  return errors;
+};
+
+/**
+ * Fetches, parses and validates a taxonomy file.
+ * @param {string} url - The URL of the taxonomy file.
+ * @returns {Promise<{version: string, title?: string, levels?: string[], tagCategories?: Object<string, string>, tree: object}>}
+ *   The validated document.
+ * @throws {DataFileError} When the file cannot be fetched, parsed or fails validation.
+ */
+export const loadTaxonomy = async (url) => {
+  const document = await fetchDataFile(url);
+  const errors = validateTaxonomy(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Taxonomy file ${url} is invalid`, errors);
+  }
+  return document;
+};
@@ -0,0 +1,104 @@
+import { buildNodeId, getChildNodes, resolveTaxonomyUrl, slugify, validateTaxonomy } from './taxonomy';
+
+const validDocument = () => ({
+  version: '1.0.0',
+  tree: {
+    'Root': {
+      'A. Role': {
+        '1. Challenge': ['First bottleneck', 'Second bottleneck']
+      }
+    }
+  }
+});
+
+test('accepts a well-formed taxonomy', () => {
+  expect(validateTaxonomy(validDocument())).toEqual([]);
+});
+
+test('reports a missing version, empty nodes and wrong nesting with the node path', () => {
+  const document = validDocument();
+  delete document.version;
+  document.tree['Root']['A. Role']['1. Challenge'] = { 'Empty': [], 'Not nested': 3 };
+
+  const errors = validateTaxonomy(document);
+  expect(errors).toEqual([
+    'Taxonomy file is missing a "version" string',
+    'Root > A. Role > 1. Challenge > Empty: has no child nodes',
+    'Root > A. Role > 1. Challenge > Not nested: expected an object or a list of child nodes, found a number'
+  ]);
+});
+
+test('accepts branches of different depths', () => {
+  const document = validDocument();
+  document.tree['Root']['B. Shallow role'] = ['Bottleneck directly under a role'];
+  document.tree['Root']['A. Role']['1. Challenge'].push({
+    id: 'A.1.3',
+    label: 'Bottleneck with questions',
+    children: ['Is the strategy costed?', { id: 'A.1.3.b', label: 'Is it funded?' }]
+  });
+  expect(validateTaxonomy(document)).toEqual([]);
+});
+
+test('reports duplicate sibling labels and malformed leaves', () => {
+  const document = validDocument();
+  document.tree['Root']['A. Role']['1. Challenge'] = ['First bottleneck', 'First Bottleneck!', 42];
+  // The same text under a different challenge is allowed
+  document.tree['Root']['A. Role']['2. Challenge'] = ['First bottleneck'];
+
+  const errors = validateTaxonomy(document);
+  expect(errors).toEqual([
+    'Duplicate label "First Bottleneck!" under Root > A. Role > 1. Challenge',
+    'Root > A. Role > 1. Challenge [3]: expected a label or a { label, id, children } object, found a number'
+  ]);
+});
+
+test('rejects duplicate or empty IDs on node objects', () => {
+  const document = validDocument();
+  document.tree['Root']['A. Role']['1. Challenge'] = [
+    { id: 'A.1.1', label: 'First bottleneck' },
+    { id: 'A.1.1', label: 'Second bottleneck' },
+    { id: '', label: 'Third bottleneck' }
+  ];
+
+  const errors = validateTaxonomy(document);
+  expect(errors).toEqual([
+    'Duplicate id "A.1.1" at Root > A. Role > 1. Challenge [2] (already used at Root > A. Role > 1. Challenge [1])',
+    'Root > A. Role > 1. Challenge [3]: "id" must be a non-empty string'
+  ]);
+});
+
+test('lists child nodes of keyed objects and of lists alike', () => {
+  expect(getChildNodes({ 'A. Role': ['Leaf'] })).toEqual([{ label: 'A. Role', code: null, tags: {}, children: ['Leaf'] }]);
+  expect(getChildNodes(['Leaf', { id: 'A.1.1', label: 'Coded leaf', tags: { sector: 'Health', level: ['Central', 'Subnational'] } }])).toEqual([
+    { label: 'Leaf', code: null, tags: {}, children: null },
+    { label: 'Coded leaf', code: 'A.1.1', tags: { sector: ['Health'], level: ['Central', 'Subnational'] }, children: null }
+  ]);
+});
+
+test('rejects malformed tags and tag category names', () => {
+  const document = validDocument();
+  document.tagCategories = { sector: 3 };
+  document.tree['Root']['A. Role']['1. Challenge'] = [
+    { label: 'First bottleneck', tags: ['Health'] },
+    { label: 'Second bottleneck', tags: { sector: [], level: 'Central' } }
+  ];
+
+  expect(validateTaxonomy(document)).toEqual([
+    '"tagCategories" must be an object mapping tag categories to display names',
+    'Root > A. Role > 1. Challenge [1]: "tags" must be an object such as { "sector": ["Health"] }, found a list',
+    'Root > A. Role > 1. Challenge [2]: tag "sector" must be a non-empty string or a list of them'
+  ]);
+});
+
+test('prefers the ?data= parameter over the bundled file', () => {
+  expect(resolveTaxonomyUrl('?data=https://example.org/t.yaml')).toBe('https://example.org/t.yaml');
+  expect(resolveTaxonomyUrl('')).toMatch(/\/data\/taxonomy\.json$/);
+});
+
+test('builds node IDs from explicit codes or the label path', () => {
+  expect(slugify('6.Unreliable, delayed & fragmented funding')).toBe('6-unreliable-delayed-fragmented-funding');
+  expect(slugify('Rôle des finances publiques')).toBe('role-des-finances-publiques');
+  expect(buildNodeId('Role of Public Finance', null, '')).toBe('role-of-public-finance');
+  expect(buildNodeId('B. Fiscal sustainability', null, 'role-of-public-finance')).toBe('role-of-public-finance/b-fiscal-sustainability');
+  expect(buildNodeId('Data systems are fragmented', 'D.9.2', 'role-of-public-finance/d')).toBe('D.9.2');
+});
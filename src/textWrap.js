@@ -0,0 +1,46 @@
+// The parts of a word too long for a line, each ending with the character after which it may be
+// broken, e.g. "socio-" and "économiques". Matched rather than split on a lookbehind, which older
+// Safari versions cannot even parse.
+const WORD_PART_PATTERN = /[^-/]+[-/]?|[-/]/g;
+
+// Number of characters in a string, counting characters outside the Basic Multilingual Plane once
+const charCount = (text) => [...text].length;
+
+/**
+ * Wraps text for a chart label by inserting <br> tags, breaking at spaces so words stay whole.
+ * Words longer than a line are broken after their hyphens or slashes where they have any.
+ * Non-breaking spaces (as French puts before ":" or inside « ») are kept together. Text that
+ * needs more than `maxLines` lines is cut short with an ellipsis.
+ * @param {string} text - The input text to wrap.
+ * @param {number} maxLength - The maximum length of a line before wrapping.
+ * @param {number} [maxLines] - The maximum number of lines.
+ * @returns {string} The wrapped text with <br> tags.
+ */
+export const wrapText = (text, maxLength, maxLines = Infinity) => {
+  // Words, with the text that joins each to the one before it on a line
+  const pieces = [];
+  text.split(/[ \t\r\n]+/).filter(Boolean).forEach(word => {
+    const parts = charCount(word) > maxLength ? word.match(WORD_PART_PATTERN) : [word];
+    parts.forEach((part, idx) => pieces.push({ text: part, joiner: idx === 0 ? ' ' : '' }));
+  });
+
+  const lines = [];
+  let currentLine = '';
+  pieces.forEach(piece => {
+    if (currentLine && charCount(currentLine + piece.joiner + piece.text) > maxLength) {
+      lines.push(currentLine);
+      currentLine = piece.text;
+    } else {
+      currentLine = currentLine ? currentLine + piece.joiner + piece.text : piece.text;
+    }
+  });
+  if (currentLine) lines.push(currentLine);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    const lastLine = [...kept[maxLines - 1]];
+    kept[maxLines - 1] = (lastLine.length >= maxLength ? lastLine.slice(0, maxLength - 1).join('') : kept[maxLines - 1]).trimEnd() + '…';
+    return kept.join('<br>');
+  }
+  return lines.join('<br>');
+};
@@ -0,0 +1,23 @@
+import { wrapText } from './textWrap';
+
+test('leaves short text alone and breaks longer text at spaces', () => {
+  expect(wrapText('B. Fiscal sustainability', 25)).toBe('B. Fiscal sustainability');
+  expect(wrapText('Data systems are fragmented and do not interoperate', 25))
+    .toBe('Data systems are<br>fragmented and do not<br>interoperate');
+});
+
+test('collapses repeated spaces and keeps non-breaking spaces together', () => {
+  expect(wrapText('Politique  budgétaire\u00a0: cadrage', 20)).toBe('Politique<br>budgétaire\u00a0: cadrage');
+});
+
+test('breaks words longer than a line after their hyphens', () => {
+  expect(wrapText('Dépenses socio-économiques-intergouvernementales', 20))
+    .toBe('Dépenses socio-<br>économiques-<br>intergouvernementales');
+  expect(wrapText('/revenue/expenditure--arrears', 12)).toBe('/revenue/<br>expenditure-<br>-arrears');
+});
+
+test('cuts text needing more lines than allowed short with an ellipsis', () => {
+  expect(wrapText('Gestion inefficace des ressources aux niveaux national et infranational', 20, 2))
+    .toBe('Gestion inefficace<br>des ressources aux…');
+  expect(wrapText('Gestion inefficace des ressources', 20, 2)).toBe('Gestion inefficace<br>des ressources');
+});
@@ -0,0 +1,185 @@
+// Colors of the page the app is drawn on, of everything drawn directly on it (the title bar, the
+// controls and the toggles of their drop-downs, the filter chips and the breadcrumb bar) and of
+// the slices of the charts. Cards, menus and dialogs keep their own light surfaces in every theme,
+// so the charts are always drawn on white; the `card` colors are for the text drawn on them.
+//
+// Each chart layer alternates between two `colors`, labelled in `textColor`; deeper layers cycle
+// through the layers again. The layer's `accent` tints its crumb in the breadcrumb bar.
+
+// The palette the app was designed with
+const LIGHT_LAYERS = [
+  { colors: ['#FF848B', '#F84B64'], textColor: '#FFFFFF', accent: '#F84B64' }, // 1st layer
+  { colors: ['#C9E7F8', '#4D9FD3'], textColor: 'black', accent: '#4D9FD3' }, // 2nd layer
+  { colors: ['#C742B3', '#D1BACE'], textColor: 'black', accent: '#C742B3' }, // 3rd layer
+  { colors: ['#FCE7A8', '#F2C14E'], textColor: 'black', accent: '#F2C14E' } // 4th layer
+];
+
+const LIGHT = {
+  pageBackground: '#f3f4f6', // Equivalent to bg-gray-100
+  text: '#4b5563', // Labels of the controls and the help text
+  strongText: '#374151', // Legend
+  mutedText: '#6b7280', // Notes such as the count of hidden bottlenecks
+  errorText: '#991b1b',
+  fieldBackground: '#ffffff', // Drop-downs and text fields on the page
+  fieldText: '#1f2937',
+  fieldBorder: '#d1d5db',
+  toolbarBackground: '#EFF6FF', // Edit-mode toolbar
+  titleBackground: '#ffffff', // Title bar
+  titleText: '#1f2937',
+  buttonBackground: '#ffffff', // Buttons and drop-down toggles on the page
+  buttonText: '#374151',
+  buttonBorder: '#d1d5db',
+  linkText: '#4D9FD3', // Text-only buttons on the page, such as "Clear all"
+  chipBackground: '#EFF6FF', // Active filters
+  chipBorder: '#BFDBFE',
+  chipText: '#1f2937',
+  cardText: '#1f2937',
+  cardMutedText: '#6b7280', // Codes and notes
+  cardErrorText: '#991b1b',
+  cardLink: '#2563eb',
+  chords: { drives: '#111827', related: '#6b7280' }, // Links drawn across the sunburst, by type
+  breadcrumbBackground: '#fafbfc',
+  breadcrumbText: 'black',
+  breadcrumbRootBackground: '#ffffff',
+  breadcrumbRootText: 'grey',
+  chartRoot: { color: '#FFFFFF', textColor: 'black' },
+  chartLayers: LIGHT_LAYERS,
+  sliceBorder: { color: '#333333', width: 0 } // No lines between slices
+};
+
+/**
+ * Builds a theme from another one with some of its colors replaced, e.g. an organization's
+ * brand colors on the light theme.
+ * @param {object} overrides - The colors to replace, with the keys of THEMES.light.
+ * @param {object} [base] - The theme to start from.
+ * @returns {object} The theme.
+ */
+export const createTheme = (overrides, base = LIGHT) => ({ ...base, ...overrides });
+
+export const THEMES = {
+  light: LIGHT,
+  dark: createTheme({
+    pageBackground: '#111827',
+    text: '#d1d5db',
+    strongText: '#e5e7eb',
+    mutedText: '#9ca3af',
+    errorText: '#fca5a5',
+    fieldBackground: '#1f2937',
+    fieldText: '#f9fafb',
+    fieldBorder: '#4b5563',
+    toolbarBackground: '#1e293b',
+    titleBackground: '#1f2937',
+    titleText: '#f9fafb',
+    buttonBackground: '#1f2937',
+    buttonText: '#f9fafb',
+    buttonBorder: '#4b5563',
+    linkText: '#93c5fd',
+    chipBackground: '#1e293b',
+    chipBorder: '#334155',
+    chipText: '#f9fafb',
+    chords: { drives: '#b45309', related: '#2563eb' }, // Set apart from the dark page around the chart
+    breadcrumbBackground: '#1f2937',
+    breadcrumbText: '#f9fafb',
+    breadcrumbRootBackground: '#374151',
+    breadcrumbRootText: '#d1d5db'
+  }),
+  // Black on white, with strongly contrasting neighbours and outlined slices
+  'high-contrast': createTheme({
+    pageBackground: '#ffffff',
+    text: '#000000',
+    strongText: '#000000',
+    mutedText: '#1f1f1f',
+    errorText: '#8b0000',
+    fieldText: '#000000',
+    fieldBorder: '#000000',
+    titleText: '#000000',
+    buttonText: '#000000',
+    buttonBorder: '#000000',
+    linkText: '#00008b',
+    chipBackground: '#ffffff',
+    chipBorder: '#000000',
+    chipText: '#000000',
+    cardText: '#000000',
+    cardMutedText: '#1f1f1f',
+    cardErrorText: '#8b0000',
+    cardLink: '#00008b',
+    chords: { drives: '#000000', related: '#000000' },
+    breadcrumbBackground: '#ffffff',
+    breadcrumbText: '#000000',
+    breadcrumbRootBackground: '#ffffff',
+    breadcrumbRootText: '#000000',
+    chartLayers: [
+      { colors: ['#002B5C', '#000000'], textColor: '#FFFFFF', accent: '#002B5C' },
+      { colors: ['#FFD400', '#FFFFFF'], textColor: '#000000', accent: '#FFD400' },
+      { colors: ['#005A9C', '#3B0A45'], textColor: '#FFFFFF', accent: '#005A9C' },
+      { colors: ['#FFFFFF', '#FFD400'], textColor: '#000000', accent: '#FFD400' }
+    ],
+    sliceBorder: { color: '#000000', width: 2 }
+  }),
+  // The organization's colors; replace them here (or pass a theme built with createTheme to App)
+  // to brand the app
+  branded: createTheme({
+    pageBackground: '#eef2f7',
+    text: '#1d3557',
+    strongText: '#1d3557',
+    mutedText: '#457b9d',
+    titleText: '#1d3557',
+    buttonText: '#1d3557',
+    linkText: '#457b9d',
+    chipText: '#1d3557',
+    cardText: '#1d3557',
+    cardLink: '#457b9d',
+    chords: { drives: '#1d3557', related: '#457b9d' },
+    breadcrumbBackground: '#ffffff',
+    breadcrumbText: '#1d3557',
+    breadcrumbRootText: '#457b9d',
+    chartLayers: [
+      { colors: ['#1D3557', '#274B7A'], textColor: '#FFFFFF', accent: '#1D3557' },
+      { colors: ['#A8DADC', '#457B9D'], textColor: 'black', accent: '#457B9D' },
+      { colors: ['#F1FAEE', '#E9C46A'], textColor: 'black', accent: '#E9C46A' },
+      { colors: ['#F4A261', '#E76F51'], textColor: 'black', accent: '#E76F51' }
+    ]
+  })
+};
+
+export const DEFAULT_THEME = 'light';
+
+// The themes offered in the theme menu, labelled by the "theme.<value>" messages
+export const THEME_OPTIONS = Object.keys(THEMES).map(value => ({ value }));
+
+// Key of the chosen theme in the browser's local storage
+export const THEME_STORAGE_KEY = 'prm-theme';
+
+/**
+ * Looks up a theme. Apps embedding the chart may pass a theme object of their own instead of a name.
+ * @param {string|object} [theme] - The theme name, e.g. "dark", or a theme built with createTheme.
+ * @returns {object} The theme, the light theme for unknown names.
+ */
+export const getTheme = (theme) => {
+  if (theme && typeof theme === 'object') return theme;
+  return THEMES[theme] || THEMES[DEFAULT_THEME];
+};
+
+/**
+ * Loads the name of the theme chosen in this browser.
+ * @param {Storage} storage - Where the choice is kept.
+ * @returns {string} The theme name, the default one if none was chosen or it is no longer offered.
+ */
+export const loadThemeName = (storage = window.localStorage) => {
+  try {
+    const name = storage.getItem(THEME_STORAGE_KEY);
+    return THEMES[name] ? name : DEFAULT_THEME;
+  } catch (error) {
+    return DEFAULT_THEME;
+  }
+};
+
+/**
+ * Saves the name of the theme chosen in this browser.
+ * @param {string} name - The theme name.
+ * @param {Storage} storage - Where the choice is kept.
+ * @throws {Error} When the storage is unavailable or full.
+ */
+export const saveThemeName = (name, storage = window.localStorage) => {
+  storage.setItem(THEME_STORAGE_KEY, name);
+};
@@ -0,0 +1,41 @@
+import { DEFAULT_THEME, THEMES, THEME_STORAGE_KEY, createTheme, getTheme, loadThemeName, saveThemeName } from './theme';
+
+const createStorage = (items = {}) => ({
+  getItem: key => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = value; }
+});
+
+test('looks themes up by name, or takes a theme object as it is', () => {
+  expect(getTheme('dark')).toBe(THEMES.dark);
+  expect(getTheme('purple')).toBe(THEMES[DEFAULT_THEME]);
+  expect(getTheme()).toBe(THEMES.light);
+  const brand = createTheme({ pageBackground: '#002244' });
+  expect(getTheme(brand)).toBe(brand);
+});
+
+test('builds themes from another with some colors replaced', () => {
+  const brand = createTheme({ text: '#002244' }, THEMES.dark);
+  expect(brand.text).toBe('#002244');
+  expect(brand.pageBackground).toBe(THEMES.dark.pageBackground);
+  expect(brand.chartLayers).toBe(THEMES.dark.chartLayers);
+});
+
+test('gives every theme the same settings, with one text color per chart layer', () => {
+  const keys = Object.keys(THEMES.light).sort();
+  Object.values(THEMES).forEach(theme => {
+    expect(Object.keys(theme).sort()).toEqual(keys);
+    theme.chartLayers.forEach(layer => {
+      expect(layer.colors).toHaveLength(2);
+      expect(layer.textColor).toBeTruthy();
+      expect(layer.accent).toMatch(/^#[0-9A-F]{6}$/i);
+    });
+  });
+});
+
+test('saves the chosen theme and loads it back', () => {
+  const storage = createStorage();
+  saveThemeName('high-contrast', storage);
+  expect(loadThemeName(storage)).toBe('high-contrast');
+  expect(loadThemeName(createStorage())).toBe(DEFAULT_THEME);
+  expect(loadThemeName(createStorage({ [THEME_STORAGE_KEY]: 'retired' }))).toBe(DEFAULT_THEME);
+});
@@ -0,0 +1,41 @@
+/**
+ * Groups the loaded assessments into one timeline per country, oldest first. Assessments without
+ * a country or a year are left out, as they cannot be placed in time; assessments of the same year
+ * keep their order in the index.
+ * @param {{id: string}[]} entries - The assessments listed in the index.
+ * @param {Object<string, {country?: string, year?: number}>} assessments - The loaded assessments, keyed by ID.
+ * @returns {Object<string, {id: string, year: number}[]>} The snapshots of each country, keyed by country.
+ */
+export const buildTimelines = (entries, assessments) => {
+  const timelines = {};
+  entries.forEach(({ id }) => {
+    const assessment = assessments[id];
+    if (!assessment || !assessment.country || typeof assessment.year !== 'number') return;
+    if (!timelines[assessment.country]) timelines[assessment.country] = [];
+    timelines[assessment.country].push({ id, year: assessment.year });
+  });
+  Object.values(timelines).forEach(snapshots => snapshots.sort((a, b) => a.year - b.year));
+  return timelines;
+};
+
+/**
+ * Finds the timeline an assessment belongs to.
+ * @param {Object<string, {id: string, year: number}[]>} timelines - The timelines, as built by buildTimelines.
+ * @param {string} assessmentId - The ID of the assessment.
+ * @returns {{id: string, year: number}[]} The snapshots of its country, or an empty list.
+ */
+export const findTimeline = (timelines, assessmentId) => (
+  Object.values(timelines).find(snapshots => snapshots.some(snapshot => snapshot.id === assessmentId)) || []
+);
+
+/**
+ * Follows a bottleneck's severity through a timeline.
+ * @param {{id: string, year: number}[]} timeline - The snapshots, oldest first.
+ * @param {Object<string, {ratings: object}>} assessments - The loaded assessments, keyed by ID.
+ * @param {string} bottleneckId - The bottleneck's ID.
+ * @returns {{id: string, year: number, severity: (number|null)}[]} Its severity in each snapshot, null where it is not rated.
+ */
+export const getSeverityTrend = (timeline, assessments, bottleneckId) => timeline.map(({ id, year }) => {
+  const rating = assessments[id] && assessments[id].ratings[bottleneckId];
+  return { id, year, severity: rating && rating.severity ? rating.severity : null };
+});
@@ -0,0 +1,32 @@
+import { buildTimelines, findTimeline, getSeverityTrend } from './timeline';
+
+const entries = [{ id: 'a-2023' }, { id: 'b-2023' }, { id: 'a-2019' }, { id: 'a-2021' }, { id: 'undated' }, { id: 'missing' }];
+const assessments = {
+  'a-2023': { country: 'Country A', year: 2023, ratings: { 'A.1.1': { severity: 2 } } },
+  'b-2023': { country: 'Country B', year: 2023, ratings: {} },
+  'a-2019': { country: 'Country A', year: 2019, ratings: { 'A.1.1': { severity: 4 } } },
+  'a-2021': { country: 'Country A', year: 2021, ratings: { 'A.1.1': { confidence: 'low' } } },
+  undated: { country: 'Country A', ratings: {} }
+};
+
+test('groups the dated assessments by country, oldest first', () => {
+  expect(buildTimelines(entries, assessments)).toEqual({
+    'Country A': [{ id: 'a-2019', year: 2019 }, { id: 'a-2021', year: 2021 }, { id: 'a-2023', year: 2023 }],
+    'Country B': [{ id: 'b-2023', year: 2023 }]
+  });
+});
+
+test('finds the timeline of an assessment', () => {
+  const timelines = buildTimelines(entries, assessments);
+  expect(findTimeline(timelines, 'a-2021').map(snapshot => snapshot.id)).toEqual(['a-2019', 'a-2021', 'a-2023']);
+  expect(findTimeline(timelines, 'draft')).toEqual([]);
+});
+
+test('follows a bottleneck through the snapshots, with gaps where it is not rated', () => {
+  const timeline = findTimeline(buildTimelines(entries, assessments), 'a-2023');
+  expect(getSeverityTrend(timeline, assessments, 'A.1.1')).toEqual([
+    { id: 'a-2019', year: 2019, severity: 4 },
+    { id: 'a-2021', year: 2021, severity: null },
+    { id: 'a-2023', year: 2023, severity: 2 }
+  ]);
+});
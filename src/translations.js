@@ -0,0 +1,98 @@
+import { DataFileError, fetchDataFile, resolveDataUrl } from './dataFile';
+
+// Default location of the taxonomy translations, relative to the deployed app; {locale} is
+// replaced by the language code
+export const DEFAULT_TRANSLATIONS_URL = `${process.env.PUBLIC_URL}/data/translations/{locale}.json`;
+
+/**
+ * Works out which translation file to load for a language. A `?translations=` URL parameter,
+ * with a {locale} placeholder, takes precedence over the files bundled in public/data.
+ * @param {string} locale - The language code, e.g. "fr".
+ * @param {string} search - The query string of the current page.
+ * @returns {string} The URL of the translation file.
+ */
+export const resolveTranslationsUrl = (locale, search = window.location.search) => {
+  return resolveDataUrl('translations', DEFAULT_TRANSLATIONS_URL, search).replace(/\{locale\}/g, locale);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validates a parsed translation file. Every field but `version` is optional, as anything left
+ * out is shown in English.
+ * @param {object} document - The parsed file ({ version, locale, title, levels, tagCategories,
+ *   tagValues, nodes, definitions }), where `nodes` and `definitions` are keyed by node ID.
+ * @returns {string[]} A list of error messages; empty when the document is valid.
+ */
+export const validateTranslations = (document) => {
+  if (!isPlainObject(document)) {
+    return ['Translation file must contain an object'];
+  }
+  const errors = [];
+  if (!isNonEmptyString(document.version)) {
+    errors.push('Translation file is missing a "version" string');
+  }
+  if (document.title !== undefined && !isNonEmptyString(document.title)) {
+    errors.push('"title" must be a non-empty string');
+  }
+  if (document.levels !== undefined && (!Array.isArray(document.levels) || document.levels.some(level => typeof level !== 'string'))) {
+    errors.push('"levels" must be a list of level names');
+  }
+  // Objects whose values must all be non-empty strings
+  ['tagCategories', 'nodes', 'definitions'].forEach(field => {
+    if (document[field] === undefined) return;
+    if (!isPlainObject(document[field])) {
+      errors.push(`"${field}" must be an object`);
+      return;
+    }
+    Object.keys(document[field]).forEach(key => {
+      if (!isNonEmptyString(document[field][key])) {
+        errors.push(`${field} "${key}": expected a non-empty string`);
+      }
+    });
+  });
+  if (document.tagValues !== undefined) {
+    if (!isPlainObject(document.tagValues) || Object.values(document.tagValues).some(values => !isPlainObject(values))) {
+      errors.push('"tagValues" must map each tag category to an object of translated values');
+    } else {
+      Object.keys(document.tagValues).forEach(category => {
+        Object.keys(document.tagValues[category]).forEach(value => {
+          if (!isNonEmptyString(document.tagValues[category][value])) {
+            errors.push(`tagValues "${category}" "${value}": expected a non-empty string`);
+          }
+        });
+      });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Fetches and validates a translation file.
+ * @param {string} url - The URL of the translation file.
+ * @returns {Promise<object>} The validated document.
+ * @throws {DataFileError} When the file cannot be fetched, parsed or fails validation.
+ */
+export const loadTranslations = async (url) => {
+  const document = await fetchDataFile(url);
+  const errors = validateTranslations(document);
+  if (errors.length > 0) {
+    throw new DataFileError(`Translation file ${url} is invalid`, errors);
+  }
+  return document;
+};
+
+/**
+ * Returns the level names in the translation's language, keeping the original name of any
+ * level it does not translate.
+ * @param {string[]} levelLabels - Level names by depth, from the taxonomy.
+ * @param {object} translations - The translation document (empty for English).
+ * @returns {string[]} Level names by depth.
+ */
+export const translateLevelLabels = (levelLabels, translations) => {
+  const translated = translations.levels || [];
+  const depthCount = Math.max(levelLabels.length, translated.length);
+  return Array.from({ length: depthCount }, (_, depth) => translated[depth] || levelLabels[depth]).filter(Boolean);
+};
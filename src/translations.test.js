@@ -0,0 +1,41 @@
+import { resolveTranslationsUrl, translateLevelLabels, validateTranslations } from './translations';
+
+test('accepts a translation file with labels keyed by node ID', () => {
+  expect(validateTranslations({
+    version: '1.0.0',
+    locale: 'fr',
+    title: 'Finances publiques',
+    levels: ['Rôles', 'Rôle', 'Défi'],
+    tagCategories: { sector: 'Secteur' },
+    tagValues: { sector: { Health: 'Santé' } },
+    nodes: { 'A.1.1': 'Engagement insuffisant', 'root/a-role': 'A. Rôle' },
+    definitions: { 'root/a-role': 'Ce que recouvre le rôle' }
+  })).toEqual([]);
+});
+
+test('reports malformed fields', () => {
+  expect(validateTranslations({
+    levels: 'Rôle',
+    nodes: { 'A.1.1': '' },
+    definitions: [],
+    tagValues: { sector: 'Santé' }
+  })).toEqual([
+    'Translation file is missing a "version" string',
+    '"levels" must be a list of level names',
+    'nodes "A.1.1": expected a non-empty string',
+    '"definitions" must be an object',
+    '"tagValues" must map each tag category to an object of translated values'
+  ]);
+  expect(validateTranslations(null)).toEqual(['Translation file must contain an object']);
+});
+
+test('fills the language into the translation file URL', () => {
+  expect(resolveTranslationsUrl('pt', '')).toMatch(/\/data\/translations\/pt\.json$/);
+  expect(resolveTranslationsUrl('es', '?translations=https://example.org/prm-{locale}.yaml')).toBe('https://example.org/prm-es.yaml');
+});
+
+test('keeps the original name of levels left untranslated', () => {
+  expect(translateLevelLabels(['PRM Roles', 'Role', 'Challenge', 'Bottleneck'], { levels: ['Rôles', 'Rôle', ''] }))
+    .toEqual(['Rôles', 'Rôle', 'Challenge', 'Bottleneck']);
+  expect(translateLevelLabels(['PRM Roles', 'Role'], {})).toEqual(['PRM Roles', 'Role']);
+});
@@ -0,0 +1,69 @@
+// Navigation and view state kept in the URL hash, in the order the keys are written.
+// The query string is left alone: it names the data files (?data=, ?evidence=, ...).
+export const URL_STATE_KEYS = ['level', 'leaf', 'chart', 'tags', 'view', 'from', 'to', 'size', 'color', 'scale', 'parents', 'lang', 'present'];
+
+// Keys whose changes add a browser history entry; changes to the others replace the current one,
+// so that back/forward step through drill-down (and in and out of the presentation mode) rather
+// than through every toggle
+export const HISTORY_KEYS = ['level', 'leaf', 'present'];
+
+/**
+ * Reads the state stored in a URL hash such as "#level=A&leaf=A.1.1&view=change".
+ * @param {string} hash - The hash of the current page.
+ * @returns {Object<string, string>} The values found, keyed by URL_STATE_KEYS; missing keys are omitted.
+ */
+export const readUrlState = (hash = window.location.hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+  URL_STATE_KEYS.forEach(key => {
+    const value = params.get(key);
+    if (value) state[key] = value;
+  });
+  return state;
+};
+
+/**
+ * Builds the URL hash for a state, leaving out empty values.
+ * @param {Object<string, string>} state - Values keyed by URL_STATE_KEYS.
+ * @returns {string} The hash, including the leading "#", or '' when the state is empty.
+ */
+export const buildUrlHash = (state) => {
+  const params = new URLSearchParams();
+  URL_STATE_KEYS.forEach(key => {
+    if (state[key]) params.set(key, state[key]);
+  });
+  const query = params.toString();
+  return query ? `#${query}` : '';
+};
+
+/**
+ * Writes a state to the URL hash without reloading the page. A change to any of HISTORY_KEYS
+ * pushes a new history entry; other changes replace the current entry.
+ * @param {Object<string, string>} state - Values keyed by URL_STATE_KEYS.
+ */
+export const writeUrlState = (state) => {
+  const hash = buildUrlHash(state);
+  if (hash === window.location.hash) return;
+
+  const previous = readUrlState();
+  const isNavigation = HISTORY_KEYS.some(key => (previous[key] || '') !== (state[key] || ''));
+  // Keep the path and query (data file overrides) and only swap the hash
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (isNavigation) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+};
+
+/**
+ * Returns `value` if it is one of the allowed options, otherwise `fallback`. Used to ignore
+ * stale or hand-edited values read from the URL.
+ * @param {{value: string}[]} options - The allowed options.
+ * @param {string|undefined} value - The value read from the URL.
+ * @param {string} fallback - The default value.
+ * @returns {string} The value to use.
+ */
+export const pickOption = (options, value, fallback) => (
+  options.some(option => option.value === value) ? value : fallback
+);
@@ -0,0 +1,28 @@
+import { buildUrlHash, pickOption, readUrlState, writeUrlState } from './urlState';
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/?data=custom.json');
+});
+
+test('round-trips state through the hash and drops empty values', () => {
+  const hash = buildUrlHash({ level: 'role-of-public-finance/b-fiscal-sustainability', leaf: '', view: 'change', unknown: 'x' });
+  expect(hash).toBe('#level=role-of-public-finance%2Fb-fiscal-sustainability&view=change');
+  expect(readUrlState(hash)).toEqual({ level: 'role-of-public-finance/b-fiscal-sustainability', view: 'change' });
+  expect(buildUrlHash({})).toBe('');
+});
+
+test('pushes history entries for drill-down and replaces them for view options', () => {
+  const startLength = window.history.length;
+  writeUrlState({ level: 'A' });
+  expect(window.history.length).toBe(startLength + 1);
+  writeUrlState({ level: 'A', size: 'severity' });
+  expect(window.history.length).toBe(startLength + 1);
+  expect(window.location.search).toBe('?data=custom.json');
+  expect(window.location.hash).toBe('#level=A&size=severity');
+});
+
+test('ignores values that are not among the options', () => {
+  const options = [{ value: 'uniform' }, { value: 'severity' }];
+  expect(pickOption(options, 'severity', 'uniform')).toBe('severity');
+  expect(pickOption(options, 'bogus', 'uniform')).toBe('uniform');
+});
@@ -0,0 +1,13 @@
+// Hides content from sight while keeping it available to screen readers (inline styles cannot
+// use a stylesheet's ".sr-only" class)
+export const VISUALLY_HIDDEN_STYLE = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};